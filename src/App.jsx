@@ -1,10 +1,34 @@
 // code with Redux-based App.jsx //
 
-import React, { useMemo, useCallback, useEffect, useState } from "react";
+import React, { useMemo, useCallback, useEffect, useRef, useState } from "react";
 import { useSelector, useDispatch } from "react-redux";
-import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-dom";
+import { BrowserRouter as Router, Routes, Route, Navigate, Link } from "react-router-dom";
 import { refreshUser } from "./redux/authSlice";
-import { fetchContacts, addContact, deleteContact, updateFilter } from "./redux/contactsSlice";
+import {
+  fetchContacts,
+  fetchMoreContacts,
+  addContact,
+  editContact,
+  deleteContact,
+  updateFilter,
+  syncPendingChanges,
+  fetchFavorites,
+  saveFavoriteOrder,
+  toggleFavorite,
+  fetchTags,
+  assignTags,
+  purgeExpiredTrash,
+  fetchPreferences,
+  markContacted,
+  loadAllContacts,
+  selectAllContacts,
+  selectContactEntities,
+  selectFilteredContacts,
+  selectSearchHighlights,
+  selectCounts,
+  selectOperation,
+  selectSort,
+} from "./redux/contactsSlice";
 import Navigation from "./components/Navigation";
 import HomePage from "./components/HomePage";
 import RegisterPage from "./components/RegisterPage";
@@ -14,6 +38,20 @@ import ContactForm from "./components/ContactForm";
 import Filter from "./components/Filter";
 import UserMenu from "./components/UserMenu";
 import UserProfile from "./components/UserProfile";
+import SyncStatus from "./components/SyncStatus";
+import SyncConflicts from "./components/SyncConflicts";
+import ImportContacts from "./components/ImportContacts";
+import ExportContacts from "./components/ExportContacts";
+import ContactDetails from "./components/ContactDetails";
+import FavoriteContacts from "./components/FavoriteContacts";
+import TagBar from "./components/TagBar";
+import SortControl from "./components/SortControl";
+import BulkActions from "./components/BulkActions";
+import Trash from "./components/Trash";
+import UndoToast from "./components/UndoToast";
+import DuplicateReview from "./components/DuplicateReview";
+import { findSimilarContacts } from "./utils/duplicates";
+import { parseSearchQuery } from "./utils/searchQuery";
 import "./App.css";
 
 const PrivateRoute = ({ children }) => {
@@ -43,11 +81,32 @@ function App() {
   const dispatch = useDispatch();
   const isLoggedIn = useSelector(state => state.auth.isLoggedIn);
   const isRefreshing = useSelector(state => state.auth.isRefreshing);
-  const contacts = useSelector((state) => state.contacts.items);
+  const contacts = useSelector(selectAllContacts);
+  const contactsById = useSelector(selectContactEntities);
+  const sort = useSelector(selectSort);
   const filter = useSelector((state) => state.contacts.filter);
-  const status = useSelector((state) => state.contacts.status);
-  const error = useSelector((state) => state.contacts.error);
+  // only loading the list shows "Updating contacts..."; adding or editing one contact does not
+  const { status, error } = useSelector((state) => selectOperation(state, "fetch"));
+  const favoriteIds = useSelector((state) => state.contacts.favorites);
+  const tags = useSelector((state) => state.contacts.tags);
+  const tagFilter = useSelector((state) => state.contacts.tagFilter);
+  // ranked by how well they match the search (in the chosen order when equally good),
+  // with the matched characters to highlight
+  const filteredContacts = useSelector(selectFilteredContacts);
+  const highlights = useSelector(selectSearchHighlights);
+  const { total, shown, trash: trashCount } = useSelector(selectCounts);
+  const hasMoreContacts = useSelector((state) => state.contacts.paging.hasMore);
+  // order the pages loaded so far came in
+  const pagesSort = useSelector((state) => state.contacts.paging.sort);
+  const loadMoreStatus = useSelector((state) => selectOperation(state, "loadMore").status);
   const [showAddForm, setShowAddForm] = useState(contacts.length > 0);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  // ids preselected in the export panel when it is opened from the selection
+  const [exportIds, setExportIds] = useState(null);
+  // selection mode of the list: null when off, else the Set of selected ids
+  const [selectedIds, setSelectedIds] = useState(null);
+  const headerRef = useRef(null);
 
   // Refresh user on app load - check both localStorage and IndexedDB for token
   useEffect(() => {
@@ -78,9 +137,61 @@ function App() {
   useEffect(() => {
     if (isLoggedIn && !isRefreshing) {
       dispatch(fetchContacts());
+      dispatch(fetchFavorites());
+      dispatch(fetchTags());
+      dispatch(fetchPreferences());
+      // contacts deleted more than the retention period ago go for good
+      dispatch(purgeExpiredTrash());
     }
   }, [isLoggedIn, isRefreshing, dispatch]);
 
+  // Searching, tag filters, import (duplicate checks), export and selecting need every
+  // contact, not only the pages scrolled through so far
+  const needsAllContacts = filter.trim() !== "" || tagFilter.ids.length > 0 || showImport || showExport
+    || selectedIds !== null;
+  useEffect(() => {
+    if (needsAllContacts && hasMoreContacts && loadMoreStatus !== "loading" && loadMoreStatus !== "failed") {
+      dispatch(fetchMoreContacts({ all: true }));
+    }
+  }, [needsAllContacts, hasMoreContacts, loadMoreStatus, dispatch]);
+
+  // Pages come in the order of the list, so when it changes (or the saved order arrives
+  // after the first page) the pages loaded so far are loaded again in the new one
+  const isPagesSortStale = hasMoreContacts && pagesSort !== null
+    && (pagesSort.key !== sort.key || pagesSort.direction !== sort.direction);
+  useEffect(() => {
+    if (isPagesSortStale && loadMoreStatus !== "loading") {
+      dispatch(fetchMoreContacts({ reload: true }));
+    }
+  }, [isPagesSortStale, loadMoreStatus, dispatch]);
+
+  const handleLoadMore = useCallback(() => {
+    dispatch(fetchMoreContacts());
+  }, [dispatch]);
+
+  const handleLoadAll = useCallback(() => {
+    dispatch(fetchMoreContacts({ all: true }));
+  }, [dispatch]);
+
+  // Height of the sticky header (it wraps on small screens), for things that stick below it
+  useEffect(() => {
+    const header = headerRef.current;
+    if (!header || typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(() => {
+      document.documentElement.style.setProperty('--header-height', `${header.offsetHeight}px`);
+    });
+    observer.observe(header);
+    return () => observer.disconnect();
+  }, [isRefreshing]);
+
+  // Send changes made while offline as soon as the browser is back online
+  useEffect(() => {
+    if (!isLoggedIn) return;
+    const handleOnline = () => dispatch(syncPendingChanges());
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [isLoggedIn, dispatch]);
+
   // Show form if contacts exist, hide if no contacts
   useEffect(() => {
     setShowAddForm(contacts.length > 0);
@@ -92,12 +203,32 @@ function App() {
       alert("Please enter a name.");
       return;
     }
+    // the same name can be on a page not loaded yet
+    let allContacts;
+    try {
+      allContacts = await dispatch(loadAllContacts());
+    } catch (err) {
+      console.error('Failed to load contacts for the duplicate check:', err);
+      alert("Could not check for duplicates: your contacts did not load. Please try again.");
+      return;
+    }
     const normalized = contact.name.trim().toLowerCase();
-    const exists = contacts.some((c) => c.name.toLowerCase() === normalized);
+    const exists = allContacts.some((c) => c.name.toLowerCase() === normalized);
     if (exists) {
       alert(`${contact.name} is already in contacts.`);
       return;
     }
+    // near matches ("Jon Smith" / "John Smith", or the same number) are let through on request
+    const similar = findSimilarContacts(contact, allContacts);
+    if (similar.length > 0) {
+      const list = similar
+        .slice(0, 3)
+        .map((match) => `- ${match.contact.name}${match.sameNumber ? " (same number)" : ""}`)
+        .join("\n");
+      if (!window.confirm(`${contact.name} looks like a contact you already have:\n${list}\n\nAdd anyway?`)) {
+        return;
+      }
+    }
     
     // Dispatch addContact and handle errors
     try {
@@ -135,6 +266,36 @@ function App() {
     }, 100);
   };
 
+  const handleEditContact = async (id, changes) => {
+    // same duplicate rule as adding, but the contact may keep its own name
+    let allContacts;
+    try {
+      allContacts = await dispatch(loadAllContacts());
+    } catch (err) {
+      console.error('Failed to load contacts for the duplicate check:', err);
+      alert("Could not check for duplicates: your contacts did not load. Please try again.");
+      return false;
+    }
+    const normalized = changes.name.trim().toLowerCase();
+    const exists = allContacts.some((c) => c.id !== id && c.name.toLowerCase() === normalized);
+    if (exists) {
+      alert(`${changes.name} is already in contacts.`);
+      return false;
+    }
+
+    try {
+      await dispatch(editContact({ id, ...changes })).unwrap();
+      return true;
+    } catch (err) {
+      // Error is already stored in state and will be displayed
+      console.error('Failed to update contact:', err);
+      // Show alert for immediate feedback
+      const errorMessage = typeof err === 'string' ? err : err?.message || 'Failed to update contact. Please try again.';
+      alert(errorMessage);
+      return false;
+    }
+  };
+
   const handleDelete = async (id) => {
     try {
       await dispatch(deleteContact(id)).unwrap();
@@ -151,8 +312,54 @@ function App() {
     dispatch(updateFilter(value));
   };
 
-  const total = contacts.length;
-  const shown = contacts.filter((c) => c.name.toLowerCase().includes(filter.trim().toLowerCase())).length;
+  const handleToggleFavorite = (id) => {
+    dispatch(toggleFavorite(id));
+  };
+
+  const handleReorderFavorites = (ids) => {
+    dispatch(saveFavoriteOrder(ids));
+  };
+
+  const handleContacted = (id) => {
+    dispatch(markContacted(id));
+  };
+
+  const handleChangeTags = async (id, tagIds) => {
+    const current = contactsById[id]?.tags || [];
+    try {
+      await dispatch(assignTags({
+        ids: [id],
+        add: tagIds.filter((tagId) => !current.includes(tagId)),
+        remove: current.filter((tagId) => !tagIds.includes(tagId)),
+      })).unwrap();
+    } catch (err) {
+      console.error('Failed to update tags:', err);
+      alert(typeof err === 'string' ? err : err?.message || 'Failed to update tags. Please try again.');
+    }
+  };
+
+  const isFiltered = filter.trim() !== "" || tagFilter.ids.length > 0;
+  const queryError = useMemo(() => parseSearchQuery(filter).error, [filter]);
+  // selected contacts that are still shown, in list order
+  const selectedShownIds = selectedIds
+    ? filteredContacts.filter((c) => selectedIds.has(c.id)).map((c) => c.id)
+    : [];
+
+  const handleExportSelection = (ids) => {
+    setExportIds(ids);
+    setShowExport(true);
+  };
+
+  // letter headers only make sense while the list is in name order, not ranked by a search
+  const sectionBy = filter.trim() === "" && (sort.key === "firstName" || sort.key === "lastName")
+    ? sort.key
+    : undefined;
+
+  // favorites in their saved order (ids of contacts deleted elsewhere are skipped)
+  const favoriteContacts = useMemo(
+    () => favoriteIds.map((id) => contactsById[id]).filter(Boolean),
+    [contactsById, favoriteIds]
+  );
 
   // Render loading state
   if (isRefreshing) {
@@ -186,13 +393,14 @@ function App() {
   return (
     <Router basename={basename}>
       <div className="app">
-        <header>
+        <header ref={headerRef}>
           <div className={`header-container ${!isLoggedIn ? 'centered' : ''}`}>
             <Navigation />
             {isLoggedIn && <UserMenu />}
           </div>
         </header>
         <div className="container">
+          {isLoggedIn && <UndoToast />}
           <Routes>
             <Route path="/" element={<HomePage />} />
             <Route path="/register" element={<RegisterPage />} />
@@ -225,6 +433,8 @@ function App() {
                     </div>
                   )}
                   
+                  <SyncStatus />
+
                   {showAddForm && (
                     <section className="card" id="add-contact-section">
                       <h2>Add contact</h2>
@@ -232,28 +442,133 @@ function App() {
                     </section>
                   )}
                   
-                  <section className="card">
+                  {showImport && (
+                    <ImportContacts contacts={contacts} isLoadingAll={hasMoreContacts} onClose={() => setShowImport(false)} />
+                  )}
+
+                  {showExport && (
+                    <ExportContacts
+                      key={exportIds ? exportIds.join(",") : "all"}
+                      contacts={contacts}
+                      filteredContacts={filteredContacts}
+                      isFiltered={isFiltered}
+                      isLoadingAll={hasMoreContacts}
+                      tags={tags}
+                      initialSelectedIds={exportIds}
+                      onClose={() => {
+                        setShowExport(false);
+                        setExportIds(null);
+                      }}
+                    />
+                  )}
+
+                  <FavoriteContacts
+                    contacts={favoriteContacts}
+                    onReorder={handleReorderFavorites}
+                    onToggleFavorite={handleToggleFavorite}
+                  />
+
+                  <section className="card contacts-card">
                     <div className="list-header">
-                      {filter.trim() !== "" && (
+                      {isFiltered && (
                         <div className="count">{`${shown} of ${total}`}</div>
                       )}
+                      <div className="list-actions">
+                        <button
+                          className="button small secondary"
+                          onClick={() => setShowImport(true)}
+                          disabled={showImport}
+                        >
+                          Import
+                        </button>
+                        <button
+                          className="button small secondary"
+                          onClick={() => setShowExport(true)}
+                          disabled={showExport || contacts.length === 0}
+                        >
+                          Export
+                        </button>
+                        <button
+                          className="button small secondary"
+                          onClick={() => setSelectedIds(selectedIds ? null : new Set())}
+                          disabled={contacts.length === 0}
+                          aria-pressed={Boolean(selectedIds)}
+                        >
+                          {selectedIds ? "Done" : "Select"}
+                        </button>
+                        <Link to="/contacts/duplicates" className="button small secondary">
+                          Duplicates
+                        </Link>
+                        <Link to="/contacts/trash" className="button small secondary">
+                          {trashCount > 0 ? `Trash (${trashCount})` : "Trash"}
+                        </Link>
+                      </div>
                     </div>
                     
                     {contacts.length > 0 && (
-                      <Filter value={filter} onChange={handleFilterChange} />
+                      <Filter value={filter} onChange={handleFilterChange} error={queryError} tags={tags} />
+                    )}
+
+                    {contacts.length > 0 && (
+                      <TagBar shownContacts={filteredContacts} />
+                    )}
+
+                    {contacts.length > 1 && <SortControl />}
+
+                    {selectedIds && (
+                      <BulkActions
+                        selectedIds={selectedShownIds}
+                        shownCount={shown}
+                        isLoadingAll={hasMoreContacts}
+                        onSelectAll={() => setSelectedIds(new Set(filteredContacts.map((c) => c.id)))}
+                        onClearSelection={() => setSelectedIds(new Set())}
+                        onExport={handleExportSelection}
+                      />
                     )}
                     
                     <ContactList 
-                      contacts={contacts.filter((c) => 
-                        c.name.toLowerCase().includes(filter.trim().toLowerCase())
-                      )} 
+                      contacts={filteredContacts} 
                       onDelete={handleDelete} 
+                      onEdit={handleEditContact}
                       onShowAddForm={handleShowAddForm} 
+                      favoriteIds={favoriteIds}
+                      onToggleFavorite={handleToggleFavorite}
+                      tags={tags}
+                      onChangeTags={handleChangeTags}
+                      selectedIds={selectedIds || undefined}
+                      onSelectionChange={setSelectedIds}
+                      highlights={highlights}
+                      onContact={handleContacted}
+                      sectionBy={sectionBy}
+                      hasMorePages={hasMoreContacts}
+                      loadMoreStatus={loadMoreStatus}
+                      onLoadMore={handleLoadMore}
+                      onLoadAll={handleLoadAll}
                     />
                   </section>
                 </div>
               </PrivateRoute>
             } />
+            <Route path="/contacts/trash" element={
+              <PrivateRoute>
+                <Trash />
+              </PrivateRoute>
+            } />
+            <Route path="/contacts/duplicates" element={
+              <PrivateRoute>
+                <DuplicateReview />
+              </PrivateRoute>
+            } />
+            <Route path="/contacts/:id" element={
+              <PrivateRoute>
+                <ContactDetails />
+              </PrivateRoute>
+            } />
+            <Route path="/contacts/conflicts" element={
+              <PrivateRoute>
+                <SyncConflicts />
+              </PrivateRoute>
+            } />
             <Route path="/profile" element={
               <PrivateRoute>
                 <UserProfile />
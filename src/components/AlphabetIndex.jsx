@@ -0,0 +1,117 @@
+/**
+ * AlphabetIndex
+ * Letter rail beside the contact list. Letters without contacts are dimmed; clicking a
+ * letter, or dragging along the rail with a finger or the mouse, jumps to the first
+ * contact of that letter (or of the nearest letter that has contacts). When the screen
+ * is too short for every letter, neighbouring letters share one entry ("A" for A–C).
+ * props:
+ *  - letters: letters of the rail, in order (see getIndexLetters in utils/contactSort.js)
+ *  - available: Set of the letters that have contacts
+ *  - onJump(letter): called with a letter from available
+ */
+import React, { useEffect, useMemo, useRef, useState } from "react";
+
+// Height one entry needs to stay readable and easy to hit
+const ITEM_HEIGHT = 18;
+
+// Room left for the rail under the sticky page header
+const getRoom = () => {
+  const headerHeight = parseFloat(
+    getComputedStyle(document.documentElement).getPropertyValue("--header-height")
+  ) || 0;
+  return window.innerHeight - headerHeight - 32;
+};
+
+export default function AlphabetIndex({ letters, available, onJump }) {
+  const railRef = useRef(null);
+  const [room, setRoom] = useState(getRoom);
+  // letter under the finger while dragging, shown large next to the rail
+  const [scrubLetter, setScrubLetter] = useState(null);
+
+  useEffect(() => {
+    const handleResize = () => setRoom(getRoom());
+    window.addEventListener("resize", handleResize);
+    return () => window.removeEventListener("resize", handleResize);
+  }, []);
+
+  const groups = useMemo(() => {
+    const maxItems = Math.max(1, Math.floor(room / ITEM_HEIGHT));
+    const size = Math.ceil(letters.length / maxItems);
+    const result = [];
+    for (let i = 0; i < letters.length; i += size) {
+      result.push(letters.slice(i, i + size));
+    }
+    return result;
+  }, [letters, room]);
+
+  // first letter with contacts in the group, else in the nearest group after it, else before it
+  const targetFor = (index) => {
+    for (let i = index; i < groups.length; i += 1) {
+      const letter = groups[i].find((l) => available.has(l));
+      if (letter) return letter;
+    }
+    for (let i = index - 1; i >= 0; i -= 1) {
+      const letter = groups[i].find((l) => available.has(l));
+      if (letter) return letter;
+    }
+    return null;
+  };
+
+  const scrubTo = (clientY) => {
+    const rect = railRef.current.getBoundingClientRect();
+    const index = Math.min(groups.length - 1, Math.max(0, Math.floor(((clientY - rect.top) / rect.height) * groups.length)));
+    const letter = targetFor(index);
+    if (letter && letter !== scrubLetter) {
+      setScrubLetter(letter);
+      onJump(letter);
+    }
+  };
+
+  const handlePointerDown = (e) => {
+    // a mouse click is left to the button, so the rail also works from the keyboard
+    if (e.pointerType === "mouse") return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    scrubTo(e.clientY);
+  };
+
+  const handlePointerMove = (e) => {
+    const isDragging = e.pointerType === "mouse" ? e.buttons === 1 : e.currentTarget.hasPointerCapture(e.pointerId);
+    if (isDragging) scrubTo(e.clientY);
+  };
+
+  const stopScrubbing = () => setScrubLetter(null);
+
+  return (
+    <nav
+      className="alphabet-index"
+      aria-label="Jump to letter"
+      ref={railRef}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={stopScrubbing}
+      onPointerCancel={stopScrubbing}
+      onPointerLeave={(e) => e.pointerType === "mouse" && stopScrubbing()}
+    >
+      {groups.map((group, index) => {
+        const hasContacts = group.some((l) => available.has(l));
+        const name = group.length > 1 ? `${group[0]} to ${group[group.length - 1]}` : group[0];
+        return (
+          <button
+            type="button"
+            key={group[0]}
+            className={`alphabet-index-item${hasContacts ? "" : " empty"}`}
+            onClick={() => hasContacts && onJump(targetFor(index))}
+            aria-disabled={!hasContacts}
+            aria-label={hasContacts ? `Jump to ${name}` : `${name}: no contacts`}
+            title={name}
+          >
+            {group[0]}
+          </button>
+        );
+      })}
+      {scrubLetter && (
+        <div className="alphabet-index-bubble" aria-hidden="true">{scrubLetter}</div>
+      )}
+    </nav>
+  );
+}
@@ -0,0 +1,250 @@
+/**
+ * BackupRestore
+ * Profile page section to download a backup of everything stored for the account
+ * (so it survives clearing browser storage) and to restore one: the file is
+ * validated, compared with the current data, and merged in or used to replace it.
+ */
+import React, { useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { fetchContacts, fetchFavorites, fetchTags, fetchTrash, fetchPreferences } from "../redux/contactsSlice";
+import { updateUser } from "../redux/authSlice";
+import { createBackup, readBackup, diffBackup, restoreBackup } from "../services/backup";
+import { downloadFile, datedFileName } from "../utils/download";
+import { useFormFieldIds } from "../utils/useFormFieldIds";
+import { getPhoneLabelText } from "../utils/contactModel";
+
+// Names shown for the stores listed in the diff (contacts have their own section)
+const STORE_LABELS = {
+  outbox: "Changes waiting to sync",
+  syncLog: "Conflict resolution history",
+  contactExtensions: "Numbers and details of online contacts",
+  favorites: "Favorites",
+  tags: "Tags",
+  trash: "Deleted contacts in the trash",
+  preferences: "Contact list settings",
+};
+
+// Text shown for a contact field in the diff table (numbers are a list of { label, number },
+// tags a list of tag ids)
+const formatField = (value, tagNames) => {
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => (typeof item === "string"
+        ? tagNames.get(item) || item
+        : `${getPhoneLabelText(item.label)}: ${item.number}`))
+      .join(", ") || "—";
+  }
+  return String(value ?? "—");
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+export default function BackupRestore() {
+  const dispatch = useDispatch();
+  const token = useSelector((state) => state.auth.token);
+  const tags = useSelector((state) => state.contacts.tags);
+  const tagNames = useMemo(() => new Map(tags.map((tag) => [tag.id, tag.name])), [tags]);
+  const fieldIds = useFormFieldIds({ file: "restore-file" });
+  const [archive, setArchive] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const handleBackup = async () => {
+    setError(null);
+    setMessage(null);
+    setIsWorking(true);
+    try {
+      const backup = await createBackup(token);
+      downloadFile(JSON.stringify(backup, null, 2), datedFileName("phonebook-backup", "json"), "application/json");
+    } catch (err) {
+      console.error("Failed to create backup:", err);
+      setError(err.message || "Failed to create backup.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setArchive(null);
+    setDiff(null);
+    setError(null);
+    setMessage(null);
+    if (!file) return;
+
+    setIsWorking(true);
+    try {
+      const read = await readBackup(await file.text());
+      setDiff(await diffBackup(token, read));
+      setArchive(read);
+    } catch (err) {
+      console.error("Failed to read backup:", err);
+      setError(err.message || "This backup could not be read.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    const otherAccount = !diff.ownBackup;
+    if (otherAccount && !window.confirm(
+      `This backup was made by ${archive.user.email || "another account"}. Restore its contacts into your account?`
+    )) {
+      return;
+    }
+    if (mode === "replace" && !window.confirm(
+      "Replace all your current data with this backup? Contacts that are not in the backup will be deleted."
+    )) {
+      return;
+    }
+
+    setError(null);
+    setIsWorking(true);
+    try {
+      await restoreBackup(token, archive, mode, { otherAccount });
+      // the profile name only follows a backup of this account
+      if (mode === "replace" && !otherAccount && diff.profile.backup && diff.profile.backup !== diff.profile.current) {
+        await dispatch(updateUser({ name: diff.profile.backup })).unwrap();
+      }
+      await dispatch(fetchContacts());
+      dispatch(fetchFavorites());
+      dispatch(fetchTags());
+      dispatch(fetchTrash());
+      dispatch(fetchPreferences());
+      setMessage(`Backup from ${new Date(archive.createdAt).toLocaleString()} restored.`);
+      setArchive(null);
+      setDiff(null);
+    } catch (err) {
+      console.error("Failed to restore backup:", err);
+      setError(typeof err === "string" ? err : err.message || "Failed to restore backup.");
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="auth-card backup-card">
+      <div className="auth-header">
+        <h2 className="auth-title">Backup &amp; restore</h2>
+        <p className="auth-subtitle">
+          Save a copy of your contacts and settings, or bring them back after clearing browser storage
+        </p>
+      </div>
+
+      {error && <div className="auth-error"><span>{error}</span></div>}
+      {message && <div className="info backup-message">{message}</div>}
+
+      <div className="backup-actions">
+        <button type="button" className="button" onClick={handleBackup} disabled={isWorking}>
+          Download backup
+        </button>
+        <label htmlFor={fieldIds.file} className="button secondary backup-file-label">
+          Restore from file
+          <input
+            id={fieldIds.file}
+            name="file"
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFileChange}
+            disabled={isWorking}
+            className="backup-file-input"
+          />
+        </label>
+      </div>
+
+      {archive && diff && (
+        <div className="backup-diff">
+          <p className="conflict-description">
+            Backup of <strong>{archive.user.email}</strong> from {new Date(archive.createdAt).toLocaleString()}
+          </p>
+          {!diff.ownBackup && (
+            <p className="import-note">
+              This backup was made by another account. Its contacts are added to yours as copies.
+            </p>
+          )}
+
+          <ul className="backup-diff-list">
+            {diff.ownBackup && diff.profile.backup !== diff.profile.current && (
+              <li>
+                Profile name: <strong>{diff.profile.current}</strong> → <strong>{diff.profile.backup}</strong>
+                <span className="import-note"> (replace only)</span>
+              </li>
+            )}
+            <li>{plural(diff.contacts.added.length, "new contact")}</li>
+            <li>{plural(diff.contacts.changed.length, "changed contact")}</li>
+            <li>
+              {plural(diff.contacts.removed.length, "contact")} not in the backup
+              <span className="import-note"> (deleted on replace)</span>
+            </li>
+            <li>{plural(diff.contacts.unchanged, "contact")} unchanged</li>
+            {diff.stores.map((entry) => (
+              <li key={entry.store}>
+                {STORE_LABELS[entry.store] || entry.store}: {entry.backup} in backup, {entry.current} now
+                {entry.added > 0 && `, ${entry.added} new`}
+              </li>
+            ))}
+          </ul>
+
+          {diff.contacts.changed.length > 0 && (
+            <table className="conflict-table">
+              <thead>
+                <tr>
+                  <th>Contact</th>
+                  <th>Now</th>
+                  <th>In backup</th>
+                </tr>
+              </thead>
+              <tbody>
+                {diff.contacts.changed.map(({ current, backup, fields }) => (
+                  <tr key={current.id}>
+                    <td>{current.name}</td>
+                    <td>{fields.map((field) => <div key={field}>{formatField(current[field], tagNames)}</div>)}</td>
+                    <td>{fields.map((field) => <div key={field}>{formatField(backup[field], tagNames)}</div>)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="export-options">
+            <label className="export-option">
+              <input
+                type="radio"
+                name="restore-mode"
+                checked={mode === "merge"}
+                onChange={() => setMode("merge")}
+              />
+              Merge (add new, update changed, keep the rest)
+            </label>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="restore-mode"
+                checked={mode === "replace"}
+                onChange={() => setMode("replace")}
+              />
+              Replace everything
+            </label>
+          </div>
+
+          <div className="conflict-actions">
+            <button type="button" className="button" onClick={handleRestore} disabled={isWorking}>
+              {isWorking ? "Restoring..." : "Restore backup"}
+            </button>
+            <button
+              type="button"
+              className="button secondary"
+              onClick={() => { setArchive(null); setDiff(null); }}
+              disabled={isWorking}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,166 @@
+/**
+ * BulkActions
+ * Toolbar of the contact list's selection mode. Acts on every selected contact: move
+ * to trash (undone as one from the toast), export, add a tag, add to favorites.
+ * Contacts are handled a few at a time through the usual thunks, with one progress
+ * line for the whole batch and a report of the contacts that failed.
+ * props:
+ *  - selectedIds: ids of the selected contacts, in list order
+ *  - shownCount: number of contacts the list shows (for "Select all")
+ *  - isLoadingAll: true while contacts are still loading; "Select all" waits for them
+ *  - onSelectAll(): select every shown contact
+ *  - onClearSelection()
+ *  - onExport(ids): open the export panel for these contacts
+ */
+import React, { useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  deleteContact,
+  assignTags,
+  saveFavoriteOrder,
+  beginUndoBatch,
+  endUndoBatch,
+  selectContactEntities,
+} from "../redux/contactsSlice";
+import { runInBatches } from "../utils/batch";
+
+// Contacts handled at the same time
+const BULK_CONCURRENCY = 3;
+
+const errorText = (error) => (typeof error === "string" ? error : error?.message || "Unknown error");
+
+const plural = (count) => `${count} contact${count === 1 ? "" : "s"}`;
+
+export default function BulkActions({ selectedIds, shownCount, isLoadingAll = false, onSelectAll, onClearSelection, onExport }) {
+  const dispatch = useDispatch();
+  const contactsById = useSelector(selectContactEntities);
+  const tags = useSelector((state) => state.contacts.tags);
+  const favorites = useSelector((state) => state.contacts.favorites);
+  // { label, done, total, failed } while a bulk action runs
+  const [progress, setProgress] = useState(null);
+  // { message, failures: [text] } after it finished
+  const [report, setReport] = useState(null);
+
+  const count = selectedIds.length;
+  const isRunning = progress !== null;
+  const nameOf = (id) => contactsById[id]?.name || id;
+
+  const runBulk = async (label, task) => {
+    const ids = [...selectedIds];
+    setReport(null);
+    setProgress({ label, done: 0, total: ids.length, failed: 0 });
+    const results = await runInBatches(ids, task, {
+      concurrency: BULK_CONCURRENCY,
+      onProgress: (p) => setProgress({ label, ...p }),
+    });
+    setProgress(null);
+    return results;
+  };
+
+  const reportResults = (results, doneText) => {
+    const failed = results.filter((r) => !r.ok);
+    const succeeded = results.length - failed.length;
+    setReport({
+      message: failed.length === 0
+        ? `${plural(succeeded)} ${doneText}.`
+        : `${plural(succeeded)} ${doneText}, ${failed.length} failed:`,
+      failures: failed.map((r) => `${nameOf(r.item)}: ${errorText(r.error)}`),
+    });
+    return failed.map((r) => r.item);
+  };
+
+  const handleDelete = async () => {
+    dispatch(beginUndoBatch());
+    const results = await runBulk("Moving to trash", (id) => dispatch(deleteContact(id)).unwrap());
+    dispatch(endUndoBatch());
+    reportResults(results, "moved to trash");
+  };
+
+  const handleTag = async (tagId) => {
+    const tag = tags.find((t) => t.id === tagId);
+    if (!tag) return;
+    const results = await runBulk(
+      `Adding tag ${tag.name}`,
+      (id) => dispatch(assignTags({ ids: [id], add: [tagId] })).unwrap()
+    );
+    reportResults(results, `tagged ${tag.name}`);
+  };
+
+  const handleFavorite = async () => {
+    // favorites are one ordered list, so they are saved in a single step
+    const existing = favorites.filter((id) => contactsById[id]);
+    const added = selectedIds.filter((id) => !existing.includes(id));
+    setReport(null);
+    try {
+      await dispatch(saveFavoriteOrder([...existing, ...added])).unwrap();
+      setReport({ message: `${plural(added.length)} added to favorites.`, failures: [] });
+    } catch (err) {
+      setReport({ message: "Could not add to favorites:", failures: [errorText(err)] });
+    }
+  };
+
+  return (
+    <div className="bulk-actions">
+      <div className="bulk-actions-row">
+        <span className="count">{`${count} selected`}</span>
+        <button type="button" className="link-button" onClick={onSelectAll} disabled={isRunning || isLoadingAll}>
+          {isLoadingAll ? "Loading all contacts..." : `Select all ${shownCount}`}
+        </button>
+        {count > 0 && (
+          <button type="button" className="link-button" onClick={onClearSelection} disabled={isRunning}>
+            Clear
+          </button>
+        )}
+        <div className="bulk-actions-buttons">
+          <button className="button small secondary" onClick={handleDelete} disabled={count === 0 || isRunning}>
+            Delete
+          </button>
+          <button
+            className="button small secondary"
+            onClick={() => onExport(selectedIds)}
+            disabled={count === 0 || isRunning}
+          >
+            Export
+          </button>
+          {tags.length > 0 && (
+            <select
+              className="input bulk-tag"
+              value=""
+              onChange={(e) => handleTag(e.target.value)}
+              disabled={count === 0 || isRunning}
+              aria-label="Add tag to selected contacts"
+            >
+              <option value="">Add tag...</option>
+              {tags.map((tag) => (
+                <option key={tag.id} value={tag.id}>{tag.name}</option>
+              ))}
+            </select>
+          )}
+          <button className="button small secondary" onClick={handleFavorite} disabled={count === 0 || isRunning}>
+            Add to favorites
+          </button>
+        </div>
+      </div>
+
+      {progress && (
+        <div className="import-progress" role="status">
+          {`${progress.label}: ${progress.done} of ${progress.total}`}
+          {progress.failed > 0 && `, ${progress.failed} failed`}
+        </div>
+      )}
+
+      {report && (
+        <div className={report.failures.length > 0 ? "error" : "import-note"} role="status">
+          {report.message}
+          {report.failures.length > 0 && (
+            <ul className="bulk-failures">
+              {report.failures.map((text, index) => (
+                <li key={index}>{text}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
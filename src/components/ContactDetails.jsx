@@ -0,0 +1,299 @@
+/**
+ * ContactDetails
+ * Page for a single contact at /contacts/:id: every field, a large avatar, quick
+ * actions (call, copy, share, favorite, edit, delete) and links to the previous and
+ * next contact of the list as currently sorted and filtered. The contact is loaded on its own,
+ * so the page can be opened from a bookmark or a shared link.
+ */
+import React, { useEffect, useMemo, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import {
+  fetchContacts,
+  fetchContactById,
+  editContact,
+  deleteContact,
+  toggleFavorite,
+  markContacted,
+  selectAllContacts,
+  selectFilteredContacts,
+  selectOperation,
+  CONTACT_IN_TRASH,
+} from "../redux/contactsSlice";
+import {
+  DETAIL_FIELDS,
+  getInitials,
+  getPhoneLabelText,
+} from "../utils/contactModel";
+import ContactForm from "./ContactForm";
+import FlashMessage from "./FlashMessage";
+import { StarIcon } from "./FavoriteContacts";
+import { TagChips } from "./TagPicker";
+
+// Digits (and a leading +) for tel: links
+const toTelHref = (number) => `tel:${number.replace(/[^\d+]/g, "")}`;
+
+// Plain text version of a contact, for copying and sharing
+const contactToText = (contact) => [
+  contact.name,
+  ...contact.numbers.map((n) => `${getPhoneLabelText(n.label)}: ${n.number}`),
+  ...DETAIL_FIELDS.filter(({ key }) => contact[key]).map(({ key, label }) => `${label}: ${contact[key]}`),
+].join("\n");
+
+export default function ContactDetails() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const contact = useSelector((state) => state.contacts.current);
+  const currentStatus = useSelector((state) => state.contacts.currentStatus);
+  const currentError = useSelector((state) => state.contacts.currentError);
+  const contacts = useSelector(selectAllContacts);
+  // the list as shown, for previous/next
+  const visible = useSelector(selectFilteredContacts);
+  const listStatus = useSelector((state) => selectOperation(state, "fetch").status);
+  const favoriteIds = useSelector((state) => state.contacts.favorites);
+  const isFavorite = favoriteIds.includes(id);
+  const tags = useSelector((state) => state.contacts.tags);
+  const [isEditing, setIsEditing] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setIsEditing(false);
+    dispatch(fetchContactById(id));
+  }, [id, dispatch]);
+
+  // Previous/next need the list - load it when the page was opened directly
+  useEffect(() => {
+    if (listStatus === "idle") {
+      dispatch(fetchContacts());
+    }
+  }, [listStatus, dispatch]);
+
+  const siblings = useMemo(() => {
+    const index = visible.findIndex((c) => c.id === id);
+    if (index === -1) return { previous: null, next: null, position: null, total: visible.length };
+    return {
+      previous: visible[index - 1] || null,
+      next: visible[index + 1] || null,
+      position: index + 1,
+      total: visible.length,
+    };
+  }, [visible, id]);
+
+  // for the "Recently contacted" order of the list
+  const handleContacted = () => {
+    dispatch(markContacted(id));
+  };
+
+  const handleCopy = async (text, what) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setMessage(`${what} copied`);
+    } catch (err) {
+      console.error("Failed to copy:", err);
+      alert("Copying is not available in this browser.");
+    }
+  };
+
+  const handleShare = async () => {
+    const text = contactToText(contact);
+    if (!navigator.share) {
+      // no share sheet (most desktop browsers): copy the contact instead
+      handleCopy(text, "Contact");
+      return;
+    }
+    try {
+      await navigator.share({ title: contact.name, text });
+    } catch (err) {
+      // closing the share sheet rejects with AbortError - nothing to report
+      if (err.name !== "AbortError") {
+        console.error("Failed to share contact:", err);
+      }
+    }
+  };
+
+  const handleSave = async (values) => {
+    // same duplicate rule as the list: names are unique, ignoring case
+    const normalized = values.name.trim().toLowerCase();
+    if (contacts.some((c) => c.id !== id && c.name.toLowerCase() === normalized)) {
+      alert(`${values.name} is already in contacts.`);
+      return;
+    }
+
+    try {
+      await dispatch(editContact({ id, ...values })).unwrap();
+      setIsEditing(false);
+      setMessage("Contact saved");
+    } catch (err) {
+      console.error("Failed to update contact:", err);
+      alert(typeof err === "string" ? err : err?.message || "Failed to update contact. Please try again.");
+    }
+  };
+
+  const handleDelete = async () => {
+    // moved to the trash - the toast offers an undo
+    try {
+      await dispatch(deleteContact(id)).unwrap();
+      navigate(siblings.next ? `/contacts/${siblings.next.id}` : "/contacts", { replace: true });
+    } catch (err) {
+      console.error("Failed to delete contact:", err);
+      alert(typeof err === "string" ? err : err?.message || "Failed to delete contact. Please try again.");
+    }
+  };
+
+  const navigation = (
+    <div className="contact-details-nav">
+      <Link to="/contacts" className="button small secondary">
+        Back to contacts
+      </Link>
+      {siblings.position && (
+        <div className="contact-details-pager">
+          <Link
+            to={siblings.previous ? `/contacts/${siblings.previous.id}` : "#"}
+            className={`button small secondary${siblings.previous ? "" : " disabled"}`}
+            aria-disabled={!siblings.previous}
+            onClick={(e) => !siblings.previous && e.preventDefault()}
+          >
+            Previous
+          </Link>
+          <span className="import-note">{siblings.position} of {siblings.total}</span>
+          <Link
+            to={siblings.next ? `/contacts/${siblings.next.id}` : "#"}
+            className={`button small secondary${siblings.next ? "" : " disabled"}`}
+            aria-disabled={!siblings.next}
+            onClick={(e) => !siblings.next && e.preventDefault()}
+          >
+            Next
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+
+  // still showing the previous contact while the next one loads is fine, any other is not
+  const isShown = contact && contact.id === id;
+
+  if (!isShown && currentStatus === "failed") {
+    const notFound = currentError === "Contact not found";
+    const inTrash = currentError === CONTACT_IN_TRASH;
+    return (
+      <div>
+        {navigation}
+        <section className="card">
+          <div className="empty-state">
+            <h3 className="empty-state-title">
+              {inTrash ? "This contact is in the trash" : notFound ? "Contact not found" : "Could not load this contact"}
+            </h3>
+            <p className="empty-state-description">
+              {inTrash
+                ? "It was deleted. You can restore it from the trash."
+                : notFound
+                  ? "This contact does not exist or was deleted. Check the link, or find the contact in your list."
+                  : currentError}
+            </p>
+            {inTrash && (
+              <Link to="/contacts/trash" className="empty-state-button">
+                Open trash
+              </Link>
+            )}
+            {!notFound && !inTrash && (
+              <button className="empty-state-button" onClick={() => dispatch(fetchContactById(id))}>
+                Try again
+              </button>
+            )}
+          </div>
+        </section>
+      </div>
+    );
+  }
+
+  if (!isShown) {
+    return (
+      <div>
+        {navigation}
+        <div className="loading">Loading contact...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {message && (
+        <FlashMessage message={message} type="success" onClose={() => setMessage(null)} duration={2000} />
+      )}
+
+      {navigation}
+
+      <section className="card contact-details">
+        <div className="contact-details-header">
+          <div className="profile-avatar-large">{getInitials(contact.name)}</div>
+          <div>
+            <h2 className="contact-details-name">{contact.name}</h2>
+            {(contact.jobTitle || contact.company) && (
+              <div className="contact-subtitle">{[contact.jobTitle, contact.company].filter(Boolean).join(", ")}</div>
+            )}
+            <TagChips tagIds={contact.tags} tags={tags} />
+          </div>
+        </div>
+
+        <div className="contact-details-actions">
+          {contact.number && (
+            <a className="button small" href={toTelHref(contact.number)} onClick={handleContacted}>
+              Call
+            </a>
+          )}
+          {contact.number && (
+            <button className="button small secondary" onClick={() => handleCopy(contact.number, "Number")}>
+              Copy number
+            </button>
+          )}
+          <button className="button small secondary" onClick={handleShare}>
+            Share
+          </button>
+          <button
+            className="button small secondary"
+            onClick={() => dispatch(toggleFavorite(id))}
+            aria-pressed={isFavorite}
+          >
+            <StarIcon filled={isFavorite} />
+            {isFavorite ? "Favorite" : "Add to favorites"}
+          </button>
+          <button className="button small secondary" onClick={() => setIsEditing(true)} disabled={isEditing}>
+            Edit
+          </button>
+          <button className="button small secondary" onClick={handleDelete}>
+            Delete
+          </button>
+        </div>
+
+        {isEditing ? (
+          <ContactForm
+            initialValues={contact}
+            submitLabel="Save"
+            onAdd={handleSave}
+            onCancel={() => setIsEditing(false)}
+          />
+        ) : (
+          <dl className="contact-details-fields-list">
+            {contact.numbers.map((n, index) => (
+              <React.Fragment key={index}>
+                <dt>{getPhoneLabelText(n.label)}</dt>
+                <dd>
+                  <a href={toTelHref(n.number)} onClick={handleContacted}>{n.number}</a>
+                </dd>
+              </React.Fragment>
+            ))}
+            {DETAIL_FIELDS.filter(({ key }) => contact[key]).map(({ key, label }) => (
+              <React.Fragment key={key}>
+                <dt>{label}</dt>
+                <dd className="contact-detail-text">
+                  {key === "email" ? <a href={`mailto:${contact.email}`} onClick={handleContacted}>{contact.email}</a> : contact[key]}
+                </dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -1,62 +1,95 @@
-import React, { useState, useCallback, useEffect } from "react";
+import React, { useState, useCallback } from "react";
+import { useSelector } from "react-redux";
 import { useFormFieldIds } from "../utils/useFormFieldIds";
+import { formatPhoneDigits } from "../utils/phone";
+import {
+  PHONE_LABELS,
+  DETAIL_FIELDS,
+  isPresetLabel,
+  normalizeContact,
+  getContactDetails,
+} from "../utils/contactModel";
+import TagPicker from "./TagPicker";
 
 /**
  * ContactForm
- * - onAdd({ name, number })
- * - formats phone number as XXX-XX-XX-X (max 8 digits)
+ * - onAdd({ name, number, numbers: [{ label, number }], email, company, jobTitle, address, notes, tags })
+ *   - number is the first (primary) number, details are trimmed ("" when left empty),
+ *     tags are the ids of the chosen tags
+ * - initialValues: optional contact to prefill the form (edit mode)
+ * - submitLabel: optional text for the submit button (defaults to "Add")
+ * - onCancel: optional, renders a Cancel button when provided
+ * - formats phone numbers as XXX-XX-XX-X (max 8 digits)
  */
 
-function formatPhoneDigits(digits) {
-  // allow up to 8 digits
-  const d = digits.slice(0, 8);
-  const parts = [];
-  if (d.length >= 3) {
-    parts.push(d.slice(0, 3));
-    if (d.length >= 5) {
-      parts.push(d.slice(3, 5));
-      if (d.length >= 7) {
-        parts.push(d.slice(5, 7));
-        if (d.length >= 8) {
-          parts.push(d.slice(7, 8));
-        } else if (d.length > 7) {
-          parts.push(d.slice(7));
-        }
-      } else {
-        parts.push(d.slice(5));
-      }
-    } else {
-      parts.push(d.slice(3));
-    }
-  } else {
-    parts.push(d);
-  }
-  return parts.filter(Boolean).join("-");
-}
+let nextRowKey = 0;
+
+// One editable number row. An untouched number is saved as-is when editing, so numbers
+// that do not fit the XXX-XX-XX-X format are not truncated by an unrelated change
+const createRow = ({ label = "mobile", number = "" } = {}) => ({
+  key: nextRowKey++,
+  label: isPresetLabel(label) ? label : "custom",
+  customLabel: isPresetLabel(label) ? "" : label,
+  // digits only string
+  digits: number.replace(/\D/g, "").slice(0, 8),
+  original: number,
+  touched: false,
+});
+
+const createRows = (initialValues) => {
+  const numbers = initialValues ? normalizeContact(initialValues).numbers : [];
+  return numbers.length > 0 ? numbers.map(createRow) : [createRow()];
+};
 
-export default function ContactForm({ onAdd }) {
-  const [name, setName] = useState("");
-  const [rawNumber, setRawNumber] = useState(""); // digits only string
-  const [displayNumber, setDisplayNumber] = useState("");
+// Input type and multi-line detail fields
+const DETAIL_INPUT_TYPES = { email: "email" };
+const MULTILINE_DETAILS = ["address", "notes"];
+
+const displayNumber = (row) => (!row.touched && row.original ? row.original : formatPhoneDigits(row.digits));
+
+export default function ContactForm({ onAdd, initialValues, submitLabel = "Add", onCancel }) {
+  const isEditing = Boolean(initialValues);
+  const [name, setName] = useState(initialValues?.name || "");
+  const [rows, setRows] = useState(() => createRows(initialValues));
+  const [details, setDetails] = useState(() => getContactDetails(initialValues || {}));
+  const [tagIds, setTagIds] = useState(() => initialValues?.tags || []);
+  const tags = useSelector((state) => state.contacts.tags);
+  // details are folded away unless the contact already has some
+  const [showDetails, setShowDetails] = useState(() =>
+    Object.values(getContactDetails(initialValues || {})).some((value) => value.trim() !== "")
+  );
 
   // Generate unique IDs for form fields using Unix timestamp
   const fieldIds = useFormFieldIds({
     name: 'contact-name',
     phone: 'contact-phone',
+    email: 'contact-email',
+    company: 'contact-company',
+    jobTitle: 'contact-job-title',
+    address: 'contact-address',
+    notes: 'contact-notes',
   });
 
-  // update displayNumber when rawNumber changes
-  useEffect(() => {
-    setDisplayNumber(formatPhoneDigits(rawNumber));
-  }, [rawNumber]);
+  const updateRow = useCallback((key, changes) => {
+    setRows((prev) => prev.map((row) => (row.key === key ? { ...row, ...changes } : row)));
+  }, []);
 
-  const handleNumberChange = useCallback((e) => {
+  const handleNumberChange = useCallback((key, e) => {
     // accept only digits
     const input = e.target.value;
     // remove non-digits
     const digits = input.replace(/\D/g, "");
     // limit to 8 digits for the format
-    setRawNumber(digits.slice(0, 8));
+    updateRow(key, { digits: digits.slice(0, 8), touched: true });
+  }, [updateRow]);
+
+  const handleAddRow = useCallback(() => {
+    // the first number is usually the mobile one, extra numbers are often work numbers
+    setRows((prev) => [...prev, createRow({ label: prev.some((r) => r.label === "work") ? "home" : "work" })]);
+  }, []);
+
+  const handleRemoveRow = useCallback((key) => {
+    setRows((prev) => prev.filter((row) => row.key !== key));
   }, []);
 
   const handleSubmit = useCallback(
@@ -68,23 +101,47 @@ export default function ContactForm({ onAdd }) {
         alert("Please enter a name.");
         return;
       }
-      if (rawNumber.length < 8) {
+
+      const filled = rows.filter((row) => displayNumber(row) !== "");
+      const isShort = (row) => (row.touched || !row.original) && row.digits.length < 8;
+      if (filled.length === 0 || filled.some(isShort)) {
         const proceed = window.confirm(
           "Number seems short. Do you want to add anyway?"
         );
         if (!proceed) return;
       }
 
+      const numbers = filled.map((row) => ({
+        label: row.label === "custom" ? row.customLabel.trim() || "other" : row.label,
+        number: displayNumber(row),
+      }));
+
+      const trimmedDetails = Object.fromEntries(
+        Object.entries(details).map(([key, value]) => [key, value.trim()])
+      );
+      if (trimmedDetails.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmedDetails.email)) {
+        alert("Please enter a valid email address.");
+        return;
+      }
+
       onAdd({
         name: trimmedName,
-        number: formatPhoneDigits(rawNumber),
+        number: numbers.length > 0 ? numbers[0].number : "",
+        numbers,
+        ...trimmedDetails,
+        // ids of tags deleted while the form was open are dropped
+        tags: tagIds.filter((id) => tags.some((tag) => tag.id === id)),
       });
 
-      // clear
-      setName("");
-      setRawNumber("");
+      // clear (edited values stay until the parent closes the form)
+      if (!isEditing) {
+        setName("");
+        setRows([createRow()]);
+        setDetails(getContactDetails({}));
+        setTagIds([]);
+      }
     },
-    [name, rawNumber, onAdd]
+    [name, rows, details, tagIds, tags, onAdd, isEditing]
   );
 
   return (
@@ -102,25 +159,113 @@ export default function ContactForm({ onAdd }) {
         />
       </div>
 
+      {rows.map((row, index) => (
+        <div className="form-row phone-row" key={row.key}>
+          <select
+            className="input phone-label"
+            name={`phone-label-${index}`}
+            value={row.label}
+            onChange={(e) => updateRow(row.key, { label: e.target.value })}
+            aria-label={`Label for number ${index + 1}`}
+          >
+            {PHONE_LABELS.map((l) => (
+              <option key={l.value} value={l.value}>{l.label}</option>
+            ))}
+            <option value="custom">Custom...</option>
+          </select>
+          {row.label === "custom" && (
+            <input
+              className="input phone-custom-label"
+              name={`phone-custom-label-${index}`}
+              placeholder="Label"
+              value={row.customLabel}
+              onChange={(e) => updateRow(row.key, { customLabel: e.target.value })}
+              aria-label={`Custom label for number ${index + 1}`}
+            />
+          )}
+          <input
+            id={index === 0 ? fieldIds.phone : `${fieldIds.phone}-${index}`}
+            name={index === 0 ? "phone" : `phone-${index}`}
+            type="tel"
+            className="input"
+            placeholder="Phone (digits only, will format)"
+            value={displayNumber(row)}
+            onChange={(e) => handleNumberChange(row.key, e)}
+            aria-label={index === 0 ? "Phone number" : `Phone number ${index + 1}`}
+            autoComplete="tel"
+          />
+          {rows.length > 1 && (
+            <button
+              type="button"
+              className="icon-button"
+              onClick={() => handleRemoveRow(row.key)}
+              title="Remove number"
+              aria-label={`Remove number ${index + 1}`}
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M18 6L6 18" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M6 6L18 18" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+            </button>
+          )}
+        </div>
+      ))}
+
+      {showDetails && (
+        <div className="contact-details-fields">
+          {DETAIL_FIELDS.map(({ key, label }) => {
+            const Field = MULTILINE_DETAILS.includes(key) ? "textarea" : "input";
+            return (
+              <Field
+                key={key}
+                id={fieldIds[key]}
+                name={key}
+                type={Field === "input" ? DETAIL_INPUT_TYPES[key] || "text" : undefined}
+                rows={Field === "textarea" ? 2 : undefined}
+                className={`input detail-${key}`}
+                placeholder={label}
+                value={details[key]}
+                onChange={(e) => setDetails((prev) => ({ ...prev, [key]: e.target.value }))}
+                aria-label={label}
+              />
+            );
+          })}
+        </div>
+      )}
+
+      {tags.length > 0 && (
+        <div className="form-row">
+          <TagPicker tags={tags} selected={tagIds} onChange={setTagIds} label="Contact tags" />
+        </div>
+      )}
+
       <div className="form-row">
-        <input
-          id={fieldIds.phone}
-          name="phone"
-          type="tel"
-          className="input"
-          placeholder="Phone (digits only, will format)"
-          value={displayNumber}
-          onChange={handleNumberChange}
-          aria-label="Phone number"
-          autoComplete="tel"
-        />
+        <button type="button" className="button small secondary" onClick={handleAddRow}>
+          Add number
+        </button>
+        {!showDetails && (
+          <button type="button" className="button small secondary" onClick={() => setShowDetails(true)}>
+            Add details
+          </button>
+        )}
         <button type="submit" className="button small">
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-            <path d="M12 5V19" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-            <path d="M5 12H19" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
-          </svg>
-          Add
+          {isEditing ? (
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M20 6L9 17L4 12" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            </svg>
+          ) : (
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M12 5V19" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              <path d="M5 12H19" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            </svg>
+          )}
+          {submitLabel}
         </button>
+        {onCancel && (
+          <button type="button" className="button small secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
       </div>
 
       <div className="info" style={{ marginTop: '16px', padding: '12px', borderRadius: 'var(--radius-sm)', fontSize: '13px' }}>
@@ -1,32 +1,341 @@
 
 /**
  * ContactList
+ * Only the rows on screen are rendered (see utils/useWindowedList.js), so imported
+ * phonebooks of tens of thousands of contacts scroll smoothly. The scroll position is
+ * kept while another page is open and put back on return.
  * props:
- *  - contacts: array [{ id, name, number }]
- *  - onDelete(id)
+ *  - contacts: array [{ id, name, number, numbers: [{ label, number }], email, company, jobTitle, address, notes, tags }]
+ *  - onDelete(id) - moves the contact to the trash, so it asks for no confirmation
+ *  - onEdit(id, { name, number, numbers, ...details, tags }) - should resolve to true when the change was saved
+ *  - favoriteIds: optional array of favorite contact ids (shows a star toggle with onToggleFavorite)
+ *  - onToggleFavorite(id)
+ *  - tags: optional array of the user's tags [{ id, name, color }] (shows each contact's tags)
+ *  - onChangeTags(id, tagIds): optional, adds a "Tags" button to change them from the row
+ *  - selectedIds: optional Set of selected ids; when given, rows get a checkbox
+ *    (shift-click selects the range from the previously clicked row)
+ *  - onSelectionChange(ids): called with the new Set of selected ids
+ *  - highlights: optional Map of contact id -> { name, numbers } ranges a search matched
+ *    (see utils/search.js), marked in the name and numbers
+ *  - onContact(id): optional, called when a number or email link is followed
+ *  - sectionBy: optional 'firstName' | 'lastName'; splits the list under letter headers
+ *    (the current letter stays at the top while scrolling) with a letter rail beside it
+ *    to jump between them. Only for lists in name order
+ *  - hasMorePages: optional, true when there are contacts on pages not loaded yet
+ *  - loadMoreStatus: 'idle' | 'loading' | 'succeeded' | 'failed' of the last page loaded
+ *  - onLoadMore(): loads the next page; called when the end of the list scrolls into
+ *    view, and from the "Load more" button (also to retry after a failure)
+ *  - onLoadAll(): optional, loads every page still missing; with it, letters of the rail
+ *    past the loaded pages can be picked, and the list jumps there once they are loaded
  */
 
-import React, { useMemo } from "react";
+import React, { useMemo, useState, useCallback, useRef, useEffect, useLayoutEffect } from "react";
+import ContactForm from "./ContactForm";
+import { Link } from "react-router-dom";
+import { getPhoneLabelText, getInitials } from "../utils/contactModel";
+import { StarIcon } from "./FavoriteContacts";
+import TagPicker, { TagChips } from "./TagPicker";
+import Highlight from "./Highlight";
+import AlphabetIndex from "./AlphabetIndex";
+import { getSectionLetter, getIndexLetters } from "../utils/contactSort";
+import { useWindowedList } from "../utils/useWindowedList";
 
-export default function ContactList({ contacts, onDelete, onShowAddForm }) {
-  // memoize rendered list items to avoid unnecessary re-renders
+const NO_TAGS = [];
+
+// Rows from the end of the list at which the next page is requested
+const LOAD_MORE_AHEAD = 20;
+
+// Expected heights before a row is measured (a contact with its gap, a letter header)
+const CONTACT_ROW_HEIGHT = 80;
+const SECTION_ROW_HEIGHT = 32;
+
+// Measured row heights and the page scroll, kept while the list is not shown
+const rowHeights = new Map();
+let savedScrollY = null;
+
+export default function ContactList({
+  contacts,
+  onDelete,
+  onEdit,
+  onShowAddForm,
+  favoriteIds,
+  onToggleFavorite,
+  tags = NO_TAGS,
+  onChangeTags,
+  selectedIds,
+  onSelectionChange,
+  highlights,
+  onContact,
+  sectionBy,
+  hasMorePages = false,
+  loadMoreStatus = "idle",
+  onLoadMore,
+  onLoadAll,
+}) {
+  // id of the contact currently shown in edit mode (one row at a time)
+  const [editingId, setEditingId] = useState(null);
+  // id of the contact whose tag picker is open
+  const [taggingId, setTaggingId] = useState(null);
+  // ids of contacts whose other numbers and details are shown
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+  // last row whose checkbox was clicked, where a shift-click range starts
+  const anchorIdRef = useRef(null);
+
+  const handleSelect = useCallback((id, shiftKey) => {
+    const next = new Set(selectedIds);
+    const select = !selectedIds.has(id);
+    const from = contacts.findIndex((c) => c.id === anchorIdRef.current);
+    const to = contacts.findIndex((c) => c.id === id);
+    // the whole range takes the new state of the clicked row
+    const range = shiftKey && from !== -1
+      ? contacts.slice(Math.min(from, to), Math.max(from, to) + 1)
+      : [contacts[to]];
+    range.forEach((c) => (select ? next.add(c.id) : next.delete(c.id)));
+    anchorIdRef.current = id;
+    onSelectionChange(next);
+  }, [contacts, selectedIds, onSelectionChange]);
+
+  const toggleExpanded = useCallback((id) => {
+    setExpandedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  }, []);
+
+  const handleSave = useCallback(
+    async (id, values) => {
+      const saved = await onEdit(id, values);
+      if (saved) setEditingId(null);
+    },
+    [onEdit]
+  );
+
+  // contacts, with a header row where a new letter starts when sectionBy is given
+  const rows = useMemo(() => {
+    const result = [];
+    let letter = null;
+    contacts.forEach((contact) => {
+      if (sectionBy) {
+        const next = getSectionLetter(contact, sectionBy);
+        if (next !== letter) {
+          letter = next;
+          result.push({ key: `section:${letter}:${contact.id}`, letter });
+        }
+      }
+      result.push({ key: `contact:${contact.id}`, contact, letter });
+    });
+    return result;
+  }, [contacts, sectionBy]);
+
+  const keys = useMemo(() => rows.map((row) => row.key), [rows]);
+  const estimateHeight = useCallback(
+    (index) => (rows[index].contact ? CONTACT_ROW_HEIGHT : SECTION_ROW_HEIGHT),
+    [rows]
+  );
+  const stickyRef = useRef(null);
+  const { listRef, measureRef, start, end, topIndex, offsets, totalHeight, scrollToIndex } = useWindowedList(keys, {
+    estimateHeight,
+    heights: rowHeights,
+    anchorRef: stickyRef,
+  });
+
+  const sectionLetters = useMemo(
+    () => new Set(rows.filter((row) => !row.contact).map((row) => row.letter)),
+    [rows]
+  );
+  const indexLetters = useMemo(() => getIndexLetters(sectionLetters), [sectionLetters]);
+  // contacts of any letter may be on the pages not loaded yet
+  const canLoadAll = hasMorePages && Boolean(onLoadAll);
+  const railLetters = useMemo(
+    () => (canLoadAll ? new Set(indexLetters) : sectionLetters),
+    [canLoadAll, indexLetters, sectionLetters]
+  );
+
+  // letter picked on the rail before its contacts were loaded
+  const [pendingLetter, setPendingLetter] = useState(null);
+
+  // puts the letter's header right below the sticky page header
+  const jumpToLetter = useCallback((letter) => {
+    const index = rows.findIndex((row) => !row.contact && row.letter === letter);
+    if (index === -1) {
+      if (canLoadAll) {
+        setPendingLetter(letter);
+        onLoadAll();
+      }
+      return;
+    }
+    const headerHeight = parseFloat(
+      getComputedStyle(document.documentElement).getPropertyValue("--header-height")
+    ) || 0;
+    scrollToIndex(index, { offset: headerHeight });
+  }, [rows, scrollToIndex, canLoadAll, onLoadAll]);
+
+  useEffect(() => {
+    if (pendingLetter === null || loadMoreStatus === "loading") return;
+    setPendingLetter(null);
+    if (!hasMorePages) jumpToLetter(pendingLetter);
+  }, [pendingLetter, hasMorePages, loadMoreStatus, jumpToLetter]);
+
+  // back where the user was, once the contacts are there
+  const isRestoredRef = useRef(false);
+  useLayoutEffect(() => {
+    if (isRestoredRef.current || contacts.length === 0) return;
+    isRestoredRef.current = true;
+    if (savedScrollY !== null) window.scrollTo(0, savedScrollY);
+  }, [contacts.length]);
+
+  useEffect(() => {
+    const remember = () => {
+      savedScrollY = window.scrollY;
+    };
+    window.addEventListener("scroll", remember, { passive: true });
+    return () => window.removeEventListener("scroll", remember);
+  }, []);
+
+  // infinite scroll: the next page is asked for before the last row comes into view
+  // (not again after a failure - the button below retries)
+  const isNearEnd = end >= rows.length - LOAD_MORE_AHEAD;
+  useEffect(() => {
+    if (isNearEnd && hasMorePages && loadMoreStatus !== "loading" && loadMoreStatus !== "failed" && onLoadMore) onLoadMore();
+  }, [isNearEnd, hasMorePages, loadMoreStatus, onLoadMore]);
+
+  // memoize rendered rows to avoid unnecessary re-renders
   const items = useMemo(() => {
-    return contacts.map((c) => (
-      <div className="contact" key={c.id}>
+    const renderContact = (c) => c.id === editingId ? (
+      <div className="contact editing" key={c.id}>
+        <ContactForm
+          initialValues={c}
+          submitLabel="Save"
+          onAdd={(values) => handleSave(c.id, values)}
+          onCancel={() => setEditingId(null)}
+        />
+      </div>
+    ) : (
+      <div className={`contact${selectedIds?.has(c.id) ? " selected" : ""}`} key={c.id}>
         <div className="meta">
+          {selectedIds && (
+            <input
+              type="checkbox"
+              className="contact-select"
+              checked={selectedIds.has(c.id)}
+              // onClick, not onChange: only the click event knows about the shift key
+              onClick={(e) => handleSelect(c.id, e.shiftKey)}
+              onChange={() => {}}
+              aria-label={`Select ${c.name}`}
+            />
+          )}
           <div className="avatar">{getInitials(c.name)}</div>
           <div>
-            <div className="name">{c.name}</div>
-            <div className="number">{c.number}</div>
+            <Link className="name contact-link" to={`/contacts/${c.id}`}>
+              <Highlight text={c.name} ranges={highlights?.get(c.id)?.name} />
+            </Link>
+            {(c.jobTitle || c.company) && (
+              <div className="contact-subtitle">{[c.jobTitle, c.company].filter(Boolean).join(", ")}</div>
+            )}
+            {c.id !== taggingId && <TagChips tagIds={c.tags} tags={tags} />}
+            {c.id === taggingId && (
+              <TagPicker
+                tags={tags}
+                selected={c.tags || []}
+                onChange={(tagIds) => onChangeTags(c.id, tagIds)}
+                label={`Tags of ${c.name}`}
+              />
+            )}
+            <div className="number">
+              <Highlight text={c.number} ranges={highlights?.get(c.id)?.numbers[0]} />
+              {hasMore(c) && (
+                <button
+                  type="button"
+                  className="link-button more-numbers"
+                  onClick={() => toggleExpanded(c.id)}
+                  aria-expanded={expandedIds.has(c.id)}
+                >
+                  {expandedIds.has(c.id)
+                    ? "Hide"
+                    : c.numbers?.length > 1 ? `+${c.numbers.length - 1} more` : "Details"}
+                </button>
+              )}
+            </div>
+            {expandedIds.has(c.id) && (
+              <ul className="number-list">
+                {c.numbers.map((n, index) => (
+                  <li key={index}>
+                    <span className="number-label">{getPhoneLabelText(n.label)}</span>
+                    <a href={`tel:${n.number.replace(/[^\d+]/g, "")}`} onClick={() => onContact?.(c.id)}>
+                      <Highlight text={n.number} ranges={highlights?.get(c.id)?.numbers[index]} />
+                    </a>
+                  </li>
+                ))}
+                {c.email && (
+                  <li>
+                    <span className="number-label">Email</span>
+                    <a href={`mailto:${c.email}`} onClick={() => onContact?.(c.id)}>{c.email}</a>
+                  </li>
+                )}
+                {c.address && (
+                  <li>
+                    <span className="number-label">Address</span>
+                    <span className="contact-detail-text">{c.address}</span>
+                  </li>
+                )}
+                {c.notes && (
+                  <li>
+                    <span className="number-label">Notes</span>
+                    <span className="contact-detail-text">{c.notes}</span>
+                  </li>
+                )}
+              </ul>
+            )}
           </div>
         </div>
-        <div>
+        <div className="contact-actions">
+          {onToggleFavorite && (
+            <button
+              className={`icon-button favorite-toggle${favoriteIds?.includes(c.id) ? " active" : ""}`}
+              onClick={() => onToggleFavorite(c.id)}
+              title={favoriteIds?.includes(c.id) ? "Remove from favorites" : "Add to favorites"}
+              aria-label={favoriteIds?.includes(c.id) ? `Remove ${c.name} from favorites` : `Add ${c.name} to favorites`}
+              aria-pressed={Boolean(favoriteIds?.includes(c.id))}
+            >
+              <StarIcon filled={favoriteIds?.includes(c.id)} />
+            </button>
+          )}
+          {onChangeTags && tags.length > 0 && (
+            <button
+              className={`icon-button${c.id === taggingId ? " active" : ""}`}
+              onClick={() => setTaggingId(c.id === taggingId ? null : c.id)}
+              title={c.id === taggingId ? "Done" : "Change tags"}
+              aria-expanded={c.id === taggingId}
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M20.59 13.41L13.42 20.58C13.2343 20.766 13.0137 20.9135 12.7709 21.0141C12.5281 21.1148 12.2678 21.1666 12.005 21.1666C11.7422 21.1666 11.4819 21.1148 11.2391 21.0141C10.9963 20.9135 10.7757 20.766 10.59 20.58L2 12V2H12L20.59 10.59C20.9625 10.9647 21.1716 11.4716 21.1716 12C21.1716 12.5284 20.9625 13.0353 20.59 13.41Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M7 7H7.01" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+              {c.id === taggingId ? "Done" : "Tags"}
+            </button>
+          )}
+          {onEdit && (
+            <button
+              className="icon-button edit"
+              onClick={() => setEditingId(c.id)}
+              title="Edit contact"
+            >
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M11 4H4C3.46957 4 2.96086 4.21071 2.58579 4.58579C2.21071 4.96086 2 5.46957 2 6V20C2 20.5304 2.21071 21.0391 2.58579 21.4142C2.96086 21.7893 3.46957 22 4 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V13" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                <path d="M18.5 2.5C18.8978 2.10218 19.4374 1.87868 20 1.87868C20.5626 1.87868 21.1022 2.10218 21.5 2.5C21.8978 2.89782 22.1213 3.43739 22.1213 4C22.1213 4.56261 21.8978 5.10218 21.5 5.5L12 15L8 16L9 12L18.5 2.5Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+              </svg>
+              Edit
+            </button>
+          )}
           <button
             className="icon-button"
-            onClick={() => {
-              if (window.confirm(`Remove ${c.name}?`)) onDelete(c.id);
-            }}
-            title="Remove contact"
+            onClick={() => onDelete(c.id)}
+            title="Move to trash (can be undone)"
           >
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
               <path d="M3 6H5H21" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
@@ -38,10 +347,22 @@ export default function ContactList({ contacts, onDelete, onShowAddForm }) {
           </button>
         </div>
       </div>
+    );
+
+    return rows.slice(start, end).map((row) => (
+      <div
+        className={row.contact ? "list-row" : "list-row list-section"}
+        key={row.key}
+        ref={measureRef}
+        data-row-key={row.key}
+      >
+        {row.contact ? renderContact(row.contact) : <h3 className="list-section-header">{row.letter}</h3>}
+      </div>
     ));
-  }, [contacts, onDelete]);
+  }, [rows, start, end, measureRef, onDelete, onEdit, editingId, handleSave, expandedIds, toggleExpanded, favoriteIds, onToggleFavorite, tags, taggingId, onChangeTags, selectedIds, handleSelect, highlights, onContact]);
 
-  if (!contacts || contacts.length === 0) {
+  // (a first page can come back empty when all of it is in the trash)
+  if ((!contacts || contacts.length === 0) && !hasMorePages) {
     return (
       <div className="empty-state">
         <div className="empty-state-icon">
@@ -70,12 +391,41 @@ export default function ContactList({ contacts, onDelete, onShowAddForm }) {
     );
   }
 
-  return <div className="list">{items}</div>;
+  return (
+    <div className="list-layout">
+      <div className="list" ref={listRef}>
+        {sectionBy && (
+          <div className="list-section-sticky" ref={stickyRef} aria-hidden="true">
+            <div className="list-section-header">{rows[topIndex]?.letter}</div>
+          </div>
+        )}
+        <div style={{ height: offsets[start] }} />
+        {items}
+        <div style={{ height: totalHeight - offsets[end] }} />
+        {hasMorePages && onLoadMore && (
+          <div className="list-load-more">
+            {loadMoreStatus === "failed" && (
+              <span className="list-load-more-error">Could not load more contacts.</span>
+            )}
+            <button
+              type="button"
+              className="button small secondary"
+              onClick={onLoadMore}
+              disabled={loadMoreStatus === "loading"}
+            >
+              {loadMoreStatus === "loading" ? "Loading..." : loadMoreStatus === "failed" ? "Try again" : "Load more"}
+            </button>
+          </div>
+        )}
+      </div>
+      {sectionBy && (
+        <AlphabetIndex letters={indexLetters} available={railLetters} onJump={jumpToLetter} />
+      )}
+    </div>
+  );
 }
 
-function getInitials(name) {
-  if (!name) return "";
-  const parts = name.trim().split(/\s+/);
-  if (parts.length === 1) return parts[0].slice(0, 2).toUpperCase();
-  return (parts[0][0] + parts[1][0]).toUpperCase();
+// Other numbers or details to show when the row is expanded
+function hasMore(contact) {
+  return contact.numbers?.length > 1 || Boolean(contact.email || contact.address || contact.notes);
 }
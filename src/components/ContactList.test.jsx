@@ -0,0 +1,121 @@
+import React from "react";
+import { act, render, screen, waitFor } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import ContactList from "./ContactList";
+
+// Measured row heights are kept by ContactList between renders, so every test
+// uses contacts of its own (see the prefix)
+const makeContacts = (count, prefix) => Array.from({ length: count }, (_, i) => ({
+  id: `${prefix}${i}`,
+  name: `Contact ${String(i).padStart(5, "0")}`,
+  number: "459-12-56",
+  numbers: [{ label: "mobile", number: "459-12-56" }],
+}));
+
+const renderList = (contacts) => render(
+  <MemoryRouter>
+    <ContactList contacts={contacts} onDelete={() => {}} onEdit={() => {}} favoriteIds={[]} onToggleFavorite={() => {}} />
+  </MemoryRouter>
+);
+
+// names of the rows in the DOM, in order
+const namesInList = () => screen.queryAllByText(/^Contact \d{5}$/).map((name) => name.textContent);
+
+// jsdom does no layout: rows report the heights given with resize(), and the list
+// is at the top of the page, moved up by the page scroll
+const observers = new Set();
+class FakeResizeObserver {
+  constructor(callback) {
+    this.callback = callback;
+    this.elements = new Set();
+    observers.add(this);
+  }
+  observe(element) { this.elements.add(element); }
+  unobserve(element) { this.elements.delete(element); }
+  disconnect() {
+    this.elements.clear();
+    observers.delete(this);
+  }
+}
+
+const resize = (key, height) => act(() => {
+  observers.forEach((observer) => {
+    const entries = [...observer.elements]
+      .filter((element) => element.dataset.rowKey === key)
+      .map((target) => {
+        Object.defineProperty(target, "offsetHeight", { value: height, configurable: true });
+        return { target };
+      });
+    if (entries.length > 0) observer.callback(entries);
+  });
+});
+
+const scrollPage = (y) => act(() => {
+  window.scrollY = y;
+  window.dispatchEvent(new Event("scroll"));
+});
+
+beforeEach(() => {
+  window.ResizeObserver = FakeResizeObserver;
+  window.scrollY = 0;
+  // like browsers, the scroll event comes after the scroll
+  window.scrollTo = jest.fn((x, y) => {
+    window.scrollY = y;
+    setTimeout(() => window.dispatchEvent(new Event("scroll")));
+  });
+  jest.spyOn(HTMLElement.prototype, "getBoundingClientRect").mockImplementation(function getRect() {
+    const top = this.classList.contains("list") ? -window.scrollY : 0;
+    return { top, bottom: top, left: 0, right: 0, width: 0, height: 0, x: 0, y: top };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete window.ResizeObserver;
+});
+
+test("renders only the rows on screen out of 20,000 contacts", () => {
+  renderList(makeContacts(20000, "big"));
+
+  // the screen (768px in jsdom) plus 600px of overscan on either side, at 80px a row
+  const names = namesInList();
+  expect(names.length).toBeGreaterThan(0);
+  expect(names.length).toBeLessThan(30);
+  expect(names[0]).toBe("Contact 00000");
+});
+
+test("moves the window along as the page scrolls", async () => {
+  renderList(makeContacts(20000, "scroll"));
+
+  scrollPage(800000);
+  await waitFor(() => expect(namesInList()).toContain("Contact 10000"));
+  expect(namesInList()).not.toContain("Contact 00000");
+  expect(namesInList().length).toBeLessThan(30);
+});
+
+test("lays rows out with their measured heights", async () => {
+  renderList(makeContacts(1000, "tall"));
+
+  // the first row is expanded to 200px instead of the estimated 80px
+  resize("contact:tall0", 200);
+  scrollPage(20000);
+
+  // 600px of overscan above 20000: row 241 starts at 200 + 240 * 80 = 19400,
+  // where it would be row 242 with every row at 80px
+  await waitFor(() => expect(namesInList()[0]).toBe("Contact 00241"));
+});
+
+test("scrolls back to where the list was when it is shown again", async () => {
+  const contacts = makeContacts(5000, "restore");
+  const { unmount } = renderList(contacts);
+  scrollPage(40000);
+  await waitFor(() => expect(namesInList()).toContain("Contact 00500"));
+  unmount();
+
+  // e.g. after opening a contact, the page is back at the top
+  window.scrollY = 0;
+  renderList(contacts);
+
+  expect(window.scrollTo).toHaveBeenLastCalledWith(0, 40000);
+  await waitFor(() => expect(namesInList()).toContain("Contact 00500"));
+});
@@ -0,0 +1,111 @@
+/**
+ * CsvColumnMapping
+ * Settings for reading a CSV file: encoding, delimiter, header row and which
+ * columns hold the contact name and number.
+ * props:
+ *  - settings: { encoding, delimiter, hasHeader, nameColumn, lastNameColumn, numberColumn }
+ *  - columns: array of column labels (header values or "Column N")
+ *  - encodingLocked: true when the file has a byte order mark that decides the encoding
+ *  - onChange(patch)
+ *  - disabled
+ */
+import React from "react";
+import { CSV_ENCODINGS } from "../utils/csv";
+
+const DELIMITER_OPTIONS = [
+  { value: ",", label: "Comma (,)" },
+  { value: ";", label: "Semicolon (;)" },
+  { value: "\t", label: "Tab" },
+];
+
+function ColumnSelect({ label, value, columns, onChange, optional, disabled }) {
+  return (
+    <label className="csv-mapping-field">
+      <span>{label}</span>
+      <select
+        className="input"
+        value={value === null ? "" : String(value)}
+        onChange={(e) => onChange(e.target.value === "" ? null : Number(e.target.value))}
+        disabled={disabled}
+      >
+        {optional && <option value="">— None —</option>}
+        {columns.map((column, index) => (
+          <option key={index} value={index}>{column}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default function CsvColumnMapping({ settings, columns, encodingLocked, onChange, disabled }) {
+  return (
+    <div className="csv-mapping">
+      <div className="csv-mapping-row">
+        <label className="csv-mapping-field">
+          <span>Encoding</span>
+          <select
+            className="input"
+            value={settings.encoding}
+            onChange={(e) => onChange({ encoding: e.target.value })}
+            disabled={disabled || encodingLocked}
+            title={encodingLocked ? "Set by the file's byte order mark" : undefined}
+          >
+            {CSV_ENCODINGS.map((encoding) => (
+              <option key={encoding.value} value={encoding.value}>{encoding.label}</option>
+            ))}
+            {encodingLocked && !CSV_ENCODINGS.some((e) => e.value === settings.encoding) && (
+              <option value={settings.encoding}>{settings.encoding.toUpperCase()}</option>
+            )}
+          </select>
+        </label>
+        <label className="csv-mapping-field">
+          <span>Delimiter</span>
+          <select
+            className="input"
+            value={settings.delimiter}
+            onChange={(e) => onChange({ delimiter: e.target.value })}
+            disabled={disabled}
+          >
+            {DELIMITER_OPTIONS.map((option) => (
+              <option key={option.label} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="export-option">
+          <input
+            type="checkbox"
+            checked={settings.hasHeader}
+            onChange={(e) => onChange({ hasHeader: e.target.checked })}
+            disabled={disabled}
+          />
+          First row is a header
+        </label>
+      </div>
+
+      <div className="csv-mapping-row">
+        <ColumnSelect
+          label="Name"
+          value={settings.nameColumn}
+          columns={columns}
+          onChange={(nameColumn) => onChange({ nameColumn })}
+          disabled={disabled}
+        />
+        <ColumnSelect
+          label="Last name (optional)"
+          value={settings.lastNameColumn}
+          columns={columns}
+          onChange={(lastNameColumn) => onChange({ lastNameColumn })}
+          optional
+          disabled={disabled}
+        />
+        <ColumnSelect
+          label="Number"
+          value={settings.numberColumn}
+          columns={columns}
+          onChange={(numberColumn) => onChange({ numberColumn })}
+          disabled={disabled}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,264 @@
+/**
+ * DuplicateReview
+ * Page at /contacts/duplicates listing pairs of contacts that look like the same person
+ * (same number or a nearly identical name, see utils/duplicates.js) side by side.
+ * For each pair the user picks the record to keep and, field by field, which values
+ * it ends up with; merging saves the kept contact and deletes the other one through
+ * the API (its favorite place goes to the kept one). Pairs can also be dismissed
+ * as not duplicates for the rest of the visit.
+ */
+import React, { useEffect, useMemo, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { Link } from "react-router-dom";
+import {
+  editContact,
+  purgeContact,
+  saveFavoriteOrder,
+  fetchMoreContacts,
+  selectAllContacts,
+  selectOperation,
+} from "../redux/contactsSlice";
+import {
+  MERGE_FIELDS,
+  findDuplicatePairs,
+  getDefaultMergeChoices,
+  mergeContactValues,
+} from "../utils/duplicates";
+import { getPhoneLabelText, normalizeContact } from "../utils/contactModel";
+import { TagChips } from "./TagPicker";
+import FlashMessage from "./FlashMessage";
+
+// "Same number, similar name (90%)"
+const reasonText = (pair) => {
+  const reasons = [];
+  if (pair.sameNumber) reasons.push("same number");
+  if (pair.similarName) reasons.push(`similar name (${Math.round(pair.similarity * 100)}%)`);
+  const text = reasons.join(", ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+const numbersText = (contact) => contact.numbers
+  .map((n) => `${n.number} (${getPhoneLabelText(n.label)})`)
+  .join(", ");
+
+// Choices keyed by side ("a" / "b") rather than kept / other, so they stay put when the kept record changes
+const defaultChoices = (a, b) => {
+  const choices = getDefaultMergeChoices(a, b);
+  return Object.keys(choices).reduce((acc, key) => ({
+    ...acc,
+    [key]: { keep: "a", other: "b", both: "both" }[choices[key]],
+  }), {});
+};
+
+function DuplicatePairCard({ pair, tags, onMerge, onDismiss, disabled }) {
+  const a = useMemo(() => normalizeContact(pair.a), [pair.a]);
+  const b = useMemo(() => normalizeContact(pair.b), [pair.b]);
+  const [keepSide, setKeepSide] = useState("a");
+  const [choices, setChoices] = useState(() => defaultChoices(a, b));
+
+  const keep = keepSide === "a" ? a : b;
+  const other = keepSide === "a" ? b : a;
+  const merged = useMemo(() => {
+    const mergeChoices = Object.keys(choices).reduce((acc, key) => ({
+      ...acc,
+      [key]: choices[key] === "both" ? "both" : choices[key] === keepSide ? "keep" : "other",
+    }), {});
+    return mergeContactValues(keep, other, mergeChoices);
+  }, [keep, other, keepSide, choices]);
+
+  // Only fields either contact has are worth a row
+  const fields = MERGE_FIELDS.filter(({ key }) => a[key] || b[key]);
+  const sameNumbers = numbersText(a) === numbersText(b);
+
+  const choice = (field, side, text) => (
+    <label className="conflict-choice">
+      <input
+        type="radio"
+        name={`duplicate-${pair.key}-${field}`}
+        checked={choices[field] === side}
+        onChange={() => setChoices((prev) => ({ ...prev, [field]: side }))}
+        disabled={disabled}
+      />
+      {text || <span className="import-note">(empty)</span>}
+    </label>
+  );
+
+  return (
+    <section className="card conflict-card">
+      <div className="import-header">
+        <h2>{`${a.name} / ${b.name}`}</h2>
+        <span className="import-note">{reasonText(pair)}</span>
+      </div>
+
+      <table className="conflict-table duplicate-table">
+        <thead>
+          <tr>
+            <th>Field</th>
+            {[["a", a], ["b", b]].map(([side, contact]) => (
+              <th key={side}>
+                <label className="conflict-choice">
+                  <input
+                    type="radio"
+                    name={`duplicate-${pair.key}-keep`}
+                    checked={keepSide === side}
+                    onChange={() => setKeepSide(side)}
+                    disabled={disabled}
+                  />
+                  {`Keep ${contact.name}`}
+                </label>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map(({ key, label }) => (
+            <tr key={key}>
+              <td>{label}</td>
+              {a[key] === b[key] ? (
+                <td colSpan={2}>{a[key]}</td>
+              ) : (
+                <>
+                  <td>{choice(key, "a", a[key])}</td>
+                  <td>{choice(key, "b", b[key])}</td>
+                </>
+              )}
+            </tr>
+          ))}
+          <tr>
+            <td>Numbers</td>
+            {sameNumbers ? (
+              <td colSpan={2}>{numbersText(a)}</td>
+            ) : (
+              <>
+                <td>{choice("numbers", "a", numbersText(a))}</td>
+                <td>{choice("numbers", "b", numbersText(b))}</td>
+              </>
+            )}
+          </tr>
+          {!sameNumbers && (
+            <tr>
+              <td />
+              <td colSpan={2}>{choice("numbers", "both", "Keep the numbers of both")}</td>
+            </tr>
+          )}
+          {(a.tags.length > 0 || b.tags.length > 0) && (
+            <tr>
+              <td>Tags</td>
+              <td colSpan={2}>
+                <TagChips tagIds={merged.tags} tags={tags} />
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <div className="conflict-preview">
+        Merge result: <strong>{merged.name}</strong> · {numbersText(merged)}
+      </div>
+
+      <div className="conflict-actions">
+        <button className="button small" onClick={() => onMerge(keep, other, merged)} disabled={disabled}>
+          {`Merge and delete ${other.name}`}
+        </button>
+        <button className="button small secondary" onClick={() => onDismiss(pair)} disabled={disabled}>
+          Not duplicates
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default function DuplicateReview() {
+  const dispatch = useDispatch();
+  const contacts = useSelector(selectAllContacts);
+  const status = useSelector((state) => selectOperation(state, "fetch").status);
+  const favorites = useSelector((state) => state.contacts.favorites);
+  const tags = useSelector((state) => state.contacts.tags);
+  const hasMore = useSelector((state) => state.contacts.paging.hasMore);
+  const loadMoreStatus = useSelector((state) => selectOperation(state, "loadMore").status);
+  // keys of the pairs marked as not duplicates
+  const [dismissed, setDismissed] = useState(() => new Set());
+  const [isMerging, setIsMerging] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  // duplicates can be anywhere in the list, not only on the pages loaded so far
+  useEffect(() => {
+    if (hasMore && loadMoreStatus !== "loading" && loadMoreStatus !== "failed") dispatch(fetchMoreContacts({ all: true }));
+  }, [hasMore, loadMoreStatus, dispatch]);
+
+  const pairs = useMemo(
+    () => findDuplicatePairs(contacts).filter((pair) => !dismissed.has(pair.key)),
+    [contacts, dismissed]
+  );
+
+  const handleDismiss = (pair) => {
+    setDismissed((prev) => new Set([...prev, pair.key]));
+  };
+
+  const handleMerge = async (keep, other, values) => {
+    if (!window.confirm(`Merge ${other.name} into ${keep.name}? ${other.name} will be deleted.`)) return;
+    setIsMerging(true);
+    try {
+      await dispatch(editContact({ id: keep.id, ...values })).unwrap();
+      // the kept contact takes the deleted one's place among the favorites
+      if (favorites.includes(other.id)) {
+        const order = favorites.includes(keep.id)
+          ? favorites.filter((id) => id !== other.id)
+          : favorites.map((id) => (id === other.id ? keep.id : id));
+        await dispatch(saveFavoriteOrder(order)).unwrap();
+      }
+      await dispatch(purgeContact(other.id)).unwrap();
+      setMessage(`Merged into ${values.name}`);
+    } catch (err) {
+      console.error("Failed to merge contacts:", err);
+      alert(typeof err === "string" ? err : err?.message || "Failed to merge contacts. Please try again.");
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  return (
+    <div>
+      {message && (
+        <FlashMessage message={message} type="success" onClose={() => setMessage(null)} duration={2000} />
+      )}
+
+      <div className="page-header">
+        <h1 className="page-title">Duplicates</h1>
+        <Link to="/contacts" className="profile-cancel-link">
+          Back to contacts
+        </Link>
+      </div>
+
+      {pairs.length === 0 ? (
+        <section className="card">
+          <div className="empty-state">
+            <h3 className="empty-state-title">
+              {status === "loading" ? "Looking for duplicates..." : "No duplicates found"}
+            </h3>
+            <p className="empty-state-description">
+              Contacts that share a number or have nearly the same name show up here.
+            </p>
+          </div>
+        </section>
+      ) : (
+        <>
+          <p className="conflict-description">
+            {`${pairs.length} possible duplicate${pairs.length === 1 ? "" : "s"}. `}
+            Pick the record to keep and the values it should have, then merge.
+          </p>
+          {pairs.map((pair) => (
+            <DuplicatePairCard
+              key={pair.key}
+              pair={pair}
+              tags={tags}
+              onMerge={handleMerge}
+              onDismiss={handleDismiss}
+              disabled={isMerging}
+            />
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
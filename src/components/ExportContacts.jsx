@@ -0,0 +1,192 @@
+/**
+ * ExportContacts
+ * Downloads contacts as a vCard (.vcf) file that phones and Outlook can load,
+ * or as CSV/JSON for reporting and backups. Exports every contact, the ones
+ * shown by the current filter, or a selection, from whatever is in the store,
+ * so it works the same with the real API and the IndexedDB fallback.
+ * props:
+ *  - contacts: array of contacts (see utils/contactModel.js)
+ *  - filteredContacts: the contacts matching the current filter
+ *  - isFiltered: true when a search or tag filter is active
+ *  - isLoadingAll: true while contacts are still loading; nothing is exported until they are
+ *  - tags: the user's tags, written by name (as categories in vCards)
+ *  - initialSelectedIds: optional ids to start with as the selection (e.g. from the list's selection mode)
+ *  - onClose()
+ */
+import React, { useState } from "react";
+import { serializeVCards } from "../utils/vcard";
+import { EXPORT_FIELDS, contactsToCsv, contactsToJson } from "../utils/contactExport";
+import { downloadFile, datedFileName } from "../utils/download";
+
+const FORMATS = [
+  { value: "vcard-3.0", label: "vCard 3.0 (widest support)" },
+  { value: "vcard-4.0", label: "vCard 4.0" },
+  { value: "csv", label: "CSV (spreadsheets)" },
+  { value: "json", label: "JSON (can be imported again)" },
+];
+
+// Builds the file for a format: [contents, extension, MIME type]
+const buildFile = (format, contacts, fields, tags) => {
+  switch (format) {
+    case "csv":
+      return [contactsToCsv(contacts, fields, { tags }), "csv", "text/csv"];
+    case "json":
+      return [contactsToJson(contacts, fields, { tags }), "json", "application/json"];
+    default:
+      return [serializeVCards(contacts, { version: format.replace("vcard-", ""), tags }), "vcf", "text/vcard"];
+  }
+};
+
+export default function ExportContacts({
+  contacts,
+  filteredContacts,
+  isFiltered,
+  isLoadingAll = false,
+  tags = [],
+  initialSelectedIds,
+  onClose,
+}) {
+  const hasFilter = Boolean(isFiltered);
+  const [scope, setScope] = useState(() => {
+    if (initialSelectedIds?.length > 0) return "selected";
+    return hasFilter ? "filtered" : "all";
+  });
+  const [selectedIds, setSelectedIds] = useState(() => new Set(initialSelectedIds));
+  const [format, setFormat] = useState("vcard-3.0");
+  // every column but the id, which only means something to this app
+  const [fields, setFields] = useState(() => EXPORT_FIELDS.map((f) => f.key).filter((key) => key !== "id"));
+
+  const isVCard = format.startsWith("vcard");
+
+  let toExport = contacts;
+  if (scope === "filtered" && hasFilter) {
+    toExport = filteredContacts;
+  } else if (scope === "selected") {
+    toExport = contacts.filter((c) => selectedIds.has(c.id));
+  }
+
+  const toggleContact = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleField = (key) => {
+    // keep the column order of EXPORT_FIELDS
+    setFields((prev) => EXPORT_FIELDS
+      .map((f) => f.key)
+      .filter((k) => (k === key ? !prev.includes(k) : prev.includes(k))));
+  };
+
+  const handleExport = () => {
+    if (toExport.length === 0 || isLoadingAll) return;
+    const [content, extension, mimeType] = buildFile(format, toExport, fields, tags);
+    downloadFile(content, datedFileName("contacts", extension), mimeType);
+  };
+
+  return (
+    <section className="card export-panel">
+      <div className="import-header">
+        <h2>Export contacts</h2>
+        <button className="button small secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="export-options">
+        <label className="export-option">
+          <input
+            type="radio"
+            name="export-scope"
+            checked={scope === "all"}
+            onChange={() => setScope("all")}
+          />
+          All contacts ({isLoadingAll ? "loading..." : contacts.length})
+        </label>
+        {hasFilter && (
+          <label className="export-option">
+            <input
+              type="radio"
+              name="export-scope"
+              checked={scope === "filtered"}
+              onChange={() => setScope("filtered")}
+            />
+            Shown by filter ({filteredContacts.length})
+          </label>
+        )}
+        <label className="export-option">
+          <input
+            type="radio"
+            name="export-scope"
+            checked={scope === "selected"}
+            onChange={() => setScope("selected")}
+          />
+          Selected contacts ({selectedIds.size})
+        </label>
+        <select
+          className="input export-format"
+          name="format"
+          aria-label="Export format"
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+        >
+          {FORMATS.map((f) => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {!isVCard && (
+        <div className="export-options">
+          <span className="import-note">Columns:</span>
+          {EXPORT_FIELDS.map((field) => (
+            <label className="export-option" key={field.key}>
+              <input
+                type="checkbox"
+                checked={fields.includes(field.key)}
+                onChange={() => toggleField(field.key)}
+              />
+              {field.label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {scope === "selected" && (
+        <ul className="export-list">
+          {contacts.map((c) => (
+            <li key={c.id}>
+              <label className="export-option">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.has(c.id)}
+                  onChange={() => toggleContact(c.id)}
+                />
+                <span>{c.name}</span>
+                <span className="import-note">{c.number}</span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="import-actions">
+        <button
+          className="button"
+          onClick={handleExport}
+          disabled={isLoadingAll || toExport.length === 0 || (!isVCard && fields.length === 0)}
+        >
+          {isLoadingAll
+            ? "Loading all contacts..."
+            : `Download ${toExport.length} contact${toExport.length === 1 ? "" : "s"}`}
+        </button>
+      </div>
+    </section>
+  );
+}
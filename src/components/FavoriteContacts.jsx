@@ -0,0 +1,175 @@
+/**
+ * FavoriteContacts
+ * Pinned "Favorites" section at the top of the contacts page. Favorites can be
+ * rearranged by dragging them, or with the keyboard: Space or Enter picks up the
+ * focused favorite, the arrow keys move it, Space or Enter drops it and Escape
+ * puts it back where it was.
+ * props:
+ *  - contacts: favorite contacts, in order
+ *  - onReorder(ids): called with every favorite id in the new order
+ *  - onToggleFavorite(id)
+ */
+import React, { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { getInitials } from "../utils/contactModel";
+
+// Copy of ids with the item at `from` moved to `to`
+const moveId = (ids, from, to) => {
+  const next = [...ids];
+  const [moved] = next.splice(from, 1);
+  next.splice(to, 0, moved);
+  return next;
+};
+
+export default function FavoriteContacts({ contacts, onReorder, onToggleFavorite }) {
+  const [dragId, setDragId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  // keyboard reordering: the favorite picked up and the order before it was picked up
+  const [grabbed, setGrabbed] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+  const itemRefs = useRef({});
+
+  const ids = contacts.map((c) => c.id);
+  const order = ids.join(",");
+
+  // moving an element in the DOM can take the focus away from it - give it back
+  useEffect(() => {
+    if (grabbed) itemRefs.current[grabbed.id]?.focus();
+  }, [order, grabbed]);
+
+  const nameOf = (id) => contacts.find((c) => c.id === id)?.name || "";
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    const from = ids.indexOf(dragId);
+    if (from !== -1 && from !== index) {
+      onReorder(moveId(ids, from, index));
+      setAnnouncement(`${nameOf(dragId)} moved to position ${index + 1} of ${ids.length}`);
+    }
+    setDragId(null);
+    setDropIndex(null);
+  };
+
+  const handleKeyDown = (e, id, index) => {
+    // keys pressed on the buttons and links inside a favorite are theirs
+    if (e.target !== e.currentTarget) return;
+
+    if (e.key === " " || e.key === "Enter") {
+      e.preventDefault();
+      if (grabbed?.id === id) {
+        setGrabbed(null);
+        setAnnouncement(`${nameOf(id)} dropped at position ${index + 1} of ${ids.length}`);
+      } else {
+        setGrabbed({ id, originalIds: ids });
+        setAnnouncement(
+          `${nameOf(id)} picked up. Use the arrow keys to move it, Space to drop it, Escape to cancel.`
+        );
+      }
+      return;
+    }
+
+    if (e.key === "Escape" && grabbed?.id === id) {
+      e.preventDefault();
+      onReorder(grabbed.originalIds);
+      setGrabbed(null);
+      setAnnouncement(`Moving ${nameOf(id)} cancelled`);
+      return;
+    }
+
+    const step = e.key === "ArrowUp" || e.key === "ArrowLeft" ? -1
+      : e.key === "ArrowDown" || e.key === "ArrowRight" ? 1 : 0;
+    if (step === 0) return;
+    e.preventDefault();
+    const target = index + step;
+    if (target < 0 || target >= ids.length) return;
+
+    if (grabbed?.id === id) {
+      onReorder(moveId(ids, index, target));
+      setAnnouncement(`${nameOf(id)} moved to position ${target + 1} of ${ids.length}`);
+    } else {
+      itemRefs.current[ids[target]]?.focus();
+    }
+  };
+
+  if (contacts.length === 0) return null;
+
+  return (
+    <section className="card favorites">
+      <div className="import-header">
+        <h2>Favorites</h2>
+        <span className="import-note">Drag to reorder, or focus one and press Space</span>
+      </div>
+
+      <ul className="favorites-list" aria-label="Favorite contacts">
+        {contacts.map((c, index) => (
+          <li
+            key={c.id}
+            ref={(el) => { itemRefs.current[c.id] = el; }}
+            className={[
+              "favorite",
+              dragId === c.id || grabbed?.id === c.id ? "favorite-moving" : "",
+              dropIndex === index && dragId !== c.id ? "favorite-drop-target" : "",
+            ].filter(Boolean).join(" ")}
+            tabIndex={0}
+            draggable
+            aria-roledescription="Reorderable favorite"
+            aria-label={`${c.name}, position ${index + 1} of ${contacts.length}`}
+            onKeyDown={(e) => handleKeyDown(e, c.id, index)}
+            onBlur={(e) => {
+              // tabbing away drops the favorite (a blur without a new target comes from reordering)
+              if (grabbed?.id === c.id && e.relatedTarget && !e.currentTarget.contains(e.relatedTarget)) {
+                setGrabbed(null);
+              }
+            }}
+            onDragStart={(e) => {
+              setDragId(c.id);
+              e.dataTransfer.effectAllowed = "move";
+              // Firefox only starts dragging when some data is set
+              e.dataTransfer.setData("text/plain", c.name);
+            }}
+            onDragOver={(e) => {
+              e.preventDefault();
+              e.dataTransfer.dropEffect = "move";
+              if (dropIndex !== index) setDropIndex(index);
+            }}
+            onDrop={(e) => handleDrop(e, index)}
+            onDragEnd={() => {
+              setDragId(null);
+              setDropIndex(null);
+            }}
+          >
+            <span className="favorite-handle" aria-hidden="true">⋮⋮</span>
+            <div className="avatar">{getInitials(c.name)}</div>
+            <div className="favorite-meta">
+              <Link className="name contact-link" to={`/contacts/${c.id}`} draggable={false}>{c.name}</Link>
+              {c.number && (
+                <a className="number" href={`tel:${c.number.replace(/[^\d+]/g, "")}`} draggable={false}>
+                  {c.number}
+                </a>
+              )}
+            </div>
+            <button
+              type="button"
+              className="icon-button favorite-toggle active"
+              onClick={() => onToggleFavorite(c.id)}
+              title="Remove from favorites"
+              aria-label={`Remove ${c.name} from favorites`}
+            >
+              <StarIcon filled />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="visually-hidden" aria-live="assertive">{announcement}</div>
+    </section>
+  );
+}
+
+export function StarIcon({ filled = false }) {
+  return (
+    <svg width="16" height="16" viewBox="0 0 24 24" fill={filled ? "currentColor" : "none"} xmlns="http://www.w3.org/2000/svg">
+      <path d="M12 2L15.09 8.26L22 9.27L17 14.14L18.18 21.02L12 17.77L5.82 21.02L7 14.14L2 9.27L8.91 8.26L12 2Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+    </svg>
+  );
+}
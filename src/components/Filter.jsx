@@ -1,41 +1,136 @@
-
 /**
  * Filter
+ * Search box of the contact list. Takes plain words or the query language of
+ * utils/searchQuery.js; suggests field names and tag names while typing
+ * (arrow keys to pick, Enter or Tab to insert, Escape to close).
  * - value: string
  * - onChange: function(value)
+ * - error: optional { message, position } of a query that cannot be parsed
+ * - tags: optional array of the user's tags, suggested after tag:
  */
-import React from "react";
+import React, { useMemo, useRef, useState } from "react";
+import { getQuerySuggestions } from "../utils/searchQuery";
+
+const NO_TAGS = [];
+
+export default function Filter({ value, onChange, error, tags = NO_TAGS }) {
+  const inputRef = useRef(null);
+  const [caret, setCaret] = useState(value.length);
+  const [isFocused, setIsFocused] = useState(false);
+  // closed with Escape until the next change
+  const [isDismissed, setIsDismissed] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const suggestions = useMemo(
+    () => getQuerySuggestions(value, caret, { tags }),
+    [value, caret, tags]
+  );
+  const isOpen = isFocused && !isDismissed && suggestions !== null;
+
+  const updateCaret = (e) => setCaret(e.target.selectionStart ?? e.target.value.length);
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateCaret(e);
+    setIsDismissed(false);
+    setActiveIndex(0);
+  };
+
+  const accept = (item) => {
+    const next = value.slice(0, suggestions.start) + item.text + value.slice(suggestions.end);
+    const position = suggestions.start + item.text.length;
+    onChange(next);
+    setCaret(position);
+    setActiveIndex(0);
+    // put the cursor after the inserted text once the input has the new value
+    setTimeout(() => inputRef.current?.setSelectionRange(position, position), 0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen) return;
+    const count = suggestions.items.length;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActiveIndex((index) => (index + 1) % count);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActiveIndex((index) => (index - 1 + count) % count);
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      accept(suggestions.items[Math.min(activeIndex, count - 1)]);
+    } else if (e.key === "Escape") {
+      setIsDismissed(true);
+    }
+  };
 
-export default function Filter({ value, onChange }) {
   return (
     <div style={{ marginBottom: 12 }}>
       <div style={{ position: 'relative' }}>
-        <svg 
-          width="20" 
-          height="20" 
-          viewBox="0 0 24 24" 
-          fill="none" 
-          xmlns="http://www.w3.org/2000/svg" 
-          style={{ 
-            position: 'absolute', 
-            left: '12px', 
-            top: '50%', 
-            transform: 'translateY(-50%)', 
-            color: '#94a3b8', 
-            pointerEvents: 'none' 
+        <svg
+          width="20"
+          height="20"
+          viewBox="0 0 24 24"
+          fill="none"
+          xmlns="http://www.w3.org/2000/svg"
+          style={{
+            position: 'absolute',
+            left: '12px',
+            top: '50%',
+            transform: 'translateY(-50%)',
+            color: '#94a3b8',
+            pointerEvents: 'none'
           }}
         >
           <path d="M21 21L15 15M17 10C17 13.866 13.866 17 10 17C6.13401 17 3 13.866 3 10C3 6.13401 6.13401 3 10 3C13.866 3 17 6.13401 17 10Z" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
         </svg>
         <input
+          ref={inputRef}
           className="filter-input"
-          placeholder="Search contacts by name..."
+          placeholder="Search, or try name:anna tag:clients -is:fav"
           value={value}
-          onChange={(e) => onChange(e.target.value)}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onKeyUp={updateCaret}
+          onClick={updateCaret}
+          onFocus={() => setIsFocused(true)}
+          onBlur={() => setIsFocused(false)}
           style={{ paddingLeft: '40px' }}
           aria-label="Search contacts"
+          role="combobox"
+          aria-expanded={isOpen}
+          aria-controls="filter-suggestions"
+          aria-autocomplete="list"
+          aria-activedescendant={isOpen ? `filter-suggestion-${activeIndex}` : undefined}
+          aria-invalid={Boolean(error)}
+          aria-describedby={error ? "filter-error" : undefined}
         />
+        {isOpen && (
+          <ul className="filter-suggestions" id="filter-suggestions" role="listbox">
+            {suggestions.items.map((item, index) => (
+              <li
+                key={item.text}
+                id={`filter-suggestion-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={index === activeIndex ? "active" : ""}
+                // mousedown, so the input keeps the focus
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  accept(item);
+                }}
+              >
+                <span className="filter-suggestion-label">{item.label}</span>
+                <span className="filter-suggestion-description">{item.description}</span>
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
+      {error && (
+        <div className="filter-error" id="filter-error" role="alert">
+          {`${error.message} (at character ${error.position + 1})`}
+        </div>
+      )}
     </div>
   );
 }
@@ -1,6 +1,7 @@
 import React, { useEffect } from 'react';
 
-const FlashMessage = ({ message, type = 'success', onClose, duration = 3000 }) => {
+// action: optional { label, onClick } shown as a button next to the message (e.g. "Undo")
+const FlashMessage = ({ message, type = 'success', onClose, duration = 3000, action }) => {
   useEffect(() => {
     if (duration > 0) {
       const timer = setTimeout(() => {
@@ -30,6 +31,11 @@ const FlashMessage = ({ message, type = 'success', onClose, duration = 3000 }) =
           )}
         </div>
         <span className="flash-message-text">{message}</span>
+        {action && (
+          <button className="flash-message-action" onClick={action.onClick}>
+            {action.label}
+          </button>
+        )}
         {onClose && (
           <button className="flash-message-close" onClick={onClose} aria-label="Close">
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
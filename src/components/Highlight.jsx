@@ -0,0 +1,27 @@
+/**
+ * Highlight
+ * Text with parts of it marked, e.g. the characters a search matched.
+ * props:
+ *  - text: string
+ *  - ranges: optional array of [start, end) index pairs, sorted and not overlapping
+ */
+import React from "react";
+
+export default function Highlight({ text, ranges }) {
+  if (!ranges || ranges.length === 0) return text;
+
+  const parts = [];
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark className="search-highlight" key={start}>
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return <>{parts}</>;
+}
@@ -0,0 +1,353 @@
+/**
+ * ImportContacts
+ * Imports contacts from a vCard (.vcf), CSV or JSON export file: the file is parsed in the browser,
+ * CSV columns are mapped to name and number, the result is shown as a preview with
+ * duplicate and validation warnings, and the selected entries are created through
+ * the addContact thunk a few at a time, with progress, per-row errors and a summary.
+ * vCard categories and the tags of JSON exports become tags (new tags are created for names
+ * the user has no tag for); JSON exports also keep when contacts were added and last contacted.
+ * props:
+ *  - contacts: array of saved contacts, used for duplicate warnings
+ *  - isLoadingAll: true while contacts are still loading; files can be picked once they are
+ *  - onClose()
+ */
+import React, { useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { addContact, upsertTag } from "../redux/contactsSlice";
+import { parseVCards } from "../utils/vcard";
+import { decodeCsvBuffer, detectDelimiter, parseCsv } from "../utils/csv";
+import { buildImportRows, guessCsvMapping, csvRowsToContacts } from "../utils/contactImport";
+import { parseContactsJson } from "../utils/contactExport";
+import { normalizePhoneNumber } from "../utils/phone";
+import { getContactDetails } from "../utils/contactModel";
+import { runInBatches } from "../utils/batch";
+import { useFormFieldIds } from "../utils/useFormFieldIds";
+import CsvColumnMapping from "./CsvColumnMapping";
+
+// Contacts created at the same time while importing
+const IMPORT_CONCURRENCY = 3;
+
+const isCsvFile = (file) => /\.(csv|tsv|txt)$/i.test(file.name) || file.type === "text/csv";
+
+const isJsonFile = (file) => /\.json$/i.test(file.name) || file.type === "application/json";
+
+// CSV numbers must fit the XXX-XX-XX-X format used everywhere else
+const validateCsvContact = (contact) => normalizePhoneNumber(contact.rawNumber).error;
+
+// Read a CSV buffer with the given settings; returns the parsed table and its column labels
+const readCsv = (buffer, settings) => {
+  const { text, encoding, hasBom } = decodeCsvBuffer(buffer, settings.encoding);
+  const delimiter = settings.delimiter ?? detectDelimiter(text);
+  const table = parseCsv(text, delimiter);
+  const firstRow = table[0] || [];
+  const columns = firstRow.map((value, index) =>
+    settings.hasHeader && value.trim() ? value.trim() : `Column ${index + 1}`
+  );
+  return { table, columns, encoding, hasBom, delimiter };
+};
+
+export default function ImportContacts({ contacts, isLoadingAll = false, onClose }) {
+  const dispatch = useDispatch();
+  const tags = useSelector((state) => state.contacts.tags);
+  const fieldIds = useFormFieldIds({ file: "import-file" });
+  const [fileName, setFileName] = useState("");
+  const [rows, setRows] = useState([]);
+  const [parseError, setParseError] = useState(null);
+  // CSV only: raw file contents, reading settings and column labels
+  const [csv, setCsv] = useState(null);
+  // per-row result once importing started: { [key]: { status, message } }
+  const [results, setResults] = useState({});
+  const [progress, setProgress] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const selectedRows = useMemo(() => rows.filter((row) => row.selected), [rows]);
+  // rows that already made it in are not sent again when retrying
+  const remainingRows = selectedRows.filter((row) => results[row.key]?.status !== "done");
+  const hasStarted = Object.keys(results).length > 0;
+
+  const resetImport = () => {
+    setParseError(null);
+    setResults({});
+    setProgress(null);
+    setRows([]);
+  };
+
+  // Apply new CSV settings: re-read the file and rebuild the preview
+  const applyCsvSettings = (buffer, settings) => {
+    const read = readCsv(buffer, settings);
+    const next = { ...settings, encoding: read.encoding, delimiter: read.delimiter };
+
+    // no mapping yet, or one that points past the last column: guess it from the header
+    if (
+      next.nameColumn === undefined ||
+      next.nameColumn >= read.columns.length ||
+      next.numberColumn >= read.columns.length ||
+      (next.lastNameColumn !== null && next.lastNameColumn >= read.columns.length)
+    ) {
+      Object.assign(next, guessCsvMapping(read.table[0] || [], next.hasHeader));
+    }
+
+    setCsv({ buffer, settings: next, columns: read.columns, hasBom: read.hasBom });
+    if (read.table.length === 0) {
+      setParseError("This file is empty.");
+      return;
+    }
+    setRows(buildImportRows(csvRowsToContacts(read.table, next), contacts, { validate: validateCsvContact }));
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    resetImport();
+    setCsv(null);
+    setFileName(file ? file.name : "");
+    if (!file) return;
+
+    try {
+      if (isCsvFile(file)) {
+        applyCsvSettings(await file.arrayBuffer(), { encoding: "utf-8", delimiter: null, hasHeader: true });
+        return;
+      }
+
+      // JSON exports keep values exactly as they were, so numbers are not reformatted
+      const parsed = isJsonFile(file)
+        ? parseContactsJson(await file.text())
+        : parseVCards(await file.text());
+      if (parsed.length === 0) {
+        setParseError("No contacts found. Make sure this is a vCard (.vcf), CSV or JSON export file.");
+        return;
+      }
+      setRows(buildImportRows(parsed, contacts));
+    } catch (err) {
+      console.error("Failed to read import file:", err);
+      setParseError(isJsonFile(file) ? err.message : "This file could not be read.");
+    }
+  };
+
+  const handleCsvSettingsChange = (patch) => {
+    const settings = { ...csv.settings, ...patch };
+    // a new encoding or delimiter changes the columns, and a header row names them:
+    // either way the mapping is guessed again
+    if ("encoding" in patch || "delimiter" in patch || patch.hasHeader === true) {
+      settings.nameColumn = undefined;
+    }
+    resetImport();
+    applyCsvSettings(csv.buffer, settings);
+  };
+
+  const toggleRow = (key) => {
+    setRows((prev) => prev.map((row) => (row.key === key ? { ...row, selected: !row.selected } : row)));
+  };
+
+  const toggleAll = (selected) => {
+    setRows((prev) => prev.map((row) => (row.invalid ? row : { ...row, selected })));
+  };
+
+  // Tag ids for the categories of the rows (vCard CATEGORIES, tags of JSON exports), by lower-case name. Categories without a
+  // tag of the same name get a new tag; if one cannot be created its contacts just lack it
+  const resolveCategories = async (pending) => {
+    const tagIds = new Map(tags.map((tag) => [tag.name.toLowerCase(), tag.id]));
+    const names = pending.flatMap((row) => row.contact.categories || []);
+    for (const name of names) {
+      if (tagIds.has(name.toLowerCase())) continue;
+      try {
+        const created = await dispatch(upsertTag({ name })).unwrap();
+        tagIds.set(name.toLowerCase(), created.id);
+      } catch (err) {
+        console.error(`Failed to create tag ${name}:`, err);
+        tagIds.set(name.toLowerCase(), null);
+      }
+    }
+    return tagIds;
+  };
+
+  const handleImport = async () => {
+    if (remainingRows.length === 0) return;
+    const pending = remainingRows;
+
+    setIsImporting(true);
+    setProgress({ done: 0, total: pending.length, failed: 0 });
+    setResults((prev) => {
+      const next = { ...prev };
+      pending.forEach((row) => {
+        next[row.key] = { status: "pending" };
+      });
+      return next;
+    });
+
+    const tagIds = await resolveCategories(pending);
+
+    await runInBatches(
+      pending,
+      (row) => dispatch(addContact({
+        name: row.contact.name,
+        number: row.contact.number,
+        numbers: row.contact.numbers,
+        ...getContactDetails(row.contact, { onlyGiven: true }),
+        tags: (row.contact.categories || []).map((name) => tagIds.get(name.toLowerCase())).filter(Boolean),
+        ...(row.contact.createdAt ? { createdAt: row.contact.createdAt } : {}),
+        ...(row.contact.lastContactedAt ? { lastContactedAt: row.contact.lastContactedAt } : {}),
+      })).unwrap(),
+      {
+        concurrency: IMPORT_CONCURRENCY,
+        onResult: (result) => {
+          const message = result.ok
+            ? null
+            : typeof result.error === "string"
+              ? result.error
+              : result.error?.message || "Failed to add contact";
+          setResults((prev) => ({
+            ...prev,
+            [result.item.key]: { status: result.ok ? "done" : "failed", message },
+          }));
+        },
+        onProgress: setProgress,
+      }
+    );
+
+    setIsImporting(false);
+  };
+
+  const importedCount = Object.values(results).filter((r) => r.status === "done").length;
+  const failedCount = Object.values(results).filter((r) => r.status === "failed").length;
+  const invalidCount = rows.filter((row) => row.invalid).length;
+  const skippedCount = rows.length - importedCount - failedCount;
+
+  return (
+    <section className="card import-panel">
+      <div className="import-header">
+        <h2>Import contacts</h2>
+        <button className="button small secondary" onClick={onClose} disabled={isImporting}>
+          Close
+        </button>
+      </div>
+
+      <label htmlFor={fieldIds.file} className="import-file">
+        <span>Choose a vCard (.vcf), CSV or JSON file exported from your phone, mail app, spreadsheet or this app</span>
+        <input
+          id={fieldIds.file}
+          name="file"
+          type="file"
+          accept=".vcf,.csv,.tsv,.txt,.json,text/vcard,text/x-vcard,text/csv,application/json"
+          onChange={handleFileChange}
+          disabled={isImporting || isLoadingAll}
+        />
+      </label>
+
+      {isLoadingAll && <div className="import-note">Loading your contacts to check for duplicates...</div>}
+
+      {csv && (
+        <CsvColumnMapping
+          settings={csv.settings}
+          columns={csv.columns}
+          encodingLocked={csv.hasBom}
+          onChange={handleCsvSettingsChange}
+          disabled={isImporting || hasStarted}
+        />
+      )}
+
+      {parseError && <div className="error">{parseError}</div>}
+
+      {rows.length > 0 && (
+        <>
+          <div className="import-summary">
+            <span>
+              {fileName}: {rows.length} contact{rows.length === 1 ? "" : "s"} found, {selectedRows.length} selected
+            </span>
+            <span className="import-select-links">
+              <button type="button" className="link-button" onClick={() => toggleAll(true)} disabled={isImporting}>
+                Select all
+              </button>
+              <button type="button" className="link-button" onClick={() => toggleAll(false)} disabled={isImporting}>
+                Select none
+              </button>
+            </span>
+          </div>
+
+          <div className="import-table-wrapper">
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Name</th>
+                  <th>Number</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => {
+                  const result = results[row.key];
+                  return (
+                    <tr key={row.key} className={row.invalid ? "import-row-invalid" : ""}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          aria-label={`Import ${row.contact.name || "row"}`}
+                          checked={row.selected}
+                          onChange={() => toggleRow(row.key)}
+                          disabled={Boolean(row.invalid) || isImporting || result?.status === "done"}
+                        />
+                      </td>
+                      <td>{row.contact.name || "—"}</td>
+                      <td>
+                        {row.contact.number || "—"}
+                        {row.contact.rawNumber && row.contact.rawNumber !== row.contact.number && (
+                          <div className="import-note">from {row.contact.rawNumber}</div>
+                        )}
+                        {row.contact.numbers?.length > 1 && (
+                          <div className="import-note">+{row.contact.numbers.length - 1} more</div>
+                        )}
+                      </td>
+                      <td>
+                        {result?.status === "done" && <span className="import-status done">Imported</span>}
+                        {result?.status === "pending" && <span className="import-status">Waiting...</span>}
+                        {result?.status === "failed" && (
+                          <span className="import-status failed">{result.message}</span>
+                        )}
+                        {!result && row.invalid && <span className="import-status failed">{row.invalid}</span>}
+                        {!result && !row.invalid && row.warnings.map((warning) => (
+                          <div className="import-status warning" key={warning}>{warning}</div>
+                        ))}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {progress && (
+            <div className="import-progress" role="status">
+              <progress value={progress.done} max={progress.total} />
+              <span>
+                {isImporting ? `Importing ${progress.done} of ${progress.total}...` : "Import finished."}
+              </span>
+            </div>
+          )}
+
+          {hasStarted && !isImporting && (
+            <div className="import-report">
+              <span className="import-status done">Imported: {importedCount}</span>
+              <span className="import-status">
+                Skipped: {skippedCount}
+                {invalidCount > 0 && ` (${invalidCount} invalid)`}
+              </span>
+              <span className={`import-status${failedCount > 0 ? " failed" : ""}`}>Failed: {failedCount}</span>
+            </div>
+          )}
+
+          <div className="import-actions">
+            <button
+              className="button"
+              onClick={handleImport}
+              disabled={isImporting || remainingRows.length === 0}
+            >
+              {hasStarted && !isImporting && failedCount > 0
+                ? "Retry failed"
+                : `Import ${remainingRows.length} contact${remainingRows.length === 1 ? "" : "s"}`}
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
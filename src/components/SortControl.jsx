@@ -0,0 +1,55 @@
+/**
+ * SortControl
+ * Picks the order of the contact list: a field (first name, last name, recently added,
+ * recently contacted, number) and a direction. Picking a field starts in its natural
+ * direction (newest first for dates, A to Z otherwise); the arrow button reverses it.
+ * The choice is saved for the signed-in user and comes back on the next visit.
+ */
+import React from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { saveSortPreference, selectSort } from "../redux/contactsSlice";
+import { SORT_OPTIONS } from "../utils/contactSort";
+
+export default function SortControl() {
+  const dispatch = useDispatch();
+  const sort = useSelector(selectSort);
+
+  const handleKeyChange = (key) => {
+    const option = SORT_OPTIONS.find((o) => o.value === key);
+    dispatch(saveSortPreference({ key, direction: option.defaultDirection }));
+  };
+
+  const toggleDirection = () => {
+    dispatch(saveSortPreference({ ...sort, direction: sort.direction === "asc" ? "desc" : "asc" }));
+  };
+
+  const isDate = sort.key === "added" || sort.key === "contacted";
+  const directionLabel = isDate
+    ? (sort.direction === "desc" ? "Newest first" : "Oldest first")
+    : (sort.direction === "asc" ? "A to Z" : "Z to A");
+
+  return (
+    <div className="sort-control">
+      <label htmlFor="contact-sort">Sort by</label>
+      <select
+        id="contact-sort"
+        className="input sort-key"
+        value={sort.key}
+        onChange={(e) => handleKeyChange(e.target.value)}
+      >
+        {SORT_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="button small secondary"
+        onClick={toggleDirection}
+        title="Reverse the order"
+        aria-label={`Order: ${directionLabel}. Reverse the order`}
+      >
+        {sort.direction === "asc" ? "↑" : "↓"} {directionLabel}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+/**
+ * SyncConflicts
+ * Resolution screen for offline edits that clash with changes made on the server
+ * (e.g. from another device). For each conflict the user keeps their version,
+ * the server version, or picks field by field. Below, the log of earlier
+ * resolutions shows which values were overwritten.
+ */
+import React, { useEffect, useMemo, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { Link } from "react-router-dom";
+import { resolveSyncConflict, fetchConflictLog } from "../redux/contactsSlice";
+
+const FIELD_LABELS = { name: "Name", number: "Number" };
+
+const RESOLUTION_LABELS = {
+  mine: "Kept my version",
+  server: "Kept server version",
+  merge: "Merged field by field",
+};
+
+// Values the contact ends up with for a given resolution.
+// Fields changed on only one side always keep that side's change.
+const resolveValues = (conflict, resolution, choices) => {
+  const { local, server, fields } = conflict;
+  const values = { name: server.name, number: server.number };
+
+  Object.keys(FIELD_LABELS).forEach((field) => {
+    if (!(field in local)) return;
+    const isConflict = fields.includes(field);
+    if (!isConflict && local[field] !== conflict.base[field]) {
+      values[field] = local[field];
+    } else if (isConflict && resolution === "mine") {
+      values[field] = local[field];
+    } else if (isConflict && resolution === "merge" && choices[field] === "mine") {
+      values[field] = local[field];
+    }
+  });
+
+  return values;
+};
+
+function ConflictCard({ conflict, onResolve, disabled }) {
+  // per-field choice for the merge option, server side preselected
+  const [choices, setChoices] = useState(() =>
+    conflict.fields.reduce((acc, field) => ({ ...acc, [field]: "server" }), {})
+  );
+
+  const merged = useMemo(
+    () => resolveValues(conflict, "merge", choices),
+    [conflict, choices]
+  );
+
+  const resolve = (resolution) => {
+    onResolve(conflict, resolution, resolveValues(conflict, resolution, choices));
+  };
+
+  return (
+    <section className="card conflict-card">
+      <h2>{conflict.server.name || conflict.local.name}</h2>
+      <p className="conflict-description">
+        This contact was changed on the server while you edited it offline.
+        Choose which values to keep.
+      </p>
+
+      <table className="conflict-table">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Before</th>
+            <th>Mine</th>
+            <th>Server</th>
+          </tr>
+        </thead>
+        <tbody>
+          {conflict.fields.map((field) => (
+            <tr key={field}>
+              <td>{FIELD_LABELS[field]}</td>
+              <td className="conflict-base">{conflict.base[field]}</td>
+              <td>
+                <label className="conflict-choice">
+                  <input
+                    type="radio"
+                    name={`conflict-${conflict.seq}-${field}`}
+                    checked={choices[field] === "mine"}
+                    onChange={() => setChoices((prev) => ({ ...prev, [field]: "mine" }))}
+                    disabled={disabled}
+                  />
+                  {conflict.local[field]}
+                </label>
+              </td>
+              <td>
+                <label className="conflict-choice">
+                  <input
+                    type="radio"
+                    name={`conflict-${conflict.seq}-${field}`}
+                    checked={choices[field] === "server"}
+                    onChange={() => setChoices((prev) => ({ ...prev, [field]: "server" }))}
+                    disabled={disabled}
+                  />
+                  {conflict.server[field]}
+                </label>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="conflict-preview">
+        Merge result: <strong>{merged.name}</strong> · {merged.number}
+      </div>
+
+      <div className="conflict-actions">
+        <button className="button small" onClick={() => resolve("mine")} disabled={disabled}>
+          Keep mine
+        </button>
+        <button className="button small secondary" onClick={() => resolve("server")} disabled={disabled}>
+          Keep server
+        </button>
+        <button className="button small secondary" onClick={() => resolve("merge")} disabled={disabled}>
+          Apply merge
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default function SyncConflicts() {
+  const dispatch = useDispatch();
+  const conflicts = useSelector((state) => state.contacts.conflicts);
+  const conflictLog = useSelector((state) => state.contacts.conflictLog);
+  const isSyncing = useSelector((state) => state.contacts.isSyncing);
+  const syncError = useSelector((state) => state.contacts.syncError);
+  const [isResolving, setIsResolving] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchConflictLog());
+  }, [dispatch]);
+
+  const handleResolve = async (conflict, resolution, values) => {
+    setIsResolving(true);
+    try {
+      await dispatch(resolveSyncConflict({ conflict, resolution, values })).unwrap();
+    } catch (err) {
+      // Error is already stored in state and will be displayed
+      console.error('Failed to resolve conflict:', err);
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h1 className="page-title">Sync conflicts</h1>
+        <Link to="/contacts" className="profile-cancel-link">
+          Back to contacts
+        </Link>
+      </div>
+
+      {syncError && <div className="error">{syncError}</div>}
+
+      {conflicts.length === 0 ? (
+        <section className="card">
+          <p className="conflict-description">
+            {isSyncing ? "Syncing changes..." : "No conflicts to resolve. All offline changes could be applied."}
+          </p>
+        </section>
+      ) : (
+        conflicts.map((conflict) => (
+          <ConflictCard
+            key={conflict.seq}
+            conflict={conflict}
+            onResolve={handleResolve}
+            disabled={isResolving || isSyncing}
+          />
+        ))
+      )}
+
+      <section className="card">
+        <h2>Resolution history</h2>
+        {conflictLog.length === 0 ? (
+          <p className="conflict-description">No conflicts have been resolved yet.</p>
+        ) : (
+          <ul className="conflict-log">
+            {conflictLog.map((entry) => (
+              <li key={entry.id}>
+                <div className="conflict-log-title">
+                  <strong>{entry.result.name}</strong>
+                  <span>{new Date(entry.resolvedAt).toLocaleString()}</span>
+                </div>
+                <div>{RESOLUTION_LABELS[entry.resolution]}</div>
+                {entry.overwritten.length === 0 ? (
+                  <div className="conflict-log-detail">Nothing was overwritten.</div>
+                ) : (
+                  entry.overwritten.map((item) => (
+                    <div className="conflict-log-detail" key={`${item.side}-${item.field}`}>
+                      {item.side === "server" ? "Server" : "Your"} {FIELD_LABELS[item.field].toLowerCase()}{" "}
+                      <code>{item.value}</code> was overwritten
+                    </div>
+                  ))
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
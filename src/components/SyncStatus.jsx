@@ -0,0 +1,54 @@
+/**
+ * SyncStatus
+ * Shows how many contact changes made offline are still waiting to be sent
+ * to the real API, with a button to retry right away, and links to the
+ * resolution screen when some of them conflict with server changes.
+ * Renders nothing when everything is in sync.
+ */
+import React from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { Link } from "react-router-dom";
+import { syncPendingChanges } from "../redux/contactsSlice";
+
+export default function SyncStatus() {
+  const dispatch = useDispatch();
+  const pendingSync = useSelector((state) => state.contacts.pendingSync);
+  const isSyncing = useSelector((state) => state.contacts.isSyncing);
+  const syncError = useSelector((state) => state.contacts.syncError);
+  const conflicts = useSelector((state) => state.contacts.conflicts);
+
+  if (pendingSync === 0 && !syncError && conflicts.length === 0) return null;
+
+  return (
+    <div className="sync-status" role="status">
+      {pendingSync > 0 && (
+        <div className="sync-status-row">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M23 4V10H17" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <path d="M1 20V14H7" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+            <path d="M3.51 9C4.01717 7.56678 4.87913 6.2854 6.01547 5.27542C7.1518 4.26543 8.52547 3.55976 10.0083 3.22426C11.4911 2.88875 13.0348 2.93434 14.4952 3.35677C15.9556 3.77921 17.2853 4.56471 18.36 5.64L23 10M1 14L5.64 18.36C6.71475 19.4353 8.04437 20.2208 9.50481 20.6432C10.9652 21.0657 12.5089 21.1112 13.9917 20.7757C15.4745 20.4402 16.8482 19.7346 17.9845 18.7246C19.1209 17.7146 19.9828 16.4332 20.49 15" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+          </svg>
+          <span>
+            {isSyncing
+              ? "Syncing changes..."
+              : `${pendingSync} change${pendingSync === 1 ? "" : "s"} pending sync`}
+          </span>
+          <button
+            className="button small secondary"
+            onClick={() => dispatch(syncPendingChanges())}
+            disabled={isSyncing}
+          >
+            Sync now
+          </button>
+        </div>
+      )}
+      {conflicts.length > 0 && (
+        <div className="sync-status-error">
+          {conflicts.length} change{conflicts.length === 1 ? " conflicts" : "s conflict"} with edits made elsewhere.{" "}
+          <Link to="/contacts/conflicts">Resolve</Link>
+        </div>
+      )}
+      {syncError && <div className="sync-status-error">{syncError}</div>}
+    </div>
+  );
+}
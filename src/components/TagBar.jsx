@@ -0,0 +1,242 @@
+/**
+ * TagBar
+ * Tag chips next to the search field. Each chip shows how many contacts have the tag
+ * and narrows the list to them when switched on; with several tags on, the list shows
+ * contacts with any of them or with all of them. "Manage tags" opens a panel to create,
+ * rename, recolour and delete tags, and to add or remove a tag on every shown contact.
+ * props:
+ *  - shownContacts: the contacts the list currently shows (for bulk assignment)
+ */
+import React, { useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  toggleTagFilter,
+  setTagFilterMode,
+  clearTagFilter,
+  upsertTag,
+  removeTag,
+  assignTags,
+  selectCounts,
+} from "../redux/contactsSlice";
+import { TAG_COLORS } from "../utils/contactModel";
+
+const reportError = (err, fallback) => {
+  console.error(fallback, err);
+  alert(typeof err === "string" ? err : err?.message || fallback);
+};
+
+export default function TagBar({ shownContacts }) {
+  const dispatch = useDispatch();
+  const tags = useSelector((state) => state.contacts.tags);
+  const tagFilter = useSelector((state) => state.contacts.tagFilter);
+  // contacts per tag
+  const counts = useSelector(selectCounts).byTag;
+  const [isManaging, setIsManaging] = useState(false);
+
+  if (tags.length === 0 && !isManaging) {
+    return (
+      <div className="tag-bar">
+        <button type="button" className="link-button" onClick={() => setIsManaging(true)}>
+          Create tags to group contacts
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="tag-bar">
+      <div className="tag-bar-row">
+        <div className="tag-picker" role="group" aria-label="Show contacts with tag">
+          {tags.map((tag) => (
+            <button
+              key={tag.id}
+              type="button"
+              className={`tag-chip${tagFilter.ids.includes(tag.id) ? " active" : ""}`}
+              style={{ "--tag-color": tag.color }}
+              onClick={() => dispatch(toggleTagFilter(tag.id))}
+              aria-pressed={tagFilter.ids.includes(tag.id)}
+            >
+              {tag.name}
+              <span className="tag-count">{counts[tag.id] || 0}</span>
+            </button>
+          ))}
+        </div>
+        <div className="tag-bar-actions">
+          {tagFilter.ids.length > 1 && (
+            <select
+              className="input tag-mode"
+              value={tagFilter.mode}
+              onChange={(e) => dispatch(setTagFilterMode(e.target.value))}
+              aria-label="Match contacts with"
+            >
+              <option value="any">Any of these tags</option>
+              <option value="all">All of these tags</option>
+            </select>
+          )}
+          {tagFilter.ids.length > 0 && (
+            <button type="button" className="link-button" onClick={() => dispatch(clearTagFilter())}>
+              Clear
+            </button>
+          )}
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => setIsManaging((open) => !open)}
+            aria-expanded={isManaging}
+          >
+            {isManaging ? "Done" : "Manage tags"}
+          </button>
+        </div>
+      </div>
+
+      {isManaging && <TagManager tags={tags} counts={counts} shownContacts={shownContacts} />}
+    </div>
+  );
+}
+
+function TagManager({ tags, counts, shownContacts }) {
+  const dispatch = useDispatch();
+  const [newName, setNewName] = useState("");
+  const [newColor, setNewColor] = useState(TAG_COLORS[tags.length % TAG_COLORS.length].value);
+  const [bulkTagId, setBulkTagId] = useState("");
+  const bulkTag = tags.find((tag) => tag.id === bulkTagId) || tags[0];
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      await dispatch(upsertTag({ name: newName, color: newColor })).unwrap();
+      setNewName("");
+      setNewColor(TAG_COLORS[(tags.length + 1) % TAG_COLORS.length].value);
+    } catch (err) {
+      reportError(err, "Failed to create tag");
+    }
+  };
+
+  const handleDelete = async (tag) => {
+    const used = counts[tag.id] || 0;
+    const question = used > 0
+      ? `Delete the tag ${tag.name}? It is removed from ${used} contact${used === 1 ? "" : "s"}.`
+      : `Delete the tag ${tag.name}?`;
+    if (!window.confirm(question)) return;
+    try {
+      await dispatch(removeTag(tag.id)).unwrap();
+    } catch (err) {
+      reportError(err, "Failed to delete tag");
+    }
+  };
+
+  const handleBulk = async (change) => {
+    try {
+      await dispatch(assignTags({ ids: shownContacts.map((c) => c.id), [change]: [bulkTag.id] })).unwrap();
+    } catch (err) {
+      reportError(err, "Failed to update tags");
+    }
+  };
+
+  return (
+    <div className="tag-manager">
+      <form className="tag-manager-row" onSubmit={handleCreate}>
+        <input
+          className="input"
+          placeholder="New tag, e.g. Family"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          aria-label="New tag name"
+        />
+        <ColorSwatches value={newColor} onChange={setNewColor} label="Colour of the new tag" />
+        <button type="submit" className="button small" disabled={!newName.trim()}>
+          Add tag
+        </button>
+      </form>
+
+      {tags.map((tag) => (
+        <TagEditor key={tag.id} tag={tag} onDelete={() => handleDelete(tag)} />
+      ))}
+
+      {tags.length > 0 && shownContacts.length > 0 && (
+        <div className="tag-manager-row tag-bulk">
+          <span className="import-note">
+            {`${shownContacts.length} shown contact${shownContacts.length === 1 ? "" : "s"}:`}
+          </span>
+          <select
+            className="input"
+            value={bulkTag.id}
+            onChange={(e) => setBulkTagId(e.target.value)}
+            aria-label="Tag to add or remove"
+          >
+            {tags.map((tag) => (
+              <option key={tag.id} value={tag.id}>{tag.name}</option>
+            ))}
+          </select>
+          <button type="button" className="button small secondary" onClick={() => handleBulk("add")}>
+            Add tag
+          </button>
+          <button type="button" className="button small secondary" onClick={() => handleBulk("remove")}>
+            Remove tag
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// One tag in the manager: the name is saved when the field loses focus or on Enter
+function TagEditor({ tag, onDelete }) {
+  const dispatch = useDispatch();
+  const [name, setName] = useState(tag.name);
+
+  const save = async (changes) => {
+    try {
+      await dispatch(upsertTag({ ...tag, ...changes })).unwrap();
+    } catch (err) {
+      setName(tag.name);
+      reportError(err, "Failed to save tag");
+    }
+  };
+
+  return (
+    <div className="tag-manager-row">
+      <input
+        className="input"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onBlur={() => name.trim() !== tag.name && save({ name })}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            e.currentTarget.blur();
+          }
+        }}
+        aria-label={`Name of tag ${tag.name}`}
+      />
+      <ColorSwatches
+        value={tag.color}
+        onChange={(color) => save({ color })}
+        label={`Colour of tag ${tag.name}`}
+      />
+      <button type="button" className="button small secondary" onClick={onDelete}>
+        Delete
+      </button>
+    </div>
+  );
+}
+
+function ColorSwatches({ value, onChange, label }) {
+  return (
+    <div className="tag-swatches" role="radiogroup" aria-label={label}>
+      {TAG_COLORS.map((color) => (
+        <button
+          key={color.value}
+          type="button"
+          role="radio"
+          className={`tag-swatch${value === color.value ? " active" : ""}`}
+          style={{ "--tag-color": color.value }}
+          onClick={() => onChange(color.value)}
+          aria-checked={value === color.value}
+          aria-label={color.label}
+          title={color.label}
+        />
+      ))}
+    </div>
+  );
+}
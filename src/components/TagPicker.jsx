@@ -0,0 +1,59 @@
+/**
+ * TagPicker
+ * Row of tag chips that can be switched on and off, for choosing the tags of a contact.
+ * props:
+ *  - tags: the user's tags [{ id, name, color }]
+ *  - selected: ids of the chosen tags
+ *  - onChange(ids): called with the new selection
+ *  - label: optional accessible name of the group (defaults to "Tags")
+ */
+import React from "react";
+
+export default function TagPicker({ tags, selected, onChange, label = "Tags" }) {
+  if (tags.length === 0) {
+    return <p className="import-note">No tags yet. Create them with "Manage tags" above the list.</p>;
+  }
+
+  const toggle = (id) => {
+    onChange(selected.includes(id) ? selected.filter((tagId) => tagId !== id) : [...selected, id]);
+  };
+
+  return (
+    <div className="tag-picker" role="group" aria-label={label}>
+      {tags.map((tag) => (
+        <button
+          key={tag.id}
+          type="button"
+          className={`tag-chip${selected.includes(tag.id) ? " active" : ""}`}
+          style={{ "--tag-color": tag.color }}
+          onClick={() => toggle(tag.id)}
+          aria-pressed={selected.includes(tag.id)}
+        >
+          {tag.name}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * TagChips
+ * The tags of a contact, read-only. Ids of deleted tags are skipped.
+ * props:
+ *  - tagIds: ids of the contact's tags
+ *  - tags: the user's tags [{ id, name, color }]
+ */
+export function TagChips({ tagIds, tags }) {
+  const shown = tags.filter((tag) => tagIds?.includes(tag.id));
+  if (shown.length === 0) return null;
+
+  return (
+    <ul className="tag-chips" aria-label="Tags">
+      {shown.map((tag) => (
+        <li key={tag.id} className="tag-chip static" style={{ "--tag-color": tag.color }}>
+          {tag.name}
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,136 @@
+/**
+ * Trash
+ * Page at /contacts/trash listing deleted contacts. Each one can be restored or deleted
+ * for good until it has been in the trash for TRASH_RETENTION_DAYS; after that it is
+ * deleted when the app starts.
+ */
+import React, { useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { Link } from "react-router-dom";
+import { fetchTrash, restoreContact, purgeContact } from "../redux/contactsSlice";
+import { TRASH_RETENTION_DAYS, getTrashExpiry } from "../services/trash";
+import { getInitials } from "../utils/contactModel";
+import FlashMessage from "./FlashMessage";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "Deleted for good in 12 days" (or "today" for the last day)
+const expiryText = (entry) => {
+  const days = Math.ceil((getTrashExpiry(entry).getTime() - Date.now()) / DAY_MS);
+  if (days <= 1) return "Deleted for good today";
+  return `Deleted for good in ${days} days`;
+};
+
+export default function Trash() {
+  const dispatch = useDispatch();
+  const trash = useSelector((state) => state.contacts.trash);
+  const trashError = useSelector((state) => state.contacts.trashError);
+  // ids being restored or deleted, so their buttons can be disabled
+  const [busyIds, setBusyIds] = useState(() => new Set());
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchTrash());
+  }, [dispatch]);
+
+  const run = async (ids, thunk) => {
+    setBusyIds((prev) => new Set([...prev, ...ids]));
+    let failed = 0;
+    for (const id of ids) {
+      try {
+        await dispatch(thunk(id)).unwrap();
+      } catch (err) {
+        console.error("Trash action failed:", err);
+        failed += 1;
+      }
+    }
+    setBusyIds((prev) => new Set([...prev].filter((id) => !ids.includes(id))));
+    return failed;
+  };
+
+  const handleRestore = async (entry) => {
+    const failed = await run([entry.id], restoreContact);
+    if (!failed) setMessage(`${entry.contact.name} restored`);
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete ${entry.contact.name} for good? This cannot be undone.`)) return;
+    await run([entry.id], purgeContact);
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm(`Delete all ${trash.length} contacts in the trash for good? This cannot be undone.`)) return;
+    const failed = await run(trash.map((entry) => entry.id), purgeContact);
+    if (failed) alert(`${failed} contact${failed === 1 ? "" : "s"} could not be deleted. Please try again.`);
+  };
+
+  return (
+    <div>
+      {message && (
+        <FlashMessage message={message} type="success" onClose={() => setMessage(null)} duration={2000} />
+      )}
+
+      <div className="page-header">
+        <h1 className="page-title">Trash</h1>
+        <Link to="/contacts" className="profile-cancel-link">
+          Back to contacts
+        </Link>
+      </div>
+
+      {trashError && <div className="error">{trashError}</div>}
+
+      <section className="card">
+        <div className="import-header">
+          <span className="import-note">
+            Deleted contacts stay here for {TRASH_RETENTION_DAYS} days before they are deleted for good.
+          </span>
+          {trash.length > 0 && (
+            <button className="button small secondary" onClick={handleEmpty} disabled={busyIds.size > 0}>
+              Empty trash
+            </button>
+          )}
+        </div>
+
+        {trash.length === 0 ? (
+          <div className="empty-state">
+            <h3 className="empty-state-title">Trash is empty</h3>
+            <p className="empty-state-description">Contacts you delete show up here until they are deleted for good.</p>
+          </div>
+        ) : (
+          <div className="list">
+            {trash.map((entry) => (
+              <div className="contact" key={entry.id}>
+                <div className="meta">
+                  <div className="avatar">{getInitials(entry.contact.name)}</div>
+                  <div>
+                    <div className="name">{entry.contact.name}</div>
+                    <div className="number">{entry.contact.number}</div>
+                    <div className="contact-subtitle">
+                      {`Deleted ${new Date(entry.deletedAt).toLocaleDateString()} · ${expiryText(entry)}`}
+                    </div>
+                  </div>
+                </div>
+                <div className="contact-actions">
+                  <button
+                    className="icon-button"
+                    onClick={() => handleRestore(entry)}
+                    disabled={busyIds.has(entry.id)}
+                  >
+                    Restore
+                  </button>
+                  <button
+                    className="icon-button"
+                    onClick={() => handleDelete(entry)}
+                    disabled={busyIds.has(entry.id)}
+                  >
+                    Delete for good
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
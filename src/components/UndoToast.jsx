@@ -0,0 +1,37 @@
+/**
+ * UndoToast
+ * Toast shown after contacts were moved to the trash, with an "Undo" button that
+ * restores them. Rendered once by the app so it stays up while navigating away
+ * from a deleted contact's page.
+ */
+import React, { useCallback } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { dismissUndo, undoDelete } from "../redux/contactsSlice";
+import FlashMessage from "./FlashMessage";
+
+// Time to change one's mind before the toast goes (the trash keeps the contacts anyway)
+const UNDO_DURATION = 8000;
+
+export default function UndoToast() {
+  const dispatch = useDispatch();
+  const lastDeleted = useSelector((state) => state.contacts.lastDeleted);
+
+  const handleClose = useCallback(() => dispatch(dismissUndo()), [dispatch]);
+
+  if (!lastDeleted) return null;
+
+  const message = lastDeleted.ids.length === 1
+    ? `${lastDeleted.names[0]} moved to trash`
+    : `${lastDeleted.ids.length} contacts moved to trash`;
+
+  return (
+    <FlashMessage
+      key={lastDeleted.ids.join(",")}
+      message={message}
+      type="success"
+      onClose={handleClose}
+      duration={UNDO_DURATION}
+      action={{ label: "Undo", onClick: () => dispatch(undoDelete()) }}
+    />
+  );
+}
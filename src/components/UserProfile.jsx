@@ -3,6 +3,7 @@ import { useDispatch, useSelector } from 'react-redux';
 import { updateUser } from '../redux/authSlice';
 import { useNavigate, Link } from 'react-router-dom';
 import FlashMessage from './FlashMessage';
+import BackupRestore from './BackupRestore';
 
 const UserProfile = () => {
   const dispatch = useDispatch();
@@ -103,7 +104,7 @@ const UserProfile = () => {
   };
 
   return (
-    <div className="auth-page">
+    <div className="auth-page profile-page">
       {successMessage && (
         <FlashMessage
           message={successMessage}
@@ -265,6 +266,8 @@ const UserProfile = () => {
           </div>
         </form>
       </div>
+
+      <BackupRestore />
     </div>
   );
 };
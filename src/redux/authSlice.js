@@ -1,6 +1,6 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import axios from 'axios';
-import { mockRegisterUser, mockLoginUser, mockRefreshUser, mockUpdateUser } from '../services/mockApi';
+import { mockRegisterUser, mockLoginUser, mockRefreshUser, mockUpdateUser, mockRememberUser } from '../services/mockApi';
 import { dbSaveToken, dbGetToken, dbRemoveToken } from '../services/db';
 
 // Set the base URL for the backend API
@@ -47,6 +47,16 @@ const getTokenFromStorageAsync = async () => {
   }
 };
 
+// Keep a local copy of an account signed in through the real API, so its contacts
+// stay available (and offline changes can be queued for sync) when the API is unreachable
+const rememberForOffline = async (user, token, password) => {
+  try {
+    await mockRememberUser(user, token, password);
+  } catch (error) {
+    console.error('Error saving account for offline use:', error);
+  }
+};
+
 // Check if we should use mock API (only in development or when explicitly needed)
 // Also check localStorage as a fallback in case env var isn't loaded
 const getUseMockAPI = () => {
@@ -89,6 +99,7 @@ export const registerUser = createAsyncThunk(
     try {
       const response = await axios.post(`${BASE_URL}/users/signup`, userData);
       await setAuthHeader(response.data.token);
+      await rememberForOffline(response.data.user, response.data.token, userData.password);
       return response.data;
     } catch (error) {
       // Log error details only in development or when explicitly needed
@@ -157,6 +168,7 @@ export const loginUser = createAsyncThunk(
     try {
       const response = await axios.post(`${BASE_URL}/users/login`, userData);
       await setAuthHeader(response.data.token);
+      await rememberForOffline(response.data.user, response.data.token, userData.password);
       return response.data;
     } catch (error) {
       // Log error details in development
@@ -314,6 +326,7 @@ export const refreshUser = createAsyncThunk(
       await setAuthHeader(token);
       try {
         const response = await axios.get(`${BASE_URL}/users/current`);
+        await rememberForOffline(response.data, token);
         return response.data;
       } catch (error) {
         // Handle authentication errors specifically
@@ -375,6 +388,7 @@ export const updateUser = createAsyncThunk(
       await setAuthHeader(token);
       try {
         const response = await axios.patch(`${BASE_URL}/users`, userData);
+        await rememberForOffline(response.data, token, userData.password);
         return response.data;
       } catch (error) {
         // Log error details only in development
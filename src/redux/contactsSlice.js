@@ -1,7 +1,37 @@
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk, createSelector, createEntityAdapter, isFulfilled, unwrapResult } from '@reduxjs/toolkit';
 import axios from 'axios';
-import { mockFetchContacts, mockAddContact, mockDeleteContact } from '../services/mockApi';
+import { mockGetContact, mockAddContact, mockUpdateContact, mockDeleteContact } from '../services/mockApi';
+import { contactsAPI } from '../services/api';
 import { dbGetToken } from '../services/db';
+import {
+  recordOfflineChange,
+  countPendingChanges,
+  replayOutbox,
+  cacheContactsForOffline,
+  resolveConflict,
+  getConflictLog
+} from '../services/syncEngine';
+import {
+  applyContactExtensions,
+  saveContactExtension,
+  deleteContactExtension,
+  recordContacted
+} from '../services/contactExtensions';
+import { getFavorites, saveFavorites } from '../services/favorites';
+import { getTags, saveTag, deleteTag, updateContactTags } from '../services/tags';
+import { getPreferences, savePreferences } from '../services/preferences';
+import { CONTACTS_PAGE_SIZE, getContactsPage, keepFullList, forgetFullList, hasFullList } from '../services/contactPages';
+import {
+  getTrash,
+  getTrashEntry,
+  moveToTrash,
+  removeFromTrash,
+  withoutTrashed,
+  isTrashEntryExpired
+} from '../services/trash';
+import { normalizeContact, toApiContact, applyContactExtension, applyNumberChanges } from '../utils/contactModel';
+import { DEFAULT_SORT, isValidSort, sortContacts } from '../utils/contactSort';
+import { filterContacts } from '../utils/search';
 
 // Backend API endpoint
 const BASE_URL = 'https://connections-api.goit.global';
@@ -9,13 +39,14 @@ const BASE_URL = 'https://connections-api.goit.global';
 // Utility to ensure auth token is set in axios headers
 // This ensures JWT token is attached to all API requests
 // The token is retrieved from IndexedDB and set in axios default headers
+// Resolves to the token (so the mock API can scope contacts to its owner) or false
 const ensureAuthHeader = async () => {
   try {
     const token = await dbGetToken();
     if (token) {
       // Set Authorization header for all axios requests
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      return true;
+      return token;
     }
     // Clear Authorization header if no token exists
     delete axios.defaults.headers.common['Authorization'];
@@ -26,7 +57,7 @@ const ensureAuthHeader = async () => {
     const token = localStorage.getItem('auth_token');
     if (token) {
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      return true;
+      return token;
     }
     delete axios.defaults.headers.common['Authorization'];
     return false;
@@ -54,10 +85,35 @@ const getUseMockAPI = () => {
   return false;
 };
 
+// Contacts are kept normalised ({ ids, entities }), in the order they were loaded
+const contactsAdapter = createEntityAdapter();
+
+// A page of the list as the reducers take it: its contacts (without those in the trash),
+// where the next page starts, whether there is one and the order the pages come in
+const loadPage = async (token, offset, limit, sort) => {
+  const { contacts, total } = await getContactsPage(token, offset, limit, sort);
+  const nextOffset = Math.min(offset + limit, total);
+  return { contacts: await withoutTrashed(token, contacts), nextOffset, hasMore: nextOffset < total, total, sort };
+};
+
+// Keep the list the real API returned, with the details kept locally put back, to be
+// paged through (and cached for offline use)
+const keepApiList = async (token, contacts) => {
+  // The API does not store extra numbers and details - put back the ones kept locally
+  const withExtensions = await applyContactExtensions(token, contacts);
+
+  // API is the source of truth - IndexedDB only keeps a copy for offline use
+  await cacheContactsForOffline(token, withExtensions);
+  // The API returns every contact at once; they are shown a page at a time all the same
+  keepFullList(token, withExtensions);
+};
+
 // ===== ASYNC THUNKS FOR API CALLS ===== //
-export const fetchContacts = createAsyncThunk('contacts/fetchContacts', async (_, { rejectWithValue, getState }) => {
+// Load the first page of the list (see fetchMoreContacts for the others)
+export const fetchContacts = createAsyncThunk('contacts/fetchContacts', async (_, { rejectWithValue, dispatch, getState }) => {
   // Ensure auth token is set before making the request
-  if (!(await ensureAuthHeader())) {
+  const token = await ensureAuthHeader();
+  if (!token) {
     const errorMessage = 'Authentication required. Please log in again.';
     // Only log in development
     if (process.env.NODE_ENV === 'development') {
@@ -72,8 +128,17 @@ export const fetchContacts = createAsyncThunk('contacts/fetchContacts', async (_
     if (process.env.NODE_ENV === 'development') {
       console.log('fetchContacts: Successfully fetched contacts from API');
     }
-    // API is the source of truth - no need to sync to IndexedDB
-    return response.data;
+    let contacts = response.data;
+
+    // The API is reachable again - send the changes made while offline first,
+    // then read the list again so it includes them
+    if ((await countPendingChanges(token)) > 0) {
+      dispatch(syncFinished(await replayOutbox(token)));
+      contacts = (await axios.get(`${BASE_URL}/contacts`)).data;
+    }
+
+    await keepApiList(token, contacts);
+    return await loadPage(token, 0, CONTACTS_PAGE_SIZE, getState().contacts.sort);
   } catch (error) {
     // Log the error for debugging only in development
     if (process.env.NODE_ENV === 'development') {
@@ -106,11 +171,13 @@ export const fetchContacts = createAsyncThunk('contacts/fetchContacts', async (_
     if (isNetworkError) {
       console.warn('fetchContacts: Real API unreachable, using IndexedDB mock API as fallback');
       try {
-        const mockResponse = await mockFetchContacts();
-        return mockResponse.data;
+        forgetFullList();
+        const page = await loadPage(token, 0, CONTACTS_PAGE_SIZE, getState().contacts.sort);
+        dispatch(setPendingSync(await countPendingChanges(token)));
+        return page;
       } catch (mockError) {
         console.error('fetchContacts: Mock API also failed', mockError);
-        return rejectWithValue(error.message || 'Failed to fetch contacts');
+        return rejectWithValue(mockError.response?.data?.message || error.message || 'Failed to fetch contacts');
       }
     }
 
@@ -121,9 +188,142 @@ export const fetchContacts = createAsyncThunk('contacts/fetchContacts', async (_
   }
 });
 
-export const addContact = createAsyncThunk('contacts/addContact', async (contact, { rejectWithValue }) => {
+// Load the next page of the list, or with { all: true } every page still missing
+// (for what needs the whole list: search, tag filters, export, duplicates). With
+// { reload: true } the pages loaded so far are loaded again, in the current order of the list
+export const fetchMoreContacts = createAsyncThunk('contacts/fetchMoreContacts', async ({ all = false, reload = false } = {}, { rejectWithValue, getState }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    const { paging, sort } = getState().contacts;
+    // contacts changed since the real API's list was kept: the pages come from a fresh one
+    if (paging.stale && hasFullList(token)) {
+      try {
+        await keepApiList(token, (await axios.get(`${BASE_URL}/contacts`)).data);
+      } catch (error) {
+        if (error.response) throw error;
+        // unreachable: the mock API has the changes
+        forgetFullList();
+      }
+    }
+
+    if (reload) {
+      return await loadPage(token, 0, Math.max(paging.nextOffset, CONTACTS_PAGE_SIZE), sort);
+    }
+    return await loadPage(token, paging.nextOffset, all ? Infinity : CONTACTS_PAGE_SIZE, paging.sort);
+  } catch (error) {
+    return rejectWithValue(error.response?.data?.message || error.message || 'Failed to load more contacts');
+  }
+}, {
+  condition: (_, { getState }) => {
+    const { paging, operations } = getState().contacts;
+    return paging.hasMore && operations.loadMore.status !== 'loading';
+  }
+});
+
+// Every contact of the account, after loading the pages still missing (for checks that
+// need the whole list, like duplicate names). Rejects when a page cannot be loaded
+export const loadAllContacts = () => async (dispatch, getState) => {
+  while (getState().contacts.paging.hasMore) {
+    const result = await dispatch(fetchMoreContacts({ all: true }));
+    if (result.meta.condition) {
+      // a page is loading already - the rest is asked for once it is there
+      await new Promise(resolve => setTimeout(resolve, 100));
+    } else {
+      unwrapResult(result);
+    }
+  }
+  return selectAllContacts(getState());
+};
+
+// Error of fetchContactById for contacts that were moved to the trash
+export const CONTACT_IN_TRASH = 'Contact is in the trash';
+
+// Load a single contact for its detail page (deep links work before the list is loaded)
+export const fetchContactById = createAsyncThunk('contacts/fetchContactById', async (id, { rejectWithValue }) => {
   // Ensure auth token is set before making the request
-  if (!(await ensureAuthHeader())) {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    const errorMessage = 'Authentication required. Please log in again.';
+    // Only log in development
+    if (process.env.NODE_ENV === 'development') {
+      console.error('fetchContactById: No auth token found');
+    }
+    return rejectWithValue(errorMessage);
+  }
+
+  // deleted contacts are still on the server while they are in the trash
+  if (await getTrashEntry(token, id)) {
+    return rejectWithValue(CONTACT_IN_TRASH);
+  }
+
+  try {
+    const contact = await contactsAPI.getById(id);
+    // Only log success in development
+    if (process.env.NODE_ENV === 'development') {
+      console.log('fetchContactById: Successfully fetched contact from API', contact);
+    }
+    const [fullContact] = await applyContactExtensions(token, [contact]);
+    return fullContact;
+  } catch (error) {
+    // Log the error for debugging only in development
+    if (process.env.NODE_ENV === 'development') {
+      console.error('fetchContactById API Error:', {
+        message: error.message,
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        data: error.response?.data
+      });
+    }
+
+    // Handle authentication errors specifically
+    if (error.response?.status === 401) {
+      const errorMessage = 'Authentication failed. Please log in again.';
+      // Only log in development
+      if (process.env.NODE_ENV === 'development') {
+        console.error('fetchContactById: 401 Unauthorized - token may be invalid');
+      }
+      return rejectWithValue(errorMessage);
+    }
+
+    // Unknown ids and contacts of other users both answer 404 (or 400 for malformed ids)
+    if (error.response?.status === 404 || error.response?.status === 400) {
+      return rejectWithValue('Contact not found');
+    }
+
+    // Check if this is a network error (no response from server)
+    const isNetworkError = error.request || 
+                          error.message === 'Network Error' || 
+                          error.code === 'ERR_NETWORK' ||
+                          error.code === 'ECONNABORTED' ||
+                          !error.response;
+
+    // Automatically use mock API as fallback for network errors
+    if (isNetworkError) {
+      console.warn('fetchContactById: Real API unreachable, using IndexedDB mock API as fallback');
+      try {
+        const mockResponse = await mockGetContact(token, id);
+        return normalizeContact(mockResponse.data);
+      } catch (mockError) {
+        console.error('fetchContactById: Mock API also failed', mockError);
+        return rejectWithValue(mockError.response?.data?.message || error.message || 'Failed to load contact');
+      }
+    }
+
+    // For other server errors (not network errors), return the error
+    // Don't use mock API for server errors - these are real API responses
+    const errorMessage = error.response?.data?.message || error.message || 'Failed to load contact';
+    return rejectWithValue(errorMessage);
+  }
+});
+
+export const addContact = createAsyncThunk('contacts/addContact', async (contact, { rejectWithValue, dispatch }) => {
+  // Ensure auth token is set before making the request
+  const token = await ensureAuthHeader();
+  if (!token) {
     const errorMessage = 'Authentication required. Please log in again.';
     // Only log in development
     if (process.env.NODE_ENV === 'development') {
@@ -133,13 +333,18 @@ export const addContact = createAsyncThunk('contacts/addContact', async (contact
   }
 
   try {
-    const response = await axios.post(`${BASE_URL}/contacts`, contact);
+    // The API stores a single number - the primary one
+    const response = await axios.post(`${BASE_URL}/contacts`, toApiContact(contact));
     // Only log success in development
     if (process.env.NODE_ENV === 'development') {
       console.log('addContact: Successfully added contact to API', response.data);
     }
-    // API is the source of truth - no need to save to IndexedDB
-    return response.data;
+    // Keep what the API cannot store (other numbers, details, dates) next to its copy
+    const extension = await saveContactExtension(token, response.data.id, {
+      ...contact,
+      createdAt: contact.createdAt || new Date().toISOString()
+    });
+    return applyContactExtension(response.data, extension);
   } catch (error) {
     // Log the error for debugging only in development
     if (process.env.NODE_ENV === 'development') {
@@ -178,11 +383,20 @@ export const addContact = createAsyncThunk('contacts/addContact', async (contact
     if (isNetworkError) {
       console.warn('addContact: Real API unreachable, using IndexedDB mock API as fallback');
       try {
-        const mockResponse = await mockAddContact(contact);
-        return mockResponse.data;
+        // The mock backend keeps every number and detail
+        const mockResponse = await mockAddContact(token, contact);
+        // ...but the real API will not, so keep them for when this contact is synced
+        await saveContactExtension(token, mockResponse.data.id, mockResponse.data);
+        // Remember the change so it reaches the real API once it is back
+        dispatch(setPendingSync(await recordOfflineChange(token, {
+          type: 'add',
+          contactId: mockResponse.data.id,
+          payload: toApiContact(contact)
+        })));
+        return normalizeContact(mockResponse.data);
       } catch (mockError) {
         console.error('addContact: Mock API also failed', mockError);
-        return rejectWithValue(error.message || 'Failed to add contact');
+        return rejectWithValue(mockError.response?.data?.message || error.message || 'Failed to add contact');
       }
     }
 
@@ -193,29 +407,33 @@ export const addContact = createAsyncThunk('contacts/addContact', async (contact
   }
 });
 
-export const deleteContact = createAsyncThunk('contacts/deleteContact', async (id, { rejectWithValue }) => {
+export const editContact = createAsyncThunk('contacts/editContact', async ({ id, ...contactData }, { rejectWithValue, dispatch, getState }) => {
   // Ensure auth token is set before making the request
-  if (!(await ensureAuthHeader())) {
+  const token = await ensureAuthHeader();
+  if (!token) {
     const errorMessage = 'Authentication required. Please log in again.';
     // Only log in development
     if (process.env.NODE_ENV === 'development') {
-      console.error('deleteContact: No auth token found');
+      console.error('editContact: No auth token found');
     }
     return rejectWithValue(errorMessage);
   }
 
   try {
-    await axios.delete(`${BASE_URL}/contacts/${id}`);
+    const response = await axios.patch(`${BASE_URL}/contacts/${id}`, toApiContact(contactData));
     // Only log success in development
     if (process.env.NODE_ENV === 'development') {
-      console.log('deleteContact: Successfully deleted contact from API', id);
+      console.log('editContact: Successfully updated contact in API', response.data);
     }
-    // API is the source of truth - no need to delete from IndexedDB
-    return id;
+    // Keep what the API cannot store, with the changes applied to the current values
+    const previous = selectContactById(getState(), id) || {};
+    const updated = { ...previous, ...contactData, ...applyNumberChanges(previous, contactData) };
+    const extension = await saveContactExtension(token, id, updated);
+    return applyContactExtension(response.data, extension);
   } catch (error) {
     // Log the error for debugging only in development
     if (process.env.NODE_ENV === 'development') {
-      console.error('deleteContact API Error:', {
+      console.error('editContact API Error:', {
         message: error.message,
         status: error.response?.status,
         statusText: error.response?.statusText,
@@ -228,11 +446,17 @@ export const deleteContact = createAsyncThunk('contacts/deleteContact', async (i
       const errorMessage = 'Authentication failed. Please log in again.';
       // Only log in development
       if (process.env.NODE_ENV === 'development') {
-        console.error('deleteContact: 401 Unauthorized - token may be invalid');
+        console.error('editContact: 401 Unauthorized - token may be invalid');
       }
       return rejectWithValue(errorMessage);
     }
 
+    // Handle validation errors
+    if (error.response?.status === 400) {
+      const errorMessage = error.response?.data?.message || 'Invalid contact data';
+      return rejectWithValue(errorMessage);
+    }
+
     // Handle not found errors
     if (error.response?.status === 404) {
       const errorMessage = 'Contact not found';
@@ -248,79 +472,875 @@ export const deleteContact = createAsyncThunk('contacts/deleteContact', async (i
 
     // Automatically use mock API as fallback for network errors
     if (isNetworkError) {
-      console.warn('deleteContact: Real API unreachable, using IndexedDB mock API as fallback');
+      console.warn('editContact: Real API unreachable, using IndexedDB mock API as fallback');
       try {
-        const mockResponse = await mockDeleteContact(id);
-        return mockResponse.data;
+        const mockResponse = await mockUpdateContact(token, id, contactData);
+        await saveContactExtension(token, id, mockResponse.data);
+        // Remember the change so it reaches the real API once it is back, together with
+        // the version it was based on so edits made elsewhere meanwhile can be detected
+        const previous = selectContactById(getState(), id);
+        dispatch(setPendingSync(await recordOfflineChange(token, {
+          type: 'update',
+          contactId: id,
+          payload: toApiContact(contactData),
+          base: previous ? { name: previous.name, number: previous.number } : null
+        })));
+        return normalizeContact(mockResponse.data);
       } catch (mockError) {
-        console.error('deleteContact: Mock API also failed', mockError);
-        return rejectWithValue(error.message || 'Failed to delete contact');
+        console.error('editContact: Mock API also failed', mockError);
+        return rejectWithValue(mockError.response?.data?.message || error.message || 'Failed to update contact');
       }
     }
 
     // For other server errors (not network errors), return the error
     // Don't use mock API for server errors - these are real API responses
+    const errorMessage = error.response?.data?.message || error.message || 'Failed to update contact';
+    return rejectWithValue(errorMessage);
+  }
+});
+
+// Delete a contact on the API - or, offline, through the mock API, with the change recorded
+// for the outbox. A contact that is already gone there counts as deleted
+const deleteFromServer = async (token, id, dispatch) => {
+  try {
+    await axios.delete(`${BASE_URL}/contacts/${id}`);
+    // Only log success in development
+    if (process.env.NODE_ENV === 'development') {
+      console.log('deleteFromServer: Successfully deleted contact from API', id);
+    }
+  } catch (error) {
+    // Already deleted on the server (e.g. from another device)
+    if (error.response?.status === 404) return;
+    if (error.response) throw error;
+
+    console.warn('deleteFromServer: Real API unreachable, using IndexedDB mock API as fallback');
+    try {
+      await mockDeleteContact(token, id);
+    } catch (mockError) {
+      if (mockError.response?.status === 404) return;
+      throw mockError;
+    }
+    // Remember the change so it reaches the real API once it is back
+    dispatch(setPendingSync(await recordOfflineChange(token, {
+      type: 'delete',
+      contactId: id
+    })));
+  }
+};
+
+// Move a contact to the trash: a full copy is kept there and the contact is deleted on the
+// server, so other devices stop showing it. Restoring creates it again (see restoreContact)
+export const deleteContact = createAsyncThunk('contacts/deleteContact', async (id, { rejectWithValue, getState, dispatch }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  const { current, favorites } = getState().contacts;
+  const contact = selectContactById(getState(), id) || (current?.id === id ? current : null);
+  if (!contact) {
+    return rejectWithValue('Contact not found');
+  }
+
+  try {
+    // the copy is saved first: it is all a restore has once the server copy is gone
+    const entry = await moveToTrash(token, contact, { favoriteIndex: favorites.indexOf(id) });
+    try {
+      await deleteFromServer(token, id, dispatch);
+    } catch (error) {
+      await removeFromTrash(token, id);
+      throw error;
+    }
+    return entry;
+  } catch (error) {
+    console.error('deleteContact: Failed to delete contact', error);
+    if (error.response?.status === 401) {
+      return rejectWithValue('Authentication failed. Please log in again.');
+    }
+    return rejectWithValue(error.response?.data?.message || error.message || 'Failed to delete contact');
+  }
+});
+
+// Whether a contact still exists on the server (or, offline, in the local copy).
+// Resolves to the contact in the app's shape, or null when it is gone
+const findExistingContact = async (token, id) => {
+  try {
+    const contact = await contactsAPI.getById(id);
+    const [fullContact] = await applyContactExtensions(token, [contact]);
+    return fullContact;
+  } catch (error) {
+    if (error.response?.status === 404 || error.response?.status === 400) return null;
+    if (error.response) throw error;
+    try {
+      return normalizeContact((await mockGetContact(token, id)).data);
+    } catch (mockError) {
+      if (mockError.response?.status === 404) return null;
+      throw mockError;
+    }
+  }
+};
+
+// Take a contact out of the trash. It was deleted on the server when it was trashed, so it
+// is created again from the kept copy, with a new id (unless the server still has it, as
+// for contacts trashed before deleting did that); its favorite position is kept
+export const restoreContact = createAsyncThunk('contacts/restoreContact', async (id, { rejectWithValue, dispatch, getState }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    const entry = await getTrashEntry(token, id);
+    if (!entry) {
+      return rejectWithValue('This contact is no longer in the trash');
+    }
+
+    let contact = await findExistingContact(token, id);
+    if (!contact) {
+      const { id: _oldId, ...values } = entry.contact;
+      contact = await dispatch(addContact(values)).unwrap();
+      await deleteContactExtension(token, id);
+    }
+    await removeFromTrash(token, id);
+
+    const { favorites } = getState().contacts;
+    if (entry.favoriteIndex >= 0 || favorites.includes(id)) {
+      const position = favorites.includes(id) ? favorites.indexOf(id) : entry.favoriteIndex;
+      const others = favorites.filter(favoriteId => favoriteId !== id && favoriteId !== contact.id);
+      others.splice(Math.min(position, others.length), 0, contact.id);
+      dispatch(saveFavoriteOrder(others));
+    }
+
+    return { id, contact };
+  } catch (error) {
+    console.error('restoreContact: Failed to restore contact', error);
+    const message = typeof error === 'string' ? error : error.response?.data?.message || error.message;
+    return rejectWithValue(message || 'Failed to restore contact');
+  }
+});
+
+// Restore every contact of the last deletion (the "Undo" of the toast)
+export const undoDelete = () => async (dispatch, getState) => {
+  const { lastDeleted } = getState().contacts;
+  if (!lastDeleted) return;
+  dispatch(dismissUndo());
+  for (const id of lastDeleted.ids) {
+    await dispatch(restoreContact(id));
+  }
+};
+
+// Delete a contact for good: from the API (or, offline, through the mock API and the outbox)
+// and from the trash
+export const purgeContact = createAsyncThunk('contacts/purgeContact', async (id, { rejectWithValue, dispatch }) => {
+  // Ensure auth token is set before making the request
+  const token = await ensureAuthHeader();
+  if (!token) {
+    const errorMessage = 'Authentication required. Please log in again.';
+    // Only log in development
+    if (process.env.NODE_ENV === 'development') {
+      console.error('purgeContact: No auth token found');
+    }
+    return rejectWithValue(errorMessage);
+  }
+
+  try {
+    await deleteFromServer(token, id, dispatch);
+    // API is the source of truth - only the locally kept fields need to go
+    await deleteContactExtension(token, id);
+    await removeFromTrash(token, id);
+    return id;
+  } catch (error) {
+    // Log the error for debugging only in development
+    if (process.env.NODE_ENV === 'development') {
+      console.error('purgeContact API Error:', {
+        message: error.message,
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        data: error.response?.data
+      });
+    }
+
+    // Handle authentication errors specifically
+    if (error.response?.status === 401) {
+      return rejectWithValue('Authentication failed. Please log in again.');
+    }
+
     const errorMessage = error.response?.data?.message || error.message || 'Failed to delete contact';
     return rejectWithValue(errorMessage);
   }
 });
 
+// Load the trash of the signed-in user
+export const fetchTrash = createAsyncThunk('contacts/fetchTrash', async (_, { rejectWithValue }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    return await getTrash(token);
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to load trash');
+  }
+});
+
+// Delete the contacts that have been in the trash longer than the retention period
+// (run on app start). Contacts that cannot be deleted now are tried again next time
+export const purgeExpiredTrash = createAsyncThunk('contacts/purgeExpiredTrash', async (_, { rejectWithValue, dispatch }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    const expired = (await getTrash(token)).filter(entry => isTrashEntryExpired(entry));
+    for (const entry of expired) {
+      await dispatch(purgeContact(entry.id));
+    }
+    return await getTrash(token);
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to empty expired trash');
+  }
+});
+
+// Send changes made while offline to the real API (e.g. when the browser goes back online)
+export const syncPendingChanges = createAsyncThunk('contacts/syncPendingChanges', async (_, { rejectWithValue, dispatch }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    const result = await replayOutbox(token);
+    if (result.synced > 0 || result.failed.length > 0) {
+      // Reload so the list shows server ids for contacts created offline
+      dispatch(fetchContacts());
+    }
+    return result;
+  } catch (error) {
+    console.error('syncPendingChanges: Sync failed', error);
+    return rejectWithValue(error.message || 'Failed to sync offline changes');
+  }
+});
+
+// Store the outcome of an outbox replay (see services/syncEngine.js)
+const applySyncResult = (state, { pending, failed, conflicts }) => {
+  state.pendingSync = pending;
+  state.conflicts = conflicts;
+  state.syncError = failed.length > 0
+    ? `${failed.length} offline change${failed.length === 1 ? ' was' : 's were'} rejected by the server: ${failed.map(f => f.message).join('; ')}`
+    : null;
+};
+
+// Apply the user's choice for a sync conflict, then carry on with the remaining changes
+export const resolveSyncConflict = createAsyncThunk('contacts/resolveSyncConflict', async ({ conflict, resolution, values }, { rejectWithValue, dispatch }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    const logEntry = await resolveConflict(token, conflict, resolution, values);
+    dispatch(syncPendingChanges());
+    return logEntry;
+  } catch (error) {
+    console.error('resolveSyncConflict: Failed to apply resolution', error);
+    return rejectWithValue(error.response?.data?.message || error.message || 'Failed to resolve conflict');
+  }
+});
+
+// Load the log of resolved conflicts so the user can review what was overwritten
+export const fetchConflictLog = createAsyncThunk('contacts/fetchConflictLog', async (_, { rejectWithValue }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    return await getConflictLog(token);
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to load conflict log');
+  }
+});
+
+// Load the favorite contacts of the signed-in user (kept locally, see services/favorites.js)
+export const fetchFavorites = createAsyncThunk('contacts/fetchFavorites', async (_, { rejectWithValue }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    return await getFavorites(token);
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to load favorites');
+  }
+});
+
+// Save the favorites in the given order. The new order is shown right away;
+// if it cannot be saved the stored order is loaded again
+export const saveFavoriteOrder = createAsyncThunk('contacts/saveFavoriteOrder', async (contactIds, { rejectWithValue, dispatch }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    return await saveFavorites(token, contactIds);
+  } catch (error) {
+    console.error('saveFavoriteOrder: Failed to save favorites', error);
+    dispatch(fetchFavorites());
+    return rejectWithValue(error.message || 'Failed to save favorites');
+  }
+});
+
+// Add a contact to the end of the favorites, or remove it.
+// Favorites of contacts that no longer exist (e.g. deleted on another device) are dropped
+// once the whole list is loaded - until then they may be on a page not loaded yet
+export const toggleFavorite = (id) => (dispatch, getState) => {
+  const { favorites, entities, paging } = getState().contacts;
+  const existing = paging.hasMore
+    ? favorites
+    : favorites.filter(favoriteId => Boolean(entities[favoriteId]));
+  return dispatch(saveFavoriteOrder(
+    existing.includes(id) ? existing.filter(favoriteId => favoriteId !== id) : [...existing, id]
+  ));
+};
+
+// Load the tags of the signed-in user (kept locally, see services/tags.js)
+export const fetchTags = createAsyncThunk('contacts/fetchTags', async (_, { rejectWithValue }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    return await getTags(token);
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to load tags');
+  }
+});
+
+// Create a tag ({ name, color }) or change one ({ id, name, color })
+export const upsertTag = createAsyncThunk('contacts/upsertTag', async (tag, { rejectWithValue }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    return await saveTag(token, tag);
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to save tag');
+  }
+});
+
+// Delete a tag; contacts that had it keep their other tags
+export const removeTag = createAsyncThunk('contacts/removeTag', async (id, { rejectWithValue }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    return await deleteTag(token, id);
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to delete tag');
+  }
+});
+
+// Add and/or remove tags on one or more contacts: { ids, add: [tagId], remove: [tagId] }.
+// Only local data changes, so this also works while the real API is unreachable
+export const assignTags = createAsyncThunk('contacts/assignTags', async ({ ids, add = [], remove = [] }, { rejectWithValue, getState }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    const contacts = ids.map(id => selectContactById(getState(), id)).filter(Boolean);
+    return await updateContactTags(token, contacts, { add, remove });
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to update tags');
+  }
+});
+
+// Load the contact list preferences of the signed-in user (see services/preferences.js)
+export const fetchPreferences = createAsyncThunk('contacts/fetchPreferences', async (_, { rejectWithValue }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    return await getPreferences(token);
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to load preferences');
+  }
+});
+
+// Sort the list by { key, direction } and remember it for the next session.
+// The new order is shown right away, even if it cannot be saved
+export const saveSortPreference = createAsyncThunk('contacts/saveSortPreference', async (sort, { rejectWithValue }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    return await savePreferences(token, { sort });
+  } catch (error) {
+    console.error('saveSortPreference: Failed to save sort order', error);
+    return rejectWithValue(error.message || 'Failed to save sort order');
+  }
+});
+
+// Note that a contact was called or emailed from the app, for the "Recently contacted" order
+export const markContacted = createAsyncThunk('contacts/markContacted', async (id, { rejectWithValue, getState }) => {
+  const token = await ensureAuthHeader();
+  if (!token) {
+    return rejectWithValue('Authentication required. Please log in again.');
+  }
+
+  try {
+    const { current } = getState().contacts;
+    const contact = selectContactById(getState(), id) || (current?.id === id ? current : null);
+    if (!contact) {
+      return rejectWithValue('Contact not found');
+    }
+    return await recordContacted(token, contact);
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to update contact');
+  }
+});
+
+const sortTags = (tags) => tags.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+// Kinds of contact requests with a status of their own, so an edit running in the
+// background does not put the whole list in a loading state
+const OPERATIONS = ['fetch', 'loadMore', 'add', 'edit', 'delete'];
+
+const setOperation = (state, name, status, error = null) => {
+  state.operations[name] = { status, error };
+};
+
+// A loaded contact was deleted on the server, or changed so it may have moved past the
+// loaded pages: the pages not loaded yet move up by one (a contact loaded twice is skipped)
+const shiftUnloadedPages = (state) => {
+  if (state.paging.hasMore && state.paging.nextOffset > 0) {
+    state.paging.nextOffset -= 1;
+  }
+};
+
 const contactsSlice = createSlice({
   name: 'contacts',
-  initialState: {
-    items: [],
+  initialState: contactsAdapter.getInitialState({
     filter: '',
-    status: 'idle', 
-    error: null,
-  },
+    // { status: 'idle' | 'loading' | 'succeeded' | 'failed', error } of each of OPERATIONS
+    operations: Object.fromEntries(OPERATIONS.map(name => [name, { status: 'idle', error: null }])),
+    pendingSync: 0, // number of offline changes not yet sent to the real API
+    isSyncing: false,
+    syncError: null,
+    conflicts: [], // offline edits that clash with changes made on the server
+    conflictLog: [],
+    favorites: [], // ids of favorite contacts, in the order they are shown
+    favoritesError: null,
+    current: null, // contact shown on its detail page
+    currentStatus: 'idle',
+    currentError: null,
+    tags: [], // the user's tags ({ id, name, color }), sorted by name
+    tagsError: null,
+    tagFilter: { ids: [], mode: 'any' }, // list shows contacts with any / all of these tags
+    trash: [], // deleted contacts ({ id, contact, deletedAt, favoriteIndex }), newest first
+    trashError: null,
+    lastDeleted: null, // { ids, names } of the last deletion, while it can be undone from the toast
+    undoBatch: null, // { ids, names } collected while a bulk delete runs, undone as one
+    sort: DEFAULT_SORT, // order of the list ({ key, direction }), remembered per user
+    // the pages before nextOffset are loaded, in the sort order given; stale once contacts
+    // change, until the list is read again
+    paging: { nextOffset: 0, hasMore: false, total: 0, sort: null, stale: false },
+  }),
   reducers: {
     updateFilter: (state, action) => {
       state.filter = action.payload;
     },
+    toggleTagFilter: (state, action) => {
+      const { ids } = state.tagFilter;
+      state.tagFilter.ids = ids.includes(action.payload)
+        ? ids.filter(id => id !== action.payload)
+        : [...ids, action.payload];
+    },
+    setTagFilterMode: (state, action) => {
+      state.tagFilter.mode = action.payload === 'all' ? 'all' : 'any';
+    },
+    clearTagFilter: (state) => {
+      state.tagFilter.ids = [];
+    },
+    dismissUndo: (state) => {
+      state.lastDeleted = null;
+    },
+    // Contacts deleted between these two go into a single undo
+    beginUndoBatch: (state) => {
+      state.undoBatch = { ids: [], names: [] };
+      state.lastDeleted = null;
+    },
+    endUndoBatch: (state) => {
+      state.lastDeleted = state.undoBatch?.ids.length > 0 ? state.undoBatch : null;
+      state.undoBatch = null;
+    },
+    setPendingSync: (state, action) => {
+      state.pendingSync = action.payload;
+    },
+    syncFinished: (state, action) => {
+      applySyncResult(state, action.payload);
+    },
   },
   extraReducers: (builder) => {
     builder
       // Fetch contacts
       .addCase(fetchContacts.pending, (state) => {
-        state.status = 'loading';
-        state.error = null;
+        setOperation(state, 'fetch', 'loading');
       })
       .addCase(fetchContacts.fulfilled, (state, action) => {
-        state.status = 'succeeded';
-        state.items = action.payload;
+        const { contacts, ...paging } = action.payload;
+        setOperation(state, 'fetch', 'succeeded');
+        contactsAdapter.setAll(state, contacts);
+        state.paging = { ...paging, stale: false };
+        setOperation(state, 'loadMore', 'idle');
       })
       .addCase(fetchContacts.rejected, (state, action) => {
-        state.status = 'failed';
-        state.error = action.payload;
+        setOperation(state, 'fetch', 'failed', action.payload);
+      })
+      .addCase(fetchMoreContacts.pending, (state) => {
+        setOperation(state, 'loadMore', 'loading');
+      })
+      .addCase(fetchMoreContacts.fulfilled, (state, action) => {
+        const { contacts, ...paging } = action.payload;
+        if (action.meta.arg?.reload) {
+          contactsAdapter.setAll(state, contacts);
+        } else {
+          // contacts added, or opened from a link, since the first page are already there (and kept)
+          contactsAdapter.addMany(state, contacts);
+        }
+        state.paging = { ...paging, stale: false };
+        setOperation(state, 'loadMore', 'succeeded');
+      })
+      .addCase(fetchMoreContacts.rejected, (state, action) => {
+        setOperation(state, 'loadMore', 'failed', action.payload);
+      })
+      // Fetch a single contact
+      .addCase(fetchContactById.pending, (state) => {
+        state.currentStatus = 'loading';
+        state.currentError = null;
+      })
+      .addCase(fetchContactById.fulfilled, (state, action) => {
+        state.currentStatus = 'succeeded';
+        state.current = action.payload;
+      })
+      .addCase(fetchContactById.rejected, (state, action) => {
+        state.currentStatus = 'failed';
+        state.current = null;
+        state.currentError = action.payload;
       })
       // Add contact
       .addCase(addContact.pending, (state) => {
-        state.status = 'loading';
-        state.error = null;
+        setOperation(state, 'add', 'loading');
       })
       .addCase(addContact.fulfilled, (state, action) => {
-        state.status = 'succeeded';
-        state.items.push(action.payload);
+        setOperation(state, 'add', 'succeeded');
+        contactsAdapter.addOne(state, action.payload);
+        state.paging.total += 1;
       })
       .addCase(addContact.rejected, (state, action) => {
-        state.status = 'failed';
-        state.error = action.payload;
+        setOperation(state, 'add', 'failed', action.payload);
+      })
+      // Edit contact
+      .addCase(editContact.pending, (state) => {
+        setOperation(state, 'edit', 'loading');
+      })
+      .addCase(editContact.fulfilled, (state, action) => {
+        setOperation(state, 'edit', 'succeeded');
+        if (state.entities[action.payload.id]) {
+          contactsAdapter.setOne(state, action.payload);
+          shiftUnloadedPages(state);
+        }
+        if (state.current?.id === action.payload.id) {
+          state.current = action.payload;
+        }
       })
-      // Delete contact
+      .addCase(editContact.rejected, (state, action) => {
+        setOperation(state, 'edit', 'failed', action.payload);
+      })
+      // Delete contact (move it to the trash)
       .addCase(deleteContact.pending, (state) => {
-        state.status = 'loading';
-        state.error = null;
+        setOperation(state, 'delete', 'loading');
       })
       .addCase(deleteContact.fulfilled, (state, action) => {
-        state.status = 'succeeded';
-        state.items = state.items.filter(item => item.id !== action.payload);
+        const entry = action.payload;
+        setOperation(state, 'delete', 'succeeded');
+        if (state.entities[entry.id]) shiftUnloadedPages(state);
+        contactsAdapter.removeOne(state, entry.id);
+        state.paging.total = Math.max(state.paging.total - 1, 0);
+        // favorites keep the id (hidden while it is in the trash) so a restore puts it back in place
+        if (state.current?.id === entry.id) {
+          state.current = null;
+        }
+        state.trash = [entry, ...state.trash.filter(e => e.id !== entry.id)];
+        if (state.undoBatch) {
+          state.undoBatch.ids.push(entry.id);
+          state.undoBatch.names.push(entry.contact.name);
+        } else {
+          state.lastDeleted = { ids: [entry.id], names: [entry.contact.name] };
+        }
       })
       .addCase(deleteContact.rejected, (state, action) => {
-        state.status = 'failed';
-        state.error = action.payload;
-      });
+        setOperation(state, 'delete', 'failed', action.payload);
+      })
+      // Restore contact from the trash
+      .addCase(restoreContact.pending, (state) => {
+        state.trashError = null;
+      })
+      .addCase(restoreContact.fulfilled, (state, action) => {
+        const { id, contact } = action.payload;
+        state.trash = state.trash.filter(entry => entry.id !== id);
+        // a contact created again was already added by addContact
+        contactsAdapter.addOne(state, contact);
+      })
+      .addCase(restoreContact.rejected, (state, action) => {
+        state.trashError = action.payload;
+      })
+      // Delete contact for good
+      .addCase(purgeContact.pending, (state) => {
+        state.trashError = null;
+      })
+      .addCase(purgeContact.fulfilled, (state, action) => {
+        const id = action.payload;
+        state.trash = state.trash.filter(entry => entry.id !== id);
+        // a contact from the trash was already deleted on the server when it was trashed
+        if (state.entities[id]) shiftUnloadedPages(state);
+        contactsAdapter.removeOne(state, id);
+        // dropped from the stored favorites the next time they are saved
+        state.favorites = state.favorites.filter(favoriteId => favoriteId !== id);
+        if (state.lastDeleted?.ids.includes(id)) {
+          state.lastDeleted = null;
+        }
+      })
+      .addCase(purgeContact.rejected, (state, action) => {
+        state.trashError = action.payload;
+      })
+      // Trash
+      .addCase(fetchTrash.fulfilled, (state, action) => {
+        state.trash = action.payload;
+      })
+      .addCase(fetchTrash.rejected, (state, action) => {
+        state.trashError = action.payload;
+      })
+      .addCase(purgeExpiredTrash.fulfilled, (state, action) => {
+        state.trash = action.payload;
+      })
+      .addCase(purgeExpiredTrash.rejected, (state, action) => {
+        state.trashError = action.payload;
+      })
+      // Sync offline changes
+      .addCase(syncPendingChanges.pending, (state) => {
+        state.isSyncing = true;
+        state.syncError = null;
+      })
+      .addCase(syncPendingChanges.fulfilled, (state, action) => {
+        state.isSyncing = false;
+        applySyncResult(state, action.payload);
+      })
+      .addCase(syncPendingChanges.rejected, (state, action) => {
+        state.isSyncing = false;
+        state.syncError = action.payload;
+      })
+      // Resolve sync conflict
+      .addCase(resolveSyncConflict.pending, (state) => {
+        state.syncError = null;
+      })
+      .addCase(resolveSyncConflict.fulfilled, (state, action) => {
+        state.conflicts = state.conflicts.filter(c => c.contactId !== action.payload.contactId);
+        state.conflictLog.unshift(action.payload);
+      })
+      .addCase(resolveSyncConflict.rejected, (state, action) => {
+        state.syncError = action.payload;
+      })
+      // Conflict log
+      .addCase(fetchConflictLog.fulfilled, (state, action) => {
+        state.conflictLog = action.payload;
+      })
+      // Favorites
+      .addCase(fetchFavorites.fulfilled, (state, action) => {
+        state.favorites = action.payload;
+      })
+      .addCase(fetchFavorites.rejected, (state, action) => {
+        state.favoritesError = action.payload;
+      })
+      .addCase(saveFavoriteOrder.pending, (state, action) => {
+        state.favorites = action.meta.arg;
+        state.favoritesError = null;
+      })
+      .addCase(saveFavoriteOrder.fulfilled, (state, action) => {
+        state.favorites = action.payload;
+      })
+      .addCase(saveFavoriteOrder.rejected, (state, action) => {
+        state.favoritesError = action.payload;
+      })
+      // Tags
+      .addCase(fetchTags.fulfilled, (state, action) => {
+        state.tags = action.payload;
+        state.tagsError = null;
+        state.tagFilter.ids = state.tagFilter.ids.filter(id => action.payload.some(tag => tag.id === id));
+      })
+      .addCase(fetchTags.rejected, (state, action) => {
+        state.tagsError = action.payload;
+      })
+      .addCase(upsertTag.pending, (state) => {
+        state.tagsError = null;
+      })
+      .addCase(upsertTag.fulfilled, (state, action) => {
+        state.tags = sortTags([...state.tags.filter(tag => tag.id !== action.payload.id), action.payload]);
+      })
+      .addCase(upsertTag.rejected, (state, action) => {
+        state.tagsError = action.payload;
+      })
+      .addCase(removeTag.fulfilled, (state, action) => {
+        const removed = action.payload;
+        const withoutTag = contact => {
+          if (contact.tags?.includes(removed)) contact.tags = contact.tags.filter(id => id !== removed);
+        };
+        state.tags = state.tags.filter(tag => tag.id !== removed);
+        state.tagFilter.ids = state.tagFilter.ids.filter(id => id !== removed);
+        Object.values(state.entities).forEach(withoutTag);
+        if (state.current) withoutTag(state.current);
+      })
+      .addCase(removeTag.rejected, (state, action) => {
+        state.tagsError = action.payload;
+      })
+      .addCase(assignTags.fulfilled, (state, action) => {
+        const tagsById = new Map(action.payload.map(contact => [contact.id, contact.tags]));
+        tagsById.forEach((tags, id) => {
+          if (state.entities[id]) state.entities[id].tags = tags;
+        });
+        if (state.current && tagsById.has(state.current.id)) {
+          state.current.tags = tagsById.get(state.current.id);
+        }
+      })
+      .addCase(assignTags.rejected, (state, action) => {
+        state.tagsError = action.payload;
+      })
+      .addCase(fetchPreferences.fulfilled, (state, action) => {
+        state.sort = isValidSort(action.payload.sort) ? action.payload.sort : DEFAULT_SORT;
+      })
+      .addCase(saveSortPreference.pending, (state, action) => {
+        state.sort = action.meta.arg;
+      })
+      .addCase(markContacted.fulfilled, (state, action) => {
+        const { id, lastContactedAt } = action.payload;
+        if (state.entities[id]) {
+          state.entities[id].lastContactedAt = lastContactedAt;
+          shiftUnloadedPages(state);
+        }
+        if (state.current?.id === id) state.current.lastContactedAt = lastContactedAt;
+      })
+      .addMatcher(
+        isFulfilled(addContact, editContact, deleteContact, restoreContact, purgeContact, assignTags, markContacted, resolveSyncConflict),
+        (state) => {
+          state.paging.stale = true;
+        }
+      );
   },
 });
 
-export const { updateFilter } = contactsSlice.actions;
+export const {
+  updateFilter,
+  toggleTagFilter,
+  setTagFilterMode,
+  clearTagFilter,
+  dismissUndo,
+  beginUndoBatch,
+  endUndoBatch,
+  setPendingSync,
+  syncFinished
+} = contactsSlice.actions;
+
+// ===== SELECTORS ===== //
+// selectAllContacts is in load order; the others below are memoised as well
+
+export const {
+  selectAll: selectAllContacts,
+  selectById: selectContactById,
+  selectIds: selectContactIds,
+  selectEntities: selectContactEntities,
+} = contactsAdapter.getSelectors((state) => state.contacts);
+
+// { status, error } of one of OPERATIONS ('fetch', 'loadMore', 'add', 'edit', 'delete')
+export const selectOperation = (state, name) => state.contacts.operations[name];
+
+export const selectSort = (state) => state.contacts.sort;
+
+// The contacts in the order the user picked, recomputed only when the list or the order changes
+export const selectSortedContacts = createSelector(
+  [selectAllContacts, selectSort],
+  (contacts, sort) => sortContacts(contacts, sort)
+);
+
+// Search and tag filter results ({ contact, score, highlights }, see utils/search.js),
+// best match first and otherwise in the picked order
+export const selectSearchResults = createSelector(
+  [
+    selectSortedContacts,
+    (state) => state.contacts.filter,
+    (state) => state.contacts.tagFilter,
+    (state) => state.contacts.tags,
+    (state) => state.contacts.favorites,
+  ],
+  (contacts, query, tagFilter, tags, favoriteIds) => filterContacts(contacts, { query, tagFilter, tags, favoriteIds })
+);
+
+// The contacts the list shows
+export const selectFilteredContacts = createSelector(
+  [selectSearchResults],
+  (results) => results.map((result) => result.contact)
+);
+
+// Contact id -> { name, numbers } ranges the search matched, to highlight
+export const selectSearchHighlights = createSelector(
+  [selectSearchResults],
+  (results) => new Map(results.map((result) => [result.contact.id, result.highlights]))
+);
+
+// Contacts that have the tag, in load order: selectByTag(state, tagId)
+export const selectByTag = createSelector(
+  [selectAllContacts, (state, tagId) => tagId],
+  (contacts, tagId) => contacts.filter((contact) => contact.tags?.includes(tagId))
+);
+
+// { total, shown, favorites, trash, byTag: { [tagId]: count } } - total counts the contacts
+// on pages not loaded yet too; favorites and byTag only count loaded contacts (byTag
+// whatever the filter)
+export const selectCounts = createSelector(
+  [
+    selectAllContacts,
+    selectFilteredContacts,
+    (state) => state.contacts.favorites,
+    (state) => state.contacts.trash,
+    (state) => state.contacts.paging,
+  ],
+  (contacts, shown, favoriteIds, trash, paging) => {
+    const byTag = {};
+    contacts.forEach((contact) => (contact.tags || []).forEach((id) => {
+      byTag[id] = (byTag[id] || 0) + 1;
+    }));
+    const ids = new Set(contacts.map((contact) => contact.id));
+    return {
+      total: paging.hasMore ? Math.max(paging.total, contacts.length) : contacts.length,
+      shown: shown.length,
+      favorites: favoriteIds.filter((id) => ids.has(id)).length,
+      trash: trash.length,
+      byTag,
+    };
+  }
+);
+
 export default contactsSlice.reducer;
@@ -0,0 +1,129 @@
+import reducer, {
+  fetchContacts,
+  fetchTags,
+  fetchFavorites,
+  deleteContact,
+  updateFilter,
+  toggleTagFilter,
+  setTagFilterMode,
+  setPendingSync,
+  selectFilteredContacts,
+  selectContactById,
+  selectCounts,
+  selectByTag,
+} from './contactsSlice';
+
+const contact = (id, name, number, tags = []) => ({
+  id,
+  name,
+  number,
+  numbers: [{ label: 'mobile', number }],
+  tags,
+});
+
+const CONTACTS = [
+  contact('1', 'Anna Bondarenko', '067-111-22-33', ['work', 'family']),
+  contact('2', 'Andrii Kovalenko', '050-444-55-66', ['work']),
+  contact('3', 'Olena Shevchenko', '093-777-88-99', ['family']),
+  contact('4', 'Taras Melnyk', '063-000-11-22'),
+];
+
+const TAGS = [
+  { id: 'family', name: 'Family', color: '#e11d48' },
+  { id: 'work', name: 'Work', color: '#2563eb' },
+];
+
+// The store's state after the given actions, starting with the contacts, tags and favorites loaded
+const stateAfter = (...actions) => {
+  const loaded = [
+    fetchContacts.fulfilled({ contacts: CONTACTS, nextOffset: 4, hasMore: false, total: 4, sort: null }, 'load'),
+    fetchTags.fulfilled(TAGS, 'tags'),
+    fetchFavorites.fulfilled(['1', '3'], 'favorites'),
+  ];
+  return { contacts: [...loaded, ...actions].reduce(reducer, undefined) };
+};
+
+const names = (contacts) => contacts.map((c) => c.name);
+
+describe('selectFilteredContacts', () => {
+  test('shows every contact in name order without a filter', () => {
+    expect(names(selectFilteredContacts(stateAfter()))).toEqual([
+      'Andrii Kovalenko',
+      'Anna Bondarenko',
+      'Olena Shevchenko',
+      'Taras Melnyk',
+    ]);
+  });
+
+  test('combines the search with the tag filter', () => {
+    const state = stateAfter(updateFilter('an'), toggleTagFilter('family'));
+    expect(names(selectFilteredContacts(state))).toEqual(['Anna Bondarenko']);
+  });
+
+  test('shows contacts with every tag in "all" mode', () => {
+    const any = stateAfter(toggleTagFilter('work'), toggleTagFilter('family'));
+    expect(names(selectFilteredContacts(any))).toHaveLength(3);
+
+    const all = stateAfter(toggleTagFilter('work'), toggleTagFilter('family'), setTagFilterMode('all'));
+    expect(names(selectFilteredContacts(all))).toEqual(['Anna Bondarenko']);
+  });
+});
+
+describe('selectContactById', () => {
+  test('finds a loaded contact, and nothing for an unknown id', () => {
+    const state = stateAfter();
+    expect(selectContactById(state, '3').name).toBe('Olena Shevchenko');
+    expect(selectContactById(state, 'missing')).toBeUndefined();
+  });
+});
+
+describe('selectCounts', () => {
+  test('counts contacts, shown ones, favorites, the trash and each tag', () => {
+    const entry = { id: '3', contact: CONTACTS[2], deletedAt: '2026-10-01T10:00:00.000Z', favoriteIndex: 1 };
+    const state = stateAfter(deleteContact.fulfilled(entry, 'delete', '3'), toggleTagFilter('work'));
+
+    expect(selectCounts(state)).toEqual({
+      total: 3,
+      shown: 2,
+      // the trashed favorite keeps its place, but is not counted
+      favorites: 1,
+      trash: 1,
+      byTag: { work: 2, family: 1 },
+    });
+  });
+
+  test('counts the contacts on pages not loaded yet in the total', () => {
+    const firstPage = fetchContacts.fulfilled(
+      { contacts: CONTACTS.slice(0, 2), nextOffset: 2, hasMore: true, total: 2350, sort: null },
+      'load'
+    );
+    const state = { contacts: reducer(undefined, firstPage) };
+    expect(selectCounts(state)).toMatchObject({ total: 2350, shown: 2 });
+  });
+});
+
+describe('selectByTag', () => {
+  test('lists the contacts with the tag, in load order', () => {
+    const state = stateAfter();
+    expect(names(selectByTag(state, 'family'))).toEqual(['Anna Bondarenko', 'Olena Shevchenko']);
+    expect(selectByTag(state, 'unused')).toEqual([]);
+  });
+});
+
+describe('memoisation', () => {
+  test('returns the same results while the contacts and filters stay the same', () => {
+    const state = stateAfter(updateFilter('an'));
+    // an unrelated change makes a new state object
+    const next = { contacts: reducer(state.contacts, setPendingSync(2)) };
+
+    expect(selectFilteredContacts(next)).toBe(selectFilteredContacts(state));
+    expect(selectCounts(next)).toBe(selectCounts(state));
+    expect(selectByTag(next, 'work')).toBe(selectByTag(state, 'work'));
+  });
+
+  test('recomputes when the filter changes', () => {
+    const state = stateAfter();
+    const next = { contacts: reducer(state.contacts, updateFilter('olena')) };
+    expect(selectFilteredContacts(next)).not.toBe(selectFilteredContacts(state));
+  });
+});
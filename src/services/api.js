@@ -6,6 +6,7 @@
  */
 
 import axios from 'axios';
+import { dbGetToken } from './db';
 
 // API Base URL
 const BASE_URL = 'https://connections-api.goit.global';
@@ -73,10 +74,12 @@ if (savedToken) {
 
 /**
  * Request interceptor - automatically attach token to requests
+ * The Redux slices keep the token in IndexedDB, so fall back to it
+ * when localStorage does not have one
  */
 api.interceptors.request.use(
-  (config) => {
-    const token = tokenService.get();
+  async (config) => {
+    const token = tokenService.get() || await dbGetToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
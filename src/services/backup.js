@@ -0,0 +1,335 @@
+/**
+ * Account Backup and Restore
+ *
+ * Collects everything PhonebookDB holds for one user - the user record, contacts and the
+ * per-user records of every other store - into a single versioned JSON archive protected
+ * by a SHA-256 checksum, and restores such an archive by merging it into the current data
+ * or replacing it.
+ *
+ * Credentials and session tokens are never written to the archive, and restoring never
+ * changes how the user signs in. Every account shares the same stores, so restored records
+ * get new ids unless the id is already one of the user's own (see remapBackup).
+ */
+
+import { STORES, dbFindUserByToken, dbGetOwnerRecords, dbWriteOwnerRecords } from './db';
+import { isMockToken } from './mockApi';
+import { createId } from '../utils/ids';
+
+const BACKUP_FORMAT = 'phonebook-backup';
+const BACKUP_VERSION = 1;
+
+// The users store is handled separately (only the user's own profile) and the auth
+// store only holds the current session. Every other store is backed up per owner.
+const NOT_BACKED_UP = [STORES.USERS, STORES.AUTH];
+const getBackupStores = () => Object.values(STORES).filter(store => !NOT_BACKED_UP.includes(store));
+
+// Profile fields of the user record that go into the archive
+const USER_FIELDS = ['id', 'name', 'email'];
+
+// Keys generated by the database - ignored when comparing records
+const GENERATED_KEYS = { [STORES.OUTBOX]: 'seq', [STORES.SYNC_LOG]: 'id' };
+
+const requireUser = async (token) => {
+  const user = token ? await dbFindUserByToken(token) : null;
+  if (!user) {
+    throw new Error('Authentication required. Please log in again.');
+  }
+  return user;
+};
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+// Checksum over everything in the archive except the checksum itself
+const computeChecksum = async ({ format, version, createdAt, user, stores }) => {
+  const subtle = window.crypto?.subtle;
+  if (!subtle) {
+    // WebCrypto is only available in secure contexts (https or localhost)
+    throw new Error('WebCrypto is not available in this browser');
+  }
+  const payload = JSON.stringify({ format, version, createdAt, user, stores });
+  return toHex(await subtle.digest('SHA-256', new TextEncoder().encode(payload)));
+};
+
+// Record without its owner and generated key, for the archive and for comparisons
+const stripRecord = (storeName, record) => {
+  const { ownerId, ...rest } = record;
+  const generatedKey = GENERATED_KEYS[storeName];
+  if (generatedKey) delete rest[generatedKey];
+  return rest;
+};
+
+const sameRecord = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Contact fields compared in the diff (everything but the id)
+const changedContactFields = (current, backup) => {
+  const fields = new Set([...Object.keys(current), ...Object.keys(backup)]);
+  fields.delete('id');
+  return [...fields].filter(field => !sameRecord(current[field] ?? null, backup[field] ?? null));
+};
+
+// Find the current contact a backed up contact corresponds to: same id, or else same name
+// (ids differ when the account was registered again after storage was cleared)
+const matchContact = (backupContact, currentContacts) => {
+  return currentContacts.find(c => c.id === backupContact.id) ||
+    currentContacts.find(c => c.name.trim().toLowerCase() === String(backupContact.name).trim().toLowerCase());
+};
+
+const sameName = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// A backup of this account - also when it was registered again (new id, same email)
+const isOwnBackup = (archive, user) => archive.user.id === user.id ||
+  (Boolean(user.email) && sameName(archive.user.email || '', user.email));
+
+/**
+ * Give the records of a backup the ids they get in the user's data, and point the
+ * references between stores (contact tags, favorites, trash, extensions, sync records)
+ * at those ids. An id already used by one of the user's own records is kept, a contact
+ * that merges into a current one takes its id, a tag takes the id of the current tag of
+ * the same name; every other record gets a new id, so a backup of another account never
+ * overwrites that account's records.
+ *
+ * @param {Object} stores - archive.stores
+ * @param {Object} current - The user's current records per store
+ * @param {boolean} replace - Restoring in replace mode (nothing is merged)
+ * @returns {Object} Records per store, with their new ids
+ */
+const remapBackup = (stores, current, replace) => {
+  const currentContacts = current[STORES.CONTACTS];
+  const ownIds = new Set([
+    ...currentContacts,
+    ...current[STORES.TRASH],
+    ...current[STORES.CONTACT_EXTENSIONS]
+  ].map(record => record.id));
+
+  const contactIds = new Map();
+  const mapContactId = (id) => {
+    if (!contactIds.has(id)) contactIds.set(id, ownIds.has(id) ? id : createId());
+    return contactIds.get(id);
+  };
+  (stores[STORES.CONTACTS] || []).forEach(backup => {
+    const match = replace ? null : matchContact(backup, currentContacts);
+    contactIds.set(backup.id, match ? match.id : mapContactId(backup.id));
+  });
+
+  const tagIds = new Map();
+  (stores[STORES.TAGS] || []).forEach(tag => {
+    const match = current[STORES.TAGS].find(t => t.id === tag.id) ||
+      (replace ? null : current[STORES.TAGS].find(t => sameName(t.name, tag.name)));
+    tagIds.set(tag.id, match ? match.id : `tag-${createId()}`);
+  });
+  // tags missing from the backup are dropped rather than left pointing at nothing
+  const mapTags = (tags) => (Array.isArray(tags) ? tags.filter(id => tagIds.has(id)).map(id => tagIds.get(id)) : tags);
+
+  const withContact = (contact) => contact && {
+    ...contact,
+    id: mapContactId(contact.id),
+    ...(contact.tags !== undefined && { tags: mapTags(contact.tags) })
+  };
+
+  const remap = {
+    [STORES.CONTACTS]: withContact,
+    [STORES.CONTACT_EXTENSIONS]: withContact,
+    [STORES.TAGS]: (tag) => ({ ...tag, id: tagIds.get(tag.id) }),
+    [STORES.FAVORITES]: (record) => ({ ...record, contactIds: (record.contactIds || []).map(mapContactId) }),
+    [STORES.TRASH]: (entry) => ({ ...entry, id: mapContactId(entry.id), contact: withContact(entry.contact) }),
+    [STORES.OUTBOX]: (entry) => ({ ...entry, contactId: mapContactId(entry.contactId) }),
+    [STORES.SYNC_LOG]: (entry) => ({ ...entry, contactId: mapContactId(entry.contactId) })
+  };
+
+  return Object.fromEntries(Object.entries(stores).map(([storeName, records]) => [
+    storeName,
+    remap[storeName] ? records.map(remap[storeName]) : records
+  ]));
+};
+
+/**
+ * Create a backup archive of the signed-in user's data
+ * @param {string} token - Auth token of the current session
+ * @returns {Promise<Object>} Archive ({ format, version, createdAt, user, stores, checksum })
+ */
+export const createBackup = async (token) => {
+  const user = await requireUser(token);
+
+  const stores = {};
+  for (const storeName of getBackupStores()) {
+    const records = await dbGetOwnerRecords(storeName, user.id);
+    stores[storeName] = records.map(record => stripRecord(storeName, record));
+  }
+
+  const archive = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    user: USER_FIELDS.reduce((acc, field) => ({ ...acc, [field]: user[field] ?? null }), {}),
+    stores
+  };
+
+  return {
+    ...archive,
+    checksum: { algorithm: 'SHA-256', value: await computeChecksum(archive) }
+  };
+};
+
+/**
+ * Read and validate a backup file
+ * @param {string} text - File contents
+ * @returns {Promise<Object>} The archive
+ * @throws {Error} When the file is not a backup, is from a newer version, or fails the checksum
+ */
+export const readBackup = async (text) => {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not a valid backup (it is not JSON).');
+  }
+
+  if (archive?.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a phonebook backup.');
+  }
+  if (typeof archive.version !== 'number' || archive.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app.');
+  }
+  if (!archive.user || typeof archive.stores !== 'object' || archive.stores === null ||
+    Object.values(archive.stores).some(records => !Array.isArray(records))) {
+    throw new Error('This backup is incomplete.');
+  }
+  if (archive.checksum?.algorithm !== 'SHA-256' || !archive.checksum.value) {
+    throw new Error('This backup has no checksum.');
+  }
+  if (await computeChecksum(archive) !== archive.checksum.value) {
+    throw new Error('This backup is damaged or was edited (checksum mismatch).');
+  }
+
+  return archive;
+};
+
+/**
+ * Compare a backup with the signed-in user's current data
+ * @param {string} token - Auth token of the current session
+ * @param {Object} archive - Archive returned by readBackup
+ * @returns {Promise<Object>} {
+ *   ownBackup: false when the backup was made by another account,
+ *   profile: { current, backup },
+ *   contacts: { added, changed: [{ current, backup, fields }], removed, unchanged },
+ *   stores: [{ store, current, backup, added }]
+ * }
+ */
+export const diffBackup = async (token, archive) => {
+  const user = await requireUser(token);
+  const backupContacts = archive.stores[STORES.CONTACTS] || [];
+  const currentContacts = (await dbGetOwnerRecords(STORES.CONTACTS, user.id))
+    .map(record => stripRecord(STORES.CONTACTS, record));
+
+  const contacts = { added: [], changed: [], removed: [], unchanged: 0 };
+  const matched = new Set();
+  backupContacts.forEach(backup => {
+    const current = matchContact(backup, currentContacts);
+    if (!current) {
+      contacts.added.push(backup);
+      return;
+    }
+    matched.add(current.id);
+    const fields = changedContactFields(current, backup);
+    if (fields.length > 0) {
+      contacts.changed.push({ current, backup, fields });
+    } else {
+      contacts.unchanged += 1;
+    }
+  });
+  contacts.removed = currentContacts.filter(c => !matched.has(c.id));
+
+  const stores = [];
+  for (const storeName of getBackupStores()) {
+    if (storeName === STORES.CONTACTS) continue;
+    const backupRecords = archive.stores[storeName] || [];
+    const currentRecords = (await dbGetOwnerRecords(storeName, user.id))
+      .map(record => stripRecord(storeName, record));
+    stores.push({
+      store: storeName,
+      current: currentRecords.length,
+      backup: backupRecords.length,
+      added: backupRecords.filter(r => !currentRecords.some(c => sameRecord(c, r))).length
+    });
+  }
+
+  return {
+    ownBackup: isOwnBackup(archive, user),
+    profile: { current: user.name, backup: archive.user.name },
+    contacts,
+    stores
+  };
+};
+
+/**
+ * Restore a backup into the signed-in user's local data
+ * - merge: contacts from the backup are added or update their match, nothing is removed;
+ *   other records are added unless already present
+ * - replace: the user's records in every store become exactly those in the backup
+ * Only available for accounts kept in the local database - for real API accounts the
+ * local copy is overwritten by the server on the next fetch.
+ *
+ * @param {string} token - Auth token of the current session
+ * @param {Object} archive - Archive returned by readBackup
+ * @param {string} mode - 'merge' or 'replace'
+ * @param {Object} [options]
+ * @param {boolean} [options.otherAccount=false] - The user confirmed restoring a backup
+ *   made by another account (see diffBackup's ownBackup)
+ * @returns {Promise<Object>} Number of records written per store
+ */
+export const restoreBackup = async (token, archive, mode, { otherAccount = false } = {}) => {
+  if (!isMockToken(token)) {
+    throw new Error('Restoring a backup is only available for accounts stored in this browser. Use Import with a JSON export to add contacts to your online account.');
+  }
+  const user = await requireUser(token);
+  if (!isOwnBackup(archive, user) && !otherAccount) {
+    throw new Error(`This backup belongs to ${archive.user.email || 'another account'}. Confirm to restore it into your account.`);
+  }
+  const replace = mode === 'replace';
+  const written = {};
+
+  const current = {};
+  for (const storeName of getBackupStores()) {
+    current[storeName] = await dbGetOwnerRecords(storeName, user.id);
+  }
+  const stores = remapBackup(archive.stores, current, replace);
+
+  for (const storeName of getBackupStores()) {
+    const backupRecords = stores[storeName] || [];
+
+    if (replace) {
+      await dbWriteOwnerRecords(storeName, user.id, backupRecords, { replace: true });
+      written[storeName] = backupRecords.length;
+      continue;
+    }
+
+    const currentRecords = current[storeName];
+    let toWrite;
+    if (storeName === STORES.CONTACTS) {
+      // update the matching contact in place so merging never creates duplicates
+      toWrite = backupRecords.map(backup => {
+        const match = currentRecords.find(c => c.id === backup.id);
+        return match ? { ...stripRecord(storeName, match), ...backup } : backup;
+      });
+    } else if (storeName === STORES.FAVORITES) {
+      // one record per user: the current favorites first, then the backup's
+      const currentIds = currentRecords[0]?.contactIds || [];
+      const backupIds = backupRecords.flatMap(record => record.contactIds);
+      toWrite = backupIds.some(id => !currentIds.includes(id))
+        ? [{ contactIds: [...new Set([...currentIds, ...backupIds])] }]
+        : [];
+    } else if (storeName === STORES.TAGS) {
+      // a tag the user already has (by id or by name, see remapBackup) stays as it is
+      toWrite = backupRecords.filter(tag => !currentRecords.some(t => t.id === tag.id));
+    } else {
+      const existing = currentRecords.map(record => stripRecord(storeName, record));
+      toWrite = backupRecords.filter(r => !existing.some(c => sameRecord(c, r)));
+    }
+    await dbWriteOwnerRecords(storeName, user.id, toWrite);
+    written[storeName] = toWrite.length;
+  }
+
+  return written;
+};
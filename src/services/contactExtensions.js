@@ -0,0 +1,107 @@
+/**
+ * Contact Extension Records
+ *
+ * The GoIT API only stores a name and a single number per contact. For accounts that use
+ * it, everything else (the labelled numbers and the contact details) is kept in an
+ * extension record in IndexedDB, keyed by the contact id, and put back on the contacts
+ * every time they are read from the API. Accounts that only exist in the mock backend
+ * keep the full contact in the contacts store and need no extension records.
+ */
+
+import {
+  dbFindOwnerIdByToken,
+  dbGetContactExtensions,
+  dbSaveContactExtension,
+  dbDeleteContactExtension,
+  dbGetContacts,
+  dbUpdateContact
+} from './db';
+import { isMockToken } from './mockApi';
+import { getContactExtension, applyContactExtension } from '../utils/contactModel';
+
+// Only real API accounts have contacts the server cannot fully store
+const getExtensionOwnerId = async (token) => {
+  if (!token || isMockToken(token)) return null;
+  return dbFindOwnerIdByToken(token);
+};
+
+/**
+ * Put the locally kept fields back on contacts returned by the real API
+ * @param {string} token - Auth token of the current session
+ * @param {Array} contacts - Contacts from the API ({ id, name, number })
+ * @returns {Promise<Array>} Contacts in the app's shape
+ */
+export const applyContactExtensions = async (token, contacts) => {
+  const ownerId = await getExtensionOwnerId(token);
+  const extensions = ownerId ? await dbGetContactExtensions(ownerId) : [];
+  const byId = new Map(extensions.map(extension => [extension.id, extension]));
+  return contacts.map(contact => applyContactExtension(contact, byId.get(contact.id)));
+};
+
+/**
+ * Keep the fields of a contact the real API cannot store
+ * @param {string} token - Auth token of the current session
+ * @param {string} contactId - Contact id (server id, or the local id of a contact created offline)
+ * @param {Object} contact - The full contact as the user saved it
+ * @returns {Promise<Object|null>} The extension record, or null for mock accounts
+ */
+export const saveContactExtension = async (token, contactId, contact) => {
+  const ownerId = await getExtensionOwnerId(token);
+  if (!ownerId) return null;
+  return dbSaveContactExtension(ownerId, {
+    id: contactId,
+    ...getContactExtension(contact),
+    updatedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Remember that a contact was just called or emailed (its lastContactedAt)
+ * Kept in the extension record of real API contacts and on the stored copy of the
+ * contact, which is what mock accounts and offline reads return.
+ * @param {string} token - Auth token of the current session
+ * @param {Object} contact - The full contact
+ * @returns {Promise<Object>} The contact with its new lastContactedAt
+ */
+export const recordContacted = async (token, contact) => {
+  const ownerId = token ? await dbFindOwnerIdByToken(token) : null;
+  if (!ownerId) {
+    throw new Error('Authentication required. Please log in again.');
+  }
+
+  const lastContactedAt = new Date().toISOString();
+  const updated = { ...contact, lastContactedAt };
+  await saveContactExtension(token, contact.id, updated);
+  const stored = (await dbGetContacts(ownerId)).find(c => c.id === contact.id);
+  if (stored) {
+    await dbUpdateContact({ ...stored, lastContactedAt });
+  }
+  return updated;
+};
+
+/**
+ * Forget the extension record of a deleted contact
+ * @param {string} token - Auth token of the current session
+ * @param {string} contactId - Contact id
+ * @returns {Promise<void>}
+ */
+export const deleteContactExtension = async (token, contactId) => {
+  const ownerId = await getExtensionOwnerId(token);
+  if (!ownerId) return;
+  await dbDeleteContactExtension(contactId);
+};
+
+/**
+ * Move an extension record to a new contact id
+ * Used when a contact created offline gets its id from the server.
+ * @param {string} ownerId - Id of the user the contact belongs to
+ * @param {string} fromId - Local contact id
+ * @param {string} toId - Server contact id
+ * @returns {Promise<Object|null>} The moved record, or null if the contact had none
+ */
+export const moveContactExtension = async (ownerId, fromId, toId) => {
+  const extension = (await dbGetContactExtensions(ownerId)).find(e => e.id === fromId);
+  if (!extension) return null;
+  await dbDeleteContactExtension(fromId);
+  return dbSaveContactExtension(ownerId, { ...extension, id: toId });
+};
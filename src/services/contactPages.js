@@ -0,0 +1,73 @@
+/**
+ * Contact List Pages
+ *
+ * The contact list is loaded a page at a time. The mock backend pages itself (limit and
+ * offset, see mockFetchContacts); the real API has no paging and returns every contact
+ * at once, so its list is kept here and handed out in pages the same way. Callers get
+ * the same pages whichever backend answered.
+ *
+ * Pages come in the order the list is shown in, so the contacts loaded so far are the
+ * first ones of the list (and its letter headers are complete) even before the rest is.
+ */
+
+import { mockFetchContacts } from './mockApi';
+import { normalizeContact } from '../utils/contactModel';
+import { sortContacts } from '../utils/contactSort';
+
+// Contacts loaded at a time
+export const CONTACTS_PAGE_SIZE = 100;
+
+// Last full list from the real API, for the session that loaded it, in the server's order
+// and in the order it was last asked for
+let fullList = null;
+
+/**
+ * Keep the full list the real API returned, to be paged through
+ * @param {string} token - Auth token of the current session
+ * @param {Array<Object>} contacts - Every contact, in the app's shape
+ */
+export const keepFullList = (token, contacts) => {
+  fullList = { token, contacts, sort: null, sorted: contacts };
+};
+
+/**
+ * Check whether pages come from a kept full list (which goes stale when contacts change)
+ * @param {string} token - Auth token of the current session
+ * @returns {boolean} True when the real API's list is kept for this session
+ */
+export const hasFullList = (token) => Boolean(fullList && fullList.token === token);
+
+/**
+ * Forget the kept list, so pages come from the mock backend (when the real API is unreachable)
+ */
+export const forgetFullList = () => {
+  fullList = null;
+};
+
+/**
+ * Get a page of contacts
+ * @param {string} token - Auth token of the current session
+ * @param {number} offset - Position of the first contact of the page
+ * @param {number} [limit=CONTACTS_PAGE_SIZE] - Contacts in the page
+ * @param {Object} [sort] - { key, direction } of the list (see utils/contactSort.js)
+ * @returns {Promise<Object>} { contacts, total } - total is the number of contacts in all
+ *
+ * @example
+ * const { contacts, total } = await getContactsPage(token, 100, 100, { key: 'lastName', direction: 'asc' });
+ * // contacts: the 101st to 200th contact by last name; total: 2350
+ */
+export const getContactsPage = async (token, offset, limit = CONTACTS_PAGE_SIZE, sort) => {
+  if (hasFullList(token)) {
+    if (fullList.sort?.key !== sort?.key || fullList.sort?.direction !== sort?.direction) {
+      fullList = { ...fullList, sort, sorted: sortContacts(fullList.contacts, sort) };
+    }
+    return { contacts: fullList.sorted.slice(offset, offset + limit), total: fullList.sorted.length };
+  }
+
+  const response = await mockFetchContacts(token, { offset, limit, sort });
+  const total = Number(response.headers?.['x-total-count']);
+  return {
+    contacts: response.data.map(normalizeContact),
+    total: Number.isFinite(total) ? total : offset + response.data.length,
+  };
+};
@@ -2,13 +2,20 @@
 // Provides database operations using IndexedDB with localStorage as backup
 
 const DB_NAME = 'PhonebookDB';
-const DB_VERSION = 1;
+const DB_VERSION = 9;
 
 // Store names
 export const STORES = {
   USERS: 'users',
   CONTACTS: 'contacts',
-  AUTH: 'auth' // Store for authentication tokens and user data
+  AUTH: 'auth', // Store for authentication tokens and user data
+  OUTBOX: 'outbox', // Contact changes made offline, waiting to be sent to the real API
+  SYNC_LOG: 'syncLog', // How sync conflicts were resolved, for the user to review
+  CONTACT_EXTENSIONS: 'contactExtensions', // Contact fields the real API cannot store, per contact id
+  FAVORITES: 'favorites', // Ordered favorite contact ids, one record per user
+  TAGS: 'tags', // User-defined contact groups ({ id, ownerId, name, color })
+  TRASH: 'trash', // Deleted contacts kept for a while so they can be restored
+  PREFERENCES: 'preferences' // Settings of the contact list (e.g. sort order), one record per user
 };
 
 // Initialize IndexedDB database
@@ -50,17 +57,110 @@ const initDB = () => {
         contactsStore.createIndex('number', 'number', { unique: false });
       }
 
+      // Version 2: contacts belong to the user that created them
+      const contactsStore = event.target.transaction.objectStore(STORES.CONTACTS);
+      if (!contactsStore.indexNames.contains('ownerId')) {
+        contactsStore.createIndex('ownerId', 'ownerId', { unique: false });
+      }
+
       // Create auth store if it doesn't exist (for tokens and user data)
       if (!db.objectStoreNames.contains(STORES.AUTH)) {
         const authStore = db.createObjectStore(STORES.AUTH, { keyPath: 'key' });
         authStore.createIndex('key', 'key', { unique: true });
       }
 
+      // Version 3: outbox of offline changes, replayed in order (seq) per user
+      if (!db.objectStoreNames.contains(STORES.OUTBOX)) {
+        const outboxStore = db.createObjectStore(STORES.OUTBOX, { keyPath: 'seq', autoIncrement: true });
+        outboxStore.createIndex('ownerId', 'ownerId', { unique: false });
+      }
+
+      // Version 4: log of resolved sync conflicts per user
+      if (!db.objectStoreNames.contains(STORES.SYNC_LOG)) {
+        const syncLogStore = db.createObjectStore(STORES.SYNC_LOG, { keyPath: 'id', autoIncrement: true });
+        syncLogStore.createIndex('ownerId', 'ownerId', { unique: false });
+      }
+
+      // Version 5: contact details, searchable by email and company
+      if (!contactsStore.indexNames.contains('email')) {
+        contactsStore.createIndex('email', 'email', { unique: false });
+      }
+      if (!contactsStore.indexNames.contains('company')) {
+        contactsStore.createIndex('company', 'company', { unique: false });
+      }
+
+      // Version 5: numbers and details of real API contacts, kept next to the server copy
+      if (!db.objectStoreNames.contains(STORES.CONTACT_EXTENSIONS)) {
+        const extensionsStore = db.createObjectStore(STORES.CONTACT_EXTENSIONS, { keyPath: 'id' });
+        extensionsStore.createIndex('ownerId', 'ownerId', { unique: false });
+      }
+
+      // Version 6: favorite contacts per user (keyed by the user, so no ownerId index)
+      if (!db.objectStoreNames.contains(STORES.FAVORITES)) {
+        db.createObjectStore(STORES.FAVORITES, { keyPath: 'ownerId' });
+      }
+
+      // Version 7: contact tags per user
+      if (!db.objectStoreNames.contains(STORES.TAGS)) {
+        const tagsStore = db.createObjectStore(STORES.TAGS, { keyPath: 'id' });
+        tagsStore.createIndex('ownerId', 'ownerId', { unique: false });
+      }
+
+      // Version 8: trash bin for deleted contacts
+      if (!db.objectStoreNames.contains(STORES.TRASH)) {
+        const trashStore = db.createObjectStore(STORES.TRASH, { keyPath: 'id' });
+        trashStore.createIndex('ownerId', 'ownerId', { unique: false });
+      }
+
+      // Version 9: contact list preferences per user (keyed by the user, like favorites)
+      if (!db.objectStoreNames.contains(STORES.PREFERENCES)) {
+        db.createObjectStore(STORES.PREFERENCES, { keyPath: 'ownerId' });
+      }
+
+      // Contacts created before version 2 have no owner - hand them to the account
+      // that created them (see findOrphanOwner). When that cannot be told they stay
+      // without an owner and are shown to nobody
+      if (event.oldVersion > 0 && event.oldVersion < 2) {
+        assignOrphanContactsOnUpgrade(event.target.transaction);
+      }
+
       console.log('IndexedDB stores created successfully');
     };
   });
 };
 
+// Id of the account that created contacts saved without an owner: the one signed in
+// while they were made, else the only account there is. null when it cannot be told
+const findOrphanOwner = (users, token) => {
+  const signedIn = token && users.find(user => user.token === token);
+  if (signedIn) return signedIn.id;
+  return users.length === 1 ? users[0].id : null;
+};
+
+// Assign contacts without ownerId to the account that created them, inside the upgrade transaction
+const assignOrphanContactsOnUpgrade = (tx) => {
+  const tokenRequest = tx.objectStore(STORES.AUTH).get('auth_token');
+  tokenRequest.onsuccess = () => {
+    const token = tokenRequest.result ? tokenRequest.result.value : localStorage.getItem('auth_token');
+
+    const usersRequest = tx.objectStore(STORES.USERS).getAll();
+    usersRequest.onsuccess = () => {
+      const ownerId = findOrphanOwner(usersRequest.result || [], token);
+      if (!ownerId) return;
+
+      const cursorRequest = tx.objectStore(STORES.CONTACTS).openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        if (!cursor.value.ownerId) {
+          cursor.update({ ...cursor.value, ownerId });
+        }
+        cursor.continue();
+      };
+    };
+  };
+};
+
 // Get database instance (with caching)
 let dbInstance = null;
 
@@ -118,7 +218,10 @@ const migrateFromLocalStorage = async () => {
     try {
       const storedContacts = localStorage.getItem('mock_contacts');
       if (storedContacts) {
-        const contacts = JSON.parse(storedContacts);
+        // contacts saved before they were scoped per user get their owner once, here
+        const ownerId = findOrphanOwner(await dbGetUsers(), localStorage.getItem('auth_token'));
+        const contacts = JSON.parse(storedContacts)
+          .map(contact => (contact.ownerId || !ownerId ? contact : { ...contact, ownerId }));
         const tx = db.transaction(STORES.CONTACTS, 'readwrite');
         const store = tx.objectStore(STORES.CONTACTS);
         
@@ -377,21 +480,33 @@ export const dbFindUserByToken = async (token) => {
   }
 };
 
+// Find the id of the user a token belongs to (null if the token is unknown)
+export const dbFindOwnerIdByToken = async (token) => {
+  if (!token) return null;
+  const user = await dbFindUserByToken(token);
+  return user ? user.id : null;
+};
+
 // ===== CONTACTS OPERATIONS ===== //
 
-// Get all contacts from database
-export const dbGetContacts = async () => {
+// Get contacts from database
+// When ownerId is given only that user's contacts are returned
+export const dbGetContacts = async (ownerId) => {
+  const byOwner = (contacts) => ownerId ? contacts.filter(c => c.ownerId === ownerId) : contacts;
+
   try {
     const db = await getDB();
     const tx = db.transaction(STORES.CONTACTS, 'readonly');
     const store = tx.objectStore(STORES.CONTACTS);
-    const request = store.getAll();
+    const request = ownerId ? store.index('ownerId').getAll(ownerId) : store.getAll();
     
     return new Promise((resolve, reject) => {
       request.onsuccess = () => {
         const contacts = request.result || [];
-        // Sync to localStorage as backup
-        syncToLocalStorage(STORES.CONTACTS, contacts);
+        // Sync to localStorage as backup (only the full list, never a single user's slice)
+        if (!ownerId) {
+          syncToLocalStorage(STORES.CONTACTS, contacts);
+        }
         resolve(contacts);
       };
       request.onerror = () => {
@@ -399,7 +514,7 @@ export const dbGetContacts = async () => {
         try {
           const stored = localStorage.getItem('mock_contacts');
           const contacts = stored ? JSON.parse(stored) : [];
-          resolve(contacts);
+          resolve(byOwner(contacts));
         } catch (error) {
           reject(error);
         }
@@ -410,7 +525,7 @@ export const dbGetContacts = async () => {
     // Fallback to localStorage
     try {
       const stored = localStorage.getItem('mock_contacts');
-      return stored ? JSON.parse(stored) : [];
+      return byOwner(stored ? JSON.parse(stored) : []);
     } catch (err) {
       console.error('Error getting contacts from localStorage:', err);
       return [];
@@ -418,6 +533,63 @@ export const dbGetContacts = async () => {
   }
 };
 
+// Get one page of a user's contacts, walking the ownerId index with a cursor
+// Resolves to { contacts, total } - total is the number of contacts the user has
+export const dbGetContactsPage = async (ownerId, { offset = 0, limit }) => {
+  const fromLocalStorage = () => {
+    const stored = localStorage.getItem('mock_contacts');
+    const contacts = (stored ? JSON.parse(stored) : []).filter(c => c.ownerId === ownerId);
+    return { contacts: contacts.slice(offset, offset + limit), total: contacts.length };
+  };
+
+  try {
+    const db = await getDB();
+    const tx = db.transaction(STORES.CONTACTS, 'readonly');
+    const index = tx.objectStore(STORES.CONTACTS).index('ownerId');
+
+    return new Promise((resolve, reject) => {
+      const contacts = [];
+      let total = 0;
+      const countRequest = index.count(ownerId);
+      countRequest.onsuccess = () => {
+        total = countRequest.result;
+      };
+
+      let skipped = offset === 0;
+      const cursorRequest = index.openCursor(IDBKeyRange.only(ownerId));
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || contacts.length >= limit) return;
+        if (!skipped) {
+          skipped = true;
+          cursor.advance(offset);
+          return;
+        }
+        contacts.push(cursor.value);
+        cursor.continue();
+      };
+
+      tx.oncomplete = () => resolve({ contacts, total });
+      tx.onerror = () => {
+        // Fallback to localStorage if IndexedDB fails
+        try {
+          resolve(fromLocalStorage());
+        } catch (error) {
+          reject(error);
+        }
+      };
+    });
+  } catch (error) {
+    console.error('Error getting contacts from IndexedDB, falling back to localStorage:', error);
+    try {
+      return fromLocalStorage();
+    } catch (err) {
+      console.error('Error getting contacts from localStorage:', err);
+      return { contacts: [], total: 0 };
+    }
+  }
+};
+
 // Add contact to database
 export const dbAddContact = async (contact) => {
   try {
@@ -433,12 +605,66 @@ export const dbAddContact = async (contact) => {
         await syncToLocalStorage(STORES.CONTACTS, contacts);
         resolve(contact);
       };
+      request.onerror = (event) => {
+        // A contact with this id already exists: saving it elsewhere would lose one of them
+        if (request.error?.name === 'ConstraintError') {
+          event.preventDefault();
+          reject(new Error(`A contact with id ${contact.id} already exists`));
+          return;
+        }
+        // If IndexedDB fails, try localStorage
+        try {
+          resolve(addContactToLocalStorage(contact));
+        } catch (error) {
+          reject(error);
+        }
+      };
+    });
+  } catch (error) {
+    console.error('Error adding contact to IndexedDB, falling back to localStorage:', error);
+    // Fallback to localStorage
+    return addContactToLocalStorage(contact);
+  }
+};
+
+// localStorage copy of dbAddContact, refusing an id that is taken like the IndexedDB store does
+const addContactToLocalStorage = (contact) => {
+  const stored = localStorage.getItem('mock_contacts');
+  const contacts = stored ? JSON.parse(stored) : [];
+  if (contacts.some(c => c.id === contact.id)) {
+    throw new Error(`A contact with id ${contact.id} already exists`);
+  }
+  contacts.push(contact);
+  localStorage.setItem('mock_contacts', JSON.stringify(contacts));
+  return contact;
+};
+
+// Update contact in database
+export const dbUpdateContact = async (contact) => {
+  try {
+    const db = await getDB();
+    const tx = db.transaction(STORES.CONTACTS, 'readwrite');
+    const store = tx.objectStore(STORES.CONTACTS);
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(contact);
+      request.onsuccess = async () => {
+        // Sync to localStorage
+        const contacts = await dbGetContacts();
+        await syncToLocalStorage(STORES.CONTACTS, contacts);
+        resolve(contact);
+      };
       request.onerror = () => {
         // If IndexedDB fails, try localStorage
         try {
           const stored = localStorage.getItem('mock_contacts');
           const contacts = stored ? JSON.parse(stored) : [];
-          contacts.push(contact);
+          const index = contacts.findIndex(c => c.id === contact.id);
+          if (index !== -1) {
+            contacts[index] = contact;
+          } else {
+            contacts.push(contact);
+          }
           localStorage.setItem('mock_contacts', JSON.stringify(contacts));
           resolve(contact);
         } catch (error) {
@@ -447,12 +673,17 @@ export const dbAddContact = async (contact) => {
       };
     });
   } catch (error) {
-    console.error('Error adding contact to IndexedDB, falling back to localStorage:', error);
+    console.error('Error updating contact in IndexedDB, falling back to localStorage:', error);
     // Fallback to localStorage
     try {
       const stored = localStorage.getItem('mock_contacts');
       const contacts = stored ? JSON.parse(stored) : [];
-      contacts.push(contact);
+      const index = contacts.findIndex(c => c.id === contact.id);
+      if (index !== -1) {
+        contacts[index] = contact;
+      } else {
+        contacts.push(contact);
+      }
       localStorage.setItem('mock_contacts', JSON.stringify(contacts));
       return contact;
     } catch (err) {
@@ -504,6 +735,492 @@ export const dbDeleteContact = async (id) => {
   }
 };
 
+// Replace all contacts of one user with a fresh copy (e.g. the list the real API returned)
+// so they are still available when the API becomes unreachable
+export const dbReplaceOwnerContacts = async (ownerId, contacts) => {
+  const records = contacts.map(contact => ({ ...contact, ownerId }));
+
+  try {
+    const db = await getDB();
+    const tx = db.transaction(STORES.CONTACTS, 'readwrite');
+    const store = tx.objectStore(STORES.CONTACTS);
+
+    await new Promise((resolve, reject) => {
+      const cursorRequest = store.index('ownerId').openCursor(IDBKeyRange.only(ownerId));
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+          return;
+        }
+        records.forEach(record => store.put(record));
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+
+    // Sync to localStorage
+    const allContacts = await dbGetContacts();
+    await syncToLocalStorage(STORES.CONTACTS, allContacts);
+    return records;
+  } catch (error) {
+    console.error('Error replacing contacts in IndexedDB, falling back to localStorage:', error);
+    // Fallback to localStorage
+    const stored = localStorage.getItem('mock_contacts');
+    const others = (stored ? JSON.parse(stored) : []).filter(c => c.ownerId !== ownerId);
+    localStorage.setItem('mock_contacts', JSON.stringify([...others, ...records]));
+    return records;
+  }
+};
+
+// ===== OUTBOX OPERATIONS (offline changes waiting for the real API) ===== //
+
+// Read the localStorage copy of the outbox (used when IndexedDB is unavailable)
+const getStoredOutbox = () => {
+  try {
+    const stored = localStorage.getItem('mock_outbox');
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Get all outbox entries of a user, oldest first
+export const dbGetOutboxEntries = async (ownerId) => {
+  const bySeq = (a, b) => a.seq - b.seq;
+
+  try {
+    const db = await getDB();
+    const tx = db.transaction(STORES.OUTBOX, 'readonly');
+    const store = tx.objectStore(STORES.OUTBOX);
+    const request = store.index('ownerId').getAll(ownerId);
+
+    return new Promise((resolve) => {
+      request.onsuccess = () => {
+        resolve((request.result || []).sort(bySeq));
+      };
+      request.onerror = () => {
+        // Fallback to localStorage
+        resolve(getStoredOutbox().filter(e => e.ownerId === ownerId).sort(bySeq));
+      };
+    });
+  } catch (error) {
+    console.error('Error getting outbox from IndexedDB, falling back to localStorage:', error);
+    return getStoredOutbox().filter(e => e.ownerId === ownerId).sort(bySeq);
+  }
+};
+
+// Append a change to the outbox, resolves to the entry with its sequence number
+export const dbAddOutboxEntry = async (entry) => {
+  const addToStoredOutbox = () => {
+    const entries = getStoredOutbox();
+    const seq = entries.reduce((max, e) => Math.max(max, e.seq), 0) + 1;
+    const saved = { ...entry, seq };
+    localStorage.setItem('mock_outbox', JSON.stringify([...entries, saved]));
+    return saved;
+  };
+
+  try {
+    const db = await getDB();
+    const tx = db.transaction(STORES.OUTBOX, 'readwrite');
+    const store = tx.objectStore(STORES.OUTBOX);
+
+    return new Promise((resolve, reject) => {
+      const request = store.add(entry);
+      request.onsuccess = () => {
+        resolve({ ...entry, seq: request.result });
+      };
+      request.onerror = () => {
+        // If IndexedDB fails, try localStorage
+        try {
+          resolve(addToStoredOutbox());
+        } catch (error) {
+          reject(error);
+        }
+      };
+    });
+  } catch (error) {
+    console.error('Error adding outbox entry to IndexedDB, falling back to localStorage:', error);
+    return addToStoredOutbox();
+  }
+};
+
+// Update an outbox entry (e.g. when a locally created contact id was remapped)
+export const dbUpdateOutboxEntry = async (entry) => {
+  const updateStoredOutbox = () => {
+    const entries = getStoredOutbox().map(e => (e.seq === entry.seq ? entry : e));
+    localStorage.setItem('mock_outbox', JSON.stringify(entries));
+    return entry;
+  };
+
+  try {
+    const db = await getDB();
+    const tx = db.transaction(STORES.OUTBOX, 'readwrite');
+    const store = tx.objectStore(STORES.OUTBOX);
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(entry);
+      request.onsuccess = () => resolve(entry);
+      request.onerror = () => {
+        // If IndexedDB fails, try localStorage
+        try {
+          resolve(updateStoredOutbox());
+        } catch (error) {
+          reject(error);
+        }
+      };
+    });
+  } catch (error) {
+    console.error('Error updating outbox entry in IndexedDB, falling back to localStorage:', error);
+    return updateStoredOutbox();
+  }
+};
+
+// Remove an outbox entry once it was sent (or can never be sent)
+export const dbDeleteOutboxEntry = async (seq) => {
+  const deleteFromStoredOutbox = () => {
+    const entries = getStoredOutbox().filter(e => e.seq !== seq);
+    localStorage.setItem('mock_outbox', JSON.stringify(entries));
+    return seq;
+  };
+
+  try {
+    const db = await getDB();
+    const tx = db.transaction(STORES.OUTBOX, 'readwrite');
+    const store = tx.objectStore(STORES.OUTBOX);
+
+    return new Promise((resolve, reject) => {
+      const request = store.delete(seq);
+      request.onsuccess = () => resolve(seq);
+      request.onerror = () => {
+        // If IndexedDB fails, try localStorage
+        try {
+          resolve(deleteFromStoredOutbox());
+        } catch (error) {
+          reject(error);
+        }
+      };
+    });
+  } catch (error) {
+    console.error('Error deleting outbox entry from IndexedDB, falling back to localStorage:', error);
+    return deleteFromStoredOutbox();
+  }
+};
+
+// ===== SYNC LOG OPERATIONS (resolved sync conflicts) ===== //
+
+// Read the localStorage copy of the sync log (used when IndexedDB is unavailable)
+const getStoredSyncLog = () => {
+  try {
+    const stored = localStorage.getItem('mock_sync_log');
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Get the sync log of a user, newest first
+export const dbGetSyncLogEntries = async (ownerId) => {
+  const newestFirst = (a, b) => b.id - a.id;
+
+  try {
+    const db = await getDB();
+    const tx = db.transaction(STORES.SYNC_LOG, 'readonly');
+    const store = tx.objectStore(STORES.SYNC_LOG);
+    const request = store.index('ownerId').getAll(ownerId);
+
+    return new Promise((resolve) => {
+      request.onsuccess = () => {
+        resolve((request.result || []).sort(newestFirst));
+      };
+      request.onerror = () => {
+        // Fallback to localStorage
+        resolve(getStoredSyncLog().filter(e => e.ownerId === ownerId).sort(newestFirst));
+      };
+    });
+  } catch (error) {
+    console.error('Error getting sync log from IndexedDB, falling back to localStorage:', error);
+    return getStoredSyncLog().filter(e => e.ownerId === ownerId).sort(newestFirst);
+  }
+};
+
+// Add an entry to the sync log, resolves to the entry with its id
+export const dbAddSyncLogEntry = async (entry) => {
+  const addToStoredSyncLog = () => {
+    const entries = getStoredSyncLog();
+    const id = entries.reduce((max, e) => Math.max(max, e.id), 0) + 1;
+    const saved = { ...entry, id };
+    localStorage.setItem('mock_sync_log', JSON.stringify([...entries, saved]));
+    return saved;
+  };
+
+  try {
+    const db = await getDB();
+    const tx = db.transaction(STORES.SYNC_LOG, 'readwrite');
+    const store = tx.objectStore(STORES.SYNC_LOG);
+
+    return new Promise((resolve, reject) => {
+      const request = store.add(entry);
+      request.onsuccess = () => {
+        resolve({ ...entry, id: request.result });
+      };
+      request.onerror = () => {
+        // If IndexedDB fails, try localStorage
+        try {
+          resolve(addToStoredSyncLog());
+        } catch (error) {
+          reject(error);
+        }
+      };
+    });
+  } catch (error) {
+    console.error('Error adding sync log entry to IndexedDB, falling back to localStorage:', error);
+    return addToStoredSyncLog();
+  }
+};
+
+// ===== BACKUP OPERATIONS (all records of one user, per store) ===== //
+
+// localStorage copies of the stores that hold per-user records
+const STORE_BACKUP_KEYS = {
+  [STORES.CONTACTS]: 'mock_contacts',
+  [STORES.OUTBOX]: 'mock_outbox',
+  [STORES.SYNC_LOG]: 'mock_sync_log',
+  [STORES.CONTACT_EXTENSIONS]: 'mock_contact_extensions',
+  [STORES.FAVORITES]: 'mock_favorites',
+  [STORES.TAGS]: 'mock_tags',
+  [STORES.TRASH]: 'mock_trash',
+  [STORES.PREFERENCES]: 'mock_preferences'
+};
+
+// Key of the records in stores not keyed by 'id'
+const STORE_KEY_PATHS = {
+  [STORES.FAVORITES]: 'ownerId',
+  [STORES.PREFERENCES]: 'ownerId'
+};
+
+// Stores whose keys are generated by the database
+const STORE_GENERATED_KEYS = {
+  [STORES.OUTBOX]: 'seq',
+  [STORES.SYNC_LOG]: 'id'
+};
+
+const getStoredRecords = (storeName) => {
+  try {
+    const stored = localStorage.getItem(STORE_BACKUP_KEYS[storeName]);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Get every record of a user from a store that is scoped by ownerId
+export const dbGetOwnerRecords = async (storeName, ownerId) => {
+  try {
+    const db = await getDB();
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    // stores keyed by ownerId have no separate index
+    const source = store.keyPath === 'ownerId' ? store : store.index('ownerId');
+    const request = source.getAll(IDBKeyRange.only(ownerId));
+
+    return new Promise((resolve) => {
+      request.onsuccess = () => {
+        resolve(request.result || []);
+      };
+      request.onerror = () => {
+        // Fallback to localStorage
+        resolve(getStoredRecords(storeName).filter(r => r.ownerId === ownerId));
+      };
+    });
+  } catch (error) {
+    console.error(`Error getting ${storeName} records from IndexedDB, falling back to localStorage:`, error);
+    return getStoredRecords(storeName).filter(r => r.ownerId === ownerId);
+  }
+};
+
+// Write records of a user into a store, optionally removing the user's existing records first.
+// Stores with generated keys (outbox, sync log) get fresh keys, so restored records
+// never overwrite records of other users
+export const dbWriteOwnerRecords = async (storeName, ownerId, records, { replace = false } = {}) => {
+  const owned = records.map(record => ({ ...record, ownerId }));
+
+  const writeToStoredRecords = () => {
+    if (!STORE_BACKUP_KEYS[storeName]) return owned;
+    let existing = getStoredRecords(storeName);
+    if (replace) existing = existing.filter(r => r.ownerId !== ownerId);
+
+    // same key rules as IndexedDB: generated keys are assigned fresh, others overwrite
+    const keyPath = STORE_GENERATED_KEYS[storeName];
+    let written = owned;
+    if (keyPath) {
+      let next = existing.reduce((max, r) => Math.max(max, r[keyPath]), 0);
+      written = owned.map(record => ({ ...record, [keyPath]: ++next }));
+    } else {
+      const key = STORE_KEY_PATHS[storeName] || 'id';
+      const ids = new Set(owned.map(record => record[key]));
+      existing = existing.filter(r => !ids.has(r[key]));
+    }
+    localStorage.setItem(STORE_BACKUP_KEYS[storeName], JSON.stringify([...existing, ...written]));
+    return written;
+  };
+
+  try {
+    const db = await getDB();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+
+    const writeRecords = () => {
+      owned.forEach(record => {
+        if (store.autoIncrement) {
+          const { [store.keyPath]: _key, ...withoutKey } = record;
+          store.add(withoutKey);
+        } else {
+          store.put(record);
+        }
+      });
+    };
+
+    await new Promise((resolve, reject) => {
+      if (replace) {
+        const source = store.keyPath === 'ownerId' ? store : store.index('ownerId');
+        const cursorRequest = source.openCursor(IDBKeyRange.only(ownerId));
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (cursor) {
+            cursor.delete();
+            cursor.continue();
+            return;
+          }
+          writeRecords();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+      } else {
+        writeRecords();
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+
+    // Keep the localStorage copy of contacts in step
+    if (storeName === STORES.CONTACTS) {
+      const allContacts = await dbGetContacts();
+      await syncToLocalStorage(STORES.CONTACTS, allContacts);
+    }
+    return owned;
+  } catch (error) {
+    console.error(`Error writing ${storeName} records to IndexedDB, falling back to localStorage:`, error);
+    return writeToStoredRecords();
+  }
+};
+
+// ===== CONTACT EXTENSION OPERATIONS (fields the real API cannot store) ===== //
+
+// Get the extension records of a user ({ id: contactId, ownerId, numbers, email, ... })
+export const dbGetContactExtensions = (ownerId) => dbGetOwnerRecords(STORES.CONTACT_EXTENSIONS, ownerId);
+
+// Save (or overwrite) the extension record of one contact
+export const dbSaveContactExtension = async (ownerId, extension) => {
+  const [saved] = await dbWriteOwnerRecords(STORES.CONTACT_EXTENSIONS, ownerId, [extension]);
+  return saved;
+};
+
+// Delete one record by id from a store with per-user records (nothing happens if it is missing)
+const deleteOwnedRecord = async (storeName, id) => {
+  const deleteFromStorage = () => {
+    const stored = getStoredRecords(storeName).filter(r => r.id !== id);
+    localStorage.setItem(STORE_BACKUP_KEYS[storeName], JSON.stringify(stored));
+    return id;
+  };
+
+  try {
+    const db = await getDB();
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => {
+        resolve(id);
+      };
+      request.onerror = () => {
+        // If IndexedDB fails, try localStorage
+        try {
+          resolve(deleteFromStorage());
+        } catch (error) {
+          reject(error);
+        }
+      };
+    });
+  } catch (error) {
+    console.error(`Error deleting ${storeName} record from IndexedDB, falling back to localStorage:`, error);
+    return deleteFromStorage();
+  }
+};
+
+// Delete the extension record of a contact (nothing happens if it has none)
+export const dbDeleteContactExtension = (id) => deleteOwnedRecord(STORES.CONTACT_EXTENSIONS, id);
+
+// ===== FAVORITES OPERATIONS ===== //
+
+// Get the ordered favorite contact ids of a user
+export const dbGetFavorites = async (ownerId) => {
+  const [record] = await dbGetOwnerRecords(STORES.FAVORITES, ownerId);
+  return record ? record.contactIds : [];
+};
+
+// Save the ordered favorite contact ids of a user
+export const dbSaveFavorites = async (ownerId, contactIds) => {
+  await dbWriteOwnerRecords(STORES.FAVORITES, ownerId, [{ contactIds }]);
+  return contactIds;
+};
+
+// ===== PREFERENCES OPERATIONS ===== //
+
+// Get the contact list preferences of a user ({} if none were saved)
+export const dbGetPreferences = async (ownerId) => {
+  const [record] = await dbGetOwnerRecords(STORES.PREFERENCES, ownerId);
+  if (!record) return {};
+  const { ownerId: _ownerId, ...preferences } = record;
+  return preferences;
+};
+
+// Save the contact list preferences of a user
+export const dbSavePreferences = async (ownerId, preferences) => {
+  await dbWriteOwnerRecords(STORES.PREFERENCES, ownerId, [preferences]);
+  return preferences;
+};
+
+// ===== TAGS OPERATIONS ===== //
+
+// Get the tags of a user
+export const dbGetTags = (ownerId) => dbGetOwnerRecords(STORES.TAGS, ownerId);
+
+// Save (add or overwrite) a tag of a user
+export const dbSaveTag = async (ownerId, tag) => {
+  const [saved] = await dbWriteOwnerRecords(STORES.TAGS, ownerId, [tag]);
+  return saved;
+};
+
+// Delete a tag
+export const dbDeleteTag = (id) => deleteOwnedRecord(STORES.TAGS, id);
+
+// ===== TRASH OPERATIONS ===== //
+
+// Get the trash entries of a user ({ id: contactId, ownerId, contact, deletedAt, favoriteIndex })
+export const dbGetTrashEntries = (ownerId) => dbGetOwnerRecords(STORES.TRASH, ownerId);
+
+// Save (add or overwrite) a trash entry of a user
+export const dbSaveTrashEntry = async (ownerId, entry) => {
+  const [saved] = await dbWriteOwnerRecords(STORES.TRASH, ownerId, [entry]);
+  return saved;
+};
+
+// Delete a trash entry
+export const dbDeleteTrashEntry = (id) => deleteOwnedRecord(STORES.TRASH, id);
+
 // ===== AUTH OPERATIONS (for tokens and user data) ===== //
 
 // Save auth token to IndexedDB
@@ -0,0 +1,50 @@
+/**
+ * Favorite Contacts
+ *
+ * The GoIT API has no favorite flag, so favorites are kept in IndexedDB for every
+ * account (real API and mock alike) as one ordered list of contact ids per user.
+ * The order of the list is the order of the Favorites section.
+ */
+
+import { dbFindOwnerIdByToken, dbGetFavorites, dbSaveFavorites } from './db';
+
+const requireOwnerId = async (token) => {
+  const ownerId = token ? await dbFindOwnerIdByToken(token) : null;
+  if (!ownerId) {
+    throw new Error('Authentication required. Please log in again.');
+  }
+  return ownerId;
+};
+
+/**
+ * Get the favorite contact ids of the signed-in user
+ * @param {string} token - Auth token of the current session
+ * @returns {Promise<Array<string>>} Contact ids, in display order
+ */
+export const getFavorites = async (token) => {
+  return dbGetFavorites(await requireOwnerId(token));
+};
+
+/**
+ * Save the favorite contact ids of the signed-in user
+ * @param {string} token - Auth token of the current session
+ * @param {Array<string>} contactIds - Contact ids, in display order
+ * @returns {Promise<Array<string>>} The saved ids
+ */
+export const saveFavorites = async (token, contactIds) => {
+  return dbSaveFavorites(await requireOwnerId(token), [...new Set(contactIds)]);
+};
+
+/**
+ * Point a favorite at a new contact id, keeping its place in the order
+ * Used when a contact created offline gets its id from the server.
+ * @param {string} ownerId - Id of the user
+ * @param {string} fromId - Local contact id
+ * @param {string} toId - Server contact id
+ * @returns {Promise<void>}
+ */
+export const replaceFavoriteId = async (ownerId, fromId, toId) => {
+  const contactIds = await dbGetFavorites(ownerId);
+  if (!contactIds.includes(fromId)) return;
+  await dbSaveFavorites(ownerId, contactIds.map(id => (id === fromId ? toId : id)));
+};
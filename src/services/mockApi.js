@@ -8,8 +8,25 @@ import {
   dbFindUserByToken,
   dbGetContacts,
   dbAddContact,
-  dbDeleteContact
+  dbUpdateContact,
+  dbDeleteContact,
+  dbFindOwnerIdByToken,
+  dbGetContactsPage
 } from './db';
+import { hashPassword, verifyPassword, hasPasswordHash } from './passwordHash';
+import { normalizeContact, applyNumberChanges, getContactDetails } from '../utils/contactModel';
+import { createId } from '../utils/ids';
+import { sortContacts } from '../utils/contactSort';
+
+// Same response the real API gives for a wrong email or password
+const invalidCredentialsError = () => ({
+  response: {
+    status: 400,
+    data: {
+      message: 'Invalid email or password'
+    }
+  }
+});
 
 export const mockRegisterUser = (userData) => {
   return new Promise(async (resolve, reject) => {
@@ -30,12 +47,25 @@ export const mockRegisterUser = (userData) => {
           return;
         }
         
-        // Create new user
+        if (!userData.password) {
+          reject({
+            response: {
+              status: 400,
+              data: {
+                message: 'Password is required'
+              }
+            }
+          });
+          return;
+        }
+
+        // Create new user (only a salted hash of the password is stored)
         const newUser = {
-          id: Date.now().toString(),
+          id: createId(),
           name: userData.name,
           email: userData.email,
-          token: `mock-jwt-token-${Date.now()}`
+          token: `mock-jwt-token-${createId()}`,
+          ...(await hashPassword(userData.password))
         };
         
         // Save to database (which also syncs to localStorage)
@@ -74,19 +104,27 @@ export const mockLoginUser = (userData) => {
         // Find user by email using database
         const user = await dbFindUserByEmail(userData.email);
         if (!user) {
-          reject({
-            response: {
-              status: 401,
-              data: {
-                message: 'Invalid email or password'
-              }
-            }
-          });
+          reject(invalidCredentialsError());
           return;
         }
         
-        // For simplicity, we're not checking the password in mock
-        // In a real implementation, you would validate the password
+        if (hasPasswordHash(user)) {
+          const isValid = await verifyPassword(userData.password, user);
+          if (!isValid) {
+            reject(invalidCredentialsError());
+            return;
+          }
+        } else if (user.password && userData.password === user.password) {
+          // Accounts saved before hashing keep the password in plain text: once it
+          // has been checked it is replaced by a hash
+          const { password, ...legacyUser } = user;
+          await dbUpdateUser({ ...legacyUser, ...(await hashPassword(userData.password)) });
+        } else {
+          // Without a password on record there is nothing to check against, and
+          // accepting any password would let whoever knows the email take the account
+          reject(invalidCredentialsError());
+          return;
+        }
         
         resolve({
           data: {
@@ -113,15 +151,93 @@ export const mockLoginUser = (userData) => {
   });
 };
 
-export const mockFetchContacts = () => {
-  return new Promise(async (resolve) => {
+// Every contact request is made on behalf of the user that owns the token.
+// Returns the owner's id, or null when the token does not belong to a local user
+const resolveOwnerId = (token) => dbFindOwnerIdByToken(token);
+
+// Tokens issued by the mock backend itself (as opposed to real API tokens)
+export const isMockToken = (token) => typeof token === 'string' && token.startsWith('mock-jwt-token-');
+
+// Keep a local copy of an account that signed in through the real API, so the
+// mock backend can still serve (and scope) its contacts while the API is unreachable.
+// The password is only known on login/register and is stored as a salted hash.
+export const mockRememberUser = async (userData, token, password) => {
+  // Look up by token first so a changed email still finds the same local account
+  const existing = (await dbFindUserByToken(token)) || (await dbFindUserByEmail(userData.email));
+  const user = {
+    ...(existing || { id: createId() }),
+    name: userData.name,
+    email: userData.email,
+    token
+  };
+  if (password) {
+    Object.assign(user, await hashPassword(password));
+  }
+  if (existing) {
+    await dbUpdateUser(user);
+  } else {
+    await dbAddUser(user);
+  }
+  return user.id;
+};
+
+const unauthorizedError = () => ({
+  response: {
+    status: 401,
+    data: {
+      message: 'Invalid or expired token'
+    }
+  }
+});
+
+const notFoundError = () => ({
+  response: {
+    status: 404,
+    data: {
+      message: 'Contact not found'
+    }
+  }
+});
+
+// Contacts are returned in the same shape as the real API (without ownerId)
+const toContactResponse = ({ ownerId, ...contact }) => contact;
+
+// Mock equivalent of GET /contacts. With a limit only that many contacts from offset
+// on are returned, and the x-total-count header tells how many there are in all;
+// with a sort ({ key, direction }) the pages are taken from the list in that order
+export const mockFetchContacts = (token, { offset = 0, limit, sort } = {}) => {
+  return new Promise(async (resolve, reject) => {
     // Simulate network delay
     setTimeout(async () => {
       try {
-        // Get contacts from database (which also syncs to localStorage)
-        const contacts = await dbGetContacts();
+        const ownerId = await resolveOwnerId(token);
+        if (!ownerId) {
+          reject(unauthorizedError());
+          return;
+        }
+
+        if (limit && sort) {
+          const contacts = sortContacts((await dbGetContacts(ownerId)).map(toContactResponse), sort);
+          resolve({
+            data: contacts.slice(offset, offset + limit),
+            headers: { 'x-total-count': String(contacts.length) }
+          });
+          return;
+        }
+
+        if (limit) {
+          const page = await dbGetContactsPage(ownerId, { offset, limit });
+          resolve({
+            data: page.contacts.map(toContactResponse),
+            headers: { 'x-total-count': String(page.total) }
+          });
+          return;
+        }
+
+        // Get the user's contacts from database
+        const contacts = await dbGetContacts(ownerId);
         resolve({
-          data: contacts
+          data: contacts.map(toContactResponse)
         });
       } catch (error) {
         console.error('Error in mockFetchContacts:', error);
@@ -133,51 +249,158 @@ export const mockFetchContacts = () => {
   });
 };
 
-export const mockAddContact = (contactData) => {
-  return new Promise(async (resolve) => {
+// Mock equivalent of GET /contacts/:id - contacts of other users are reported as missing
+export const mockGetContact = (token, id) => {
+  return new Promise(async (resolve, reject) => {
+    // Simulate network delay
+    setTimeout(async () => {
+      try {
+        const ownerId = await resolveOwnerId(token);
+        if (!ownerId) {
+          reject(unauthorizedError());
+          return;
+        }
+
+        const contacts = await dbGetContacts(ownerId);
+        const contact = contacts.find(c => c.id === id);
+        if (!contact) {
+          reject(notFoundError());
+          return;
+        }
+
+        resolve({
+          data: toContactResponse(contact)
+        });
+      } catch (error) {
+        console.error('Error in mockGetContact:', error);
+        reject({
+          response: {
+            status: 500,
+            data: {
+              message: 'Failed to load contact'
+            }
+          }
+        });
+      }
+    }, 300);
+  });
+};
+
+export const mockAddContact = (token, contactData) => {
+  return new Promise(async (resolve, reject) => {
     // Simulate network delay
     setTimeout(async () => {
       try {
+        const ownerId = await resolveOwnerId(token);
+        if (!ownerId) {
+          reject(unauthorizedError());
+          return;
+        }
+
+        // Unlike the real API, the mock backend keeps every labelled number, detail and tag
+        const { number, numbers, tags } = normalizeContact(contactData);
         const newContact = {
-          id: Date.now().toString(),
+          id: createId(),
           name: contactData.name,
-          number: contactData.number
+          number,
+          numbers,
+          ...getContactDetails(contactData),
+          tags,
+          createdAt: contactData.createdAt || new Date().toISOString(),
+          ...(contactData.lastContactedAt ? { lastContactedAt: contactData.lastContactedAt } : {}),
+          ownerId
         };
         
         // Save to database (which also syncs to localStorage)
         await dbAddContact(newContact);
         
         resolve({
-          data: newContact
+          data: toContactResponse(newContact)
         });
       } catch (error) {
         console.error('Error in mockAddContact:', error);
+        reject({
+          response: {
+            status: 500,
+            data: {
+              message: 'Failed to add contact'
+            }
+          }
+        });
+      }
+    }, 300);
+  });
+};
+
+export const mockUpdateContact = (token, id, contactData) => {
+  return new Promise(async (resolve, reject) => {
+    // Simulate network delay
+    setTimeout(async () => {
+      try {
+        const ownerId = await resolveOwnerId(token);
+        if (!ownerId) {
+          reject(unauthorizedError());
+          return;
+        }
+
+        // Other users' contacts are reported as missing, not as forbidden
+        const contacts = await dbGetContacts(ownerId);
+        const existing = contacts.find(c => c.id === id);
+
+        if (!existing) {
+          reject(notFoundError());
+          return;
+        }
+
+        // Only name, numbers, details and tags can be changed, the id and owner always stay the same
+        const phones = applyNumberChanges(existing, contactData);
+        const updatedContact = {
+          ...existing,
+          name: contactData.name ?? existing.name,
+          number: phones.number,
+          numbers: phones.numbers,
+          ...getContactDetails(contactData, { onlyGiven: true }),
+          tags: contactData.tags !== undefined ? normalizeContact(contactData).tags : existing.tags || []
+        };
+
+        // Save to database (which also syncs to localStorage)
+        await dbUpdateContact(updatedContact);
+
         resolve({
-          data: null
+          data: toContactResponse(updatedContact)
+        });
+      } catch (error) {
+        console.error('Error in mockUpdateContact:', error);
+        reject({
+          response: {
+            status: 500,
+            data: {
+              message: 'Failed to update contact'
+            }
+          }
         });
       }
     }, 300);
   });
 };
 
-export const mockDeleteContact = (id) => {
+export const mockDeleteContact = (token, id) => {
   return new Promise(async (resolve, reject) => {
     // Simulate network delay
     setTimeout(async () => {
       try {
-        // Check if contact exists before deleting
-        const contacts = await dbGetContacts();
+        const ownerId = await resolveOwnerId(token);
+        if (!ownerId) {
+          reject(unauthorizedError());
+          return;
+        }
+
+        // Check if the contact exists and belongs to this user before deleting
+        const contacts = await dbGetContacts(ownerId);
         const contactExists = contacts.some(c => c.id === id);
         
         if (!contactExists) {
-          reject({
-            response: {
-              status: 404,
-              data: {
-                message: 'Contact not found'
-              }
-            }
-          });
+          reject(notFoundError());
           return;
         }
         
@@ -282,7 +505,9 @@ export const mockUpdateUser = (token, userData) => {
           }
           user.email = userData.email;
         }
-        // Note: We don't store passwords in mock, so password updates are ignored
+        if (userData.password) {
+          Object.assign(user, await hashPassword(userData.password));
+        }
         
         // Save updated user to database (which also syncs to localStorage)
         await dbUpdateUser(user);
@@ -0,0 +1,93 @@
+/**
+ * Password hashing for the mock backend
+ *
+ * Passwords of users registered through the mock API are never stored in plain text.
+ * They are hashed with PBKDF2 (SHA-256) using a random per-user salt via WebCrypto.
+ */
+
+// Hash parameters - stored with every hash so they can be raised later
+// without breaking existing accounts
+const ALGORITHM = 'PBKDF2-SHA256';
+const ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+const getSubtle = () => {
+  const subtle = window.crypto?.subtle;
+  if (!subtle) {
+    // WebCrypto is only available in secure contexts (https or localhost)
+    throw new Error('WebCrypto is not available in this browser');
+  }
+  return subtle;
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+const deriveHash = async (password, salt, iterations) => {
+  const subtle = getSubtle();
+  const key = await subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    HASH_BITS
+  );
+  return toBase64(bits);
+};
+
+/**
+ * Hash a password with a fresh random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} Fields to store on the user record
+ * ({ passwordHash, passwordSalt, passwordIterations, passwordAlgorithm })
+ */
+export const hashPassword = async (password) => {
+  const salt = window.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const passwordHash = await deriveHash(password, salt, ITERATIONS);
+  return {
+    passwordHash,
+    passwordSalt: toBase64(salt),
+    passwordIterations: ITERATIONS,
+    passwordAlgorithm: ALGORITHM,
+  };
+};
+
+/**
+ * Check a password against the hash stored on a user record
+ * @param {string} password - Plain text password to check
+ * @param {Object} user - User record with passwordHash, passwordSalt and passwordIterations
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export const verifyPassword = async (password, user) => {
+  if (!user?.passwordHash || !user?.passwordSalt || typeof password !== 'string') {
+    return false;
+  }
+  const candidate = await deriveHash(
+    password,
+    fromBase64(user.passwordSalt),
+    user.passwordIterations || ITERATIONS
+  );
+
+  // Compare every character so the time taken does not reveal how much matched
+  if (candidate.length !== user.passwordHash.length) return false;
+  let diff = 0;
+  for (let i = 0; i < candidate.length; i++) {
+    diff |= candidate.charCodeAt(i) ^ user.passwordHash.charCodeAt(i);
+  }
+  return diff === 0;
+};
+
+/**
+ * Check if a user record has a stored password hash
+ * (accounts registered before hashing was added do not)
+ * @param {Object} user - User record
+ * @returns {boolean} True if a hash is stored
+ */
+export const hasPasswordHash = (user) => Boolean(user?.passwordHash && user?.passwordSalt);
@@ -0,0 +1,38 @@
+/**
+ * Contact List Preferences
+ *
+ * Settings of the contact list that are remembered across sessions, such as the
+ * sort order. They are kept in IndexedDB as one record per user, so every account
+ * on the device has its own.
+ */
+
+import { dbFindOwnerIdByToken, dbGetPreferences, dbSavePreferences } from './db';
+
+const requireOwnerId = async (token) => {
+  const ownerId = token ? await dbFindOwnerIdByToken(token) : null;
+  if (!ownerId) {
+    throw new Error('Authentication required. Please log in again.');
+  }
+  return ownerId;
+};
+
+/**
+ * Get the preferences of the signed-in user
+ * @param {string} token - Auth token of the current session
+ * @returns {Promise<Object>} Saved preferences (e.g. { sort: { key, direction } }), {} if none
+ */
+export const getPreferences = async (token) => {
+  return dbGetPreferences(await requireOwnerId(token));
+};
+
+/**
+ * Change some of the preferences of the signed-in user
+ * @param {string} token - Auth token of the current session
+ * @param {Object} changes - Preferences to set; the others are kept
+ * @returns {Promise<Object>} All preferences after the change
+ */
+export const savePreferences = async (token, changes) => {
+  const ownerId = await requireOwnerId(token);
+  const current = await dbGetPreferences(ownerId);
+  return dbSavePreferences(ownerId, { ...current, ...changes });
+};
@@ -0,0 +1,339 @@
+/**
+ * Offline Sync Engine
+ *
+ * While the real API is unreachable, contact changes are saved through the IndexedDB
+ * mock API. Each of those changes is also recorded in the outbox store and replayed,
+ * in order, against the real API once it can be reached again.
+ *
+ * Updates carry the version of the contact they were based on. Before an update is
+ * replayed it is compared with the current server copy; when both sides changed the
+ * same field differently, replay stops and the conflict is handed to the user.
+ */
+
+import { contactsAPI } from './api';
+import {
+  dbFindOwnerIdByToken,
+  dbGetOutboxEntries,
+  dbAddOutboxEntry,
+  dbUpdateOutboxEntry,
+  dbDeleteOutboxEntry,
+  dbAddContact,
+  dbDeleteContact,
+  dbReplaceOwnerContacts,
+  dbAddSyncLogEntry,
+  dbGetSyncLogEntries
+} from './db';
+import { isMockToken } from './mockApi';
+import { moveContactExtension } from './contactExtensions';
+import { replaceFavoriteId } from './favorites';
+import { moveTrashEntry } from './trash';
+import { applyContactExtension } from '../utils/contactModel';
+
+// Accounts that only exist in the mock backend have no server to sync with
+const getSyncOwnerId = async (token) => {
+  if (!token || isMockToken(token)) return null;
+  return dbFindOwnerIdByToken(token);
+};
+
+// Contact fields compared when looking for conflicts
+const CONFLICT_FIELDS = ['name', 'number'];
+
+/**
+ * Find the fields that were changed both locally and on the server, to different values
+ * @param {Object} base - Contact as it was before the local change
+ * @param {Object} local - Locally changed values
+ * @param {Object} server - Current server copy
+ * @returns {Array<string>} Conflicting field names
+ */
+export const detectConflicts = (base, local, server) => {
+  return CONFLICT_FIELDS.filter(field =>
+    field in local &&
+    local[field] !== base[field] &&
+    server[field] !== base[field] &&
+    server[field] !== local[field]
+  );
+};
+
+/**
+ * Record a contact change that could only be saved locally
+ * @param {string} token - Auth token of the current session
+ * @param {Object} change - The change to replay later
+ * @param {string} change.type - 'add', 'update' or 'delete'
+ * @param {string} change.contactId - Contact id (the local id for contacts created offline)
+ * @param {Object} [change.payload] - Contact data sent with add/update
+ * @param {Object} [change.base] - For updates: the contact before the change
+ * @returns {Promise<number>} Number of changes waiting to be synced
+ */
+export const recordOfflineChange = async (token, change) => {
+  const ownerId = await getSyncOwnerId(token);
+  if (!ownerId) return 0;
+
+  const entries = await dbGetOutboxEntries(ownerId);
+  const pendingAdd = entries.find(e => e.type === 'add' && e.contactId === change.contactId);
+  const pendingUpdate = entries.find(e => e.type === 'update' && e.contactId === change.contactId);
+
+  if (pendingUpdate && change.type === 'update') {
+    // Several edits of the same contact are sent as one, compared against the oldest base
+    await dbUpdateOutboxEntry({
+      ...pendingUpdate,
+      payload: { ...pendingUpdate.payload, ...change.payload }
+    });
+  } else if (pendingAdd && change.type === 'update') {
+    // The contact is not on the server yet - send the latest values with the add instead
+    await dbUpdateOutboxEntry({
+      ...pendingAdd,
+      payload: { ...pendingAdd.payload, ...change.payload }
+    });
+  } else if (pendingAdd && change.type === 'delete') {
+    // Created and deleted while offline - the server never needs to hear about it
+    const related = entries.filter(e => e.contactId === change.contactId);
+    for (const entry of related) {
+      await dbDeleteOutboxEntry(entry.seq);
+    }
+  } else {
+    await dbAddOutboxEntry({
+      ...change,
+      ownerId,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  return (await dbGetOutboxEntries(ownerId)).length;
+};
+
+/**
+ * Count the changes waiting to be synced
+ * @param {string} token - Auth token of the current session
+ * @returns {Promise<number>} Number of outbox entries
+ */
+export const countPendingChanges = async (token) => {
+  const ownerId = await getSyncOwnerId(token);
+  if (!ownerId) return 0;
+  return (await dbGetOutboxEntries(ownerId)).length;
+};
+
+// A contact created offline got its real id from the server: point the remaining
+// outbox entries, the local copy, its extension record and its favorite at the new id
+const remapContactId = async (ownerId, localId, created, laterEntries) => {
+  for (const entry of laterEntries) {
+    if (entry.contactId === localId) {
+      entry.contactId = created.id;
+      await dbUpdateOutboxEntry(entry);
+    }
+  }
+  const extension = await moveContactExtension(ownerId, localId, created.id);
+  await replaceFavoriteId(ownerId, localId, created.id);
+  await moveTrashEntry(ownerId, localId, created.id);
+  await dbDeleteContact(localId);
+  await dbAddContact({ ...applyContactExtension(created, extension), ownerId });
+};
+
+// Get the server copy of a contact. Falls back to the full list when the single
+// contact endpoint answers 404, so a contact is only treated as deleted if it is really gone
+const fetchServerCopy = async (contactId) => {
+  try {
+    return await contactsAPI.getById(contactId);
+  } catch (error) {
+    if (error.response?.status !== 404) throw error;
+    const contacts = await contactsAPI.getAll();
+    const contact = contacts.find(c => c.id === contactId);
+    if (!contact) throw error;
+    return contact;
+  }
+};
+
+const sendEntry = (entry) => {
+  switch (entry.type) {
+    case 'add':
+      return contactsAPI.add(entry.payload);
+    case 'update':
+      return contactsAPI.update(entry.contactId, entry.payload);
+    case 'delete':
+      return contactsAPI.delete(entry.contactId);
+    default:
+      return Promise.reject(new Error(`Unknown outbox entry type: ${entry.type}`));
+  }
+};
+
+// Compare an update with the server copy. Returns the conflict, or the entry reduced to
+// the fields changed locally (so edits made elsewhere to other fields are kept)
+const checkUpdate = async (entry) => {
+  if (!entry.base) return { entry };
+
+  const server = await fetchServerCopy(entry.contactId);
+  const fields = detectConflicts(entry.base, entry.payload, server);
+  if (fields.length > 0) {
+    return {
+      conflict: {
+        seq: entry.seq,
+        contactId: entry.contactId,
+        base: entry.base,
+        local: entry.payload,
+        server,
+        fields
+      }
+    };
+  }
+
+  const payload = {};
+  Object.keys(entry.payload).forEach(field => {
+    if (entry.payload[field] !== entry.base[field]) payload[field] = entry.payload[field];
+  });
+  return { entry: { ...entry, payload } };
+};
+
+// Replays running per owner id. Loading contacts, the online event and "Sync now" can all
+// start one; a second replay reading the same outbox would send its changes twice
+const replaysInFlight = new Map();
+
+/**
+ * Send the recorded offline changes to the real API, oldest first
+ * Stops at the first network error or conflict so the order of changes is kept
+ * for the next attempt. Called again while a replay runs, it waits for that one
+ * and gets its result.
+ * @param {string} token - Auth token of the current session
+ * @returns {Promise<Object>} { synced, failed: [{ entry, message }], conflicts, pending, offline }
+ */
+export const replayOutbox = async (token) => {
+  const ownerId = await getSyncOwnerId(token);
+  if (!ownerId) return { synced: 0, failed: [], conflicts: [], pending: 0, offline: false };
+
+  if (!replaysInFlight.has(ownerId)) {
+    replaysInFlight.set(ownerId, runReplay(ownerId).finally(() => replaysInFlight.delete(ownerId)));
+  }
+  return replaysInFlight.get(ownerId);
+};
+
+const runReplay = async (ownerId) => {
+  const result = { synced: 0, failed: [], conflicts: [], pending: 0, offline: false };
+  const entries = await dbGetOutboxEntries(ownerId);
+
+  for (let i = 0; i < entries.length; i++) {
+    let entry = entries[i];
+    try {
+      if (entry.type === 'update') {
+        const checked = await checkUpdate(entry);
+        if (checked.conflict) {
+          // Wait for the user to decide before sending this or any later change
+          result.conflicts.push(checked.conflict);
+          result.pending = entries.length - i;
+          return result;
+        }
+        entry = checked.entry;
+        if (Object.keys(entry.payload).length === 0) {
+          // Nothing was actually changed locally
+          await dbDeleteOutboxEntry(entry.seq);
+          result.synced += 1;
+          continue;
+        }
+      }
+
+      const response = await sendEntry(entry);
+      if (entry.type === 'add') {
+        await remapContactId(ownerId, entry.contactId, response, entries.slice(i + 1));
+      }
+      await dbDeleteOutboxEntry(entry.seq);
+      result.synced += 1;
+    } catch (error) {
+      // Still offline (or signed out): keep this and every later change for the next attempt
+      if (!error.response || error.response.status === 401) {
+        result.pending = entries.length - i;
+        result.offline = true;
+        return result;
+      }
+
+      // The server rejected the change (e.g. 404 for a contact deleted elsewhere, 400 for
+      // invalid data) - it would fail the same way on every retry, so drop it
+      console.warn('replayOutbox: Dropping change rejected by the API', entry, error.response.status);
+      result.failed.push({
+        entry,
+        message: error.response.data?.message || `Request failed with status ${error.response.status}`
+      });
+      await dbDeleteOutboxEntry(entry.seq);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Keep a local copy of the contacts the real API returned, for use while offline
+ * Skipped while changes are waiting to be synced, so they are not overwritten.
+ * @param {string} token - Auth token of the current session
+ * @param {Array} contacts - Contacts returned by the real API
+ * @returns {Promise<boolean>} True if the copy was saved
+ */
+export const cacheContactsForOffline = async (token, contacts) => {
+  const ownerId = await getSyncOwnerId(token);
+  if (!ownerId) return false;
+  if ((await dbGetOutboxEntries(ownerId)).length > 0) return false;
+  await dbReplaceOwnerContacts(ownerId, contacts);
+  return true;
+};
+
+/**
+ * Apply the user's decision for a sync conflict and log what was overwritten
+ * @param {string} token - Auth token of the current session
+ * @param {Object} conflict - Conflict returned by replayOutbox
+ * @param {string} resolution - 'mine', 'server' or 'merge'
+ * @param {Object} values - Final field values ({ name, number })
+ * @returns {Promise<Object>} The sync log entry
+ */
+export const resolveConflict = async (token, conflict, resolution, values) => {
+  const ownerId = await getSyncOwnerId(token);
+  if (!ownerId) {
+    throw new Error('Authentication required. Please log in again.');
+  }
+
+  const entries = await dbGetOutboxEntries(ownerId);
+  if (!entries.some(e => e.seq === conflict.seq)) {
+    throw new Error('This change was already synced');
+  }
+
+  // Keeping the server copy means there is nothing to send
+  const changes = {};
+  CONFLICT_FIELDS.forEach(field => {
+    if (values[field] !== undefined && values[field] !== conflict.server[field]) {
+      changes[field] = values[field];
+    }
+  });
+  if (Object.keys(changes).length > 0) {
+    await contactsAPI.update(conflict.contactId, changes);
+  }
+  await dbDeleteOutboxEntry(conflict.seq);
+
+  // Record which values were thrown away, on either side
+  const overwritten = [];
+  CONFLICT_FIELDS.forEach(field => {
+    const result = values[field] ?? conflict.server[field];
+    if (result !== conflict.server[field]) {
+      overwritten.push({ field, side: 'server', value: conflict.server[field] });
+    }
+    if (field in conflict.local && result !== conflict.local[field]) {
+      overwritten.push({ field, side: 'mine', value: conflict.local[field] });
+    }
+  });
+
+  return dbAddSyncLogEntry({
+    ownerId,
+    contactId: conflict.contactId,
+    resolution,
+    base: conflict.base,
+    local: conflict.local,
+    server: conflict.server,
+    result: { ...conflict.server, ...values },
+    overwritten,
+    resolvedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Get the log of resolved conflicts, newest first
+ * @param {string} token - Auth token of the current session
+ * @returns {Promise<Array>} Sync log entries
+ */
+export const getConflictLog = async (token) => {
+  const ownerId = await getSyncOwnerId(token);
+  if (!ownerId) return [];
+  return dbGetSyncLogEntries(ownerId);
+};
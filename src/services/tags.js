@@ -0,0 +1,128 @@
+/**
+ * Contact Tags
+ *
+ * Tags are user-defined groups (Family, Clients, Suppliers...) with a colour. The GoIT API
+ * knows nothing about them, so like favorites they are kept in IndexedDB for every account:
+ * the tags themselves as { id, ownerId, name, color }, and on each contact the ids of its
+ * tags in `tags`. Contacts of mock accounts store those ids themselves; contacts of real API
+ * accounts keep them in their extension record (see services/contactExtensions.js).
+ */
+
+import {
+  dbFindOwnerIdByToken,
+  dbGetTags,
+  dbSaveTag,
+  dbDeleteTag,
+  dbGetContacts,
+  dbUpdateContact,
+  dbGetContactExtensions,
+  dbSaveContactExtension
+} from './db';
+import { saveContactExtension } from './contactExtensions';
+import { TAG_COLORS, normalizeContact } from '../utils/contactModel';
+import { createId } from '../utils/ids';
+
+const requireOwnerId = async (token) => {
+  const ownerId = token ? await dbFindOwnerIdByToken(token) : null;
+  if (!ownerId) {
+    throw new Error('Authentication required. Please log in again.');
+  }
+  return ownerId;
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+/**
+ * Get the tags of the signed-in user
+ * @param {string} token - Auth token of the current session
+ * @returns {Promise<Array<Object>>} Tags ({ id, name, color }), sorted by name
+ */
+export const getTags = async (token) => {
+  const tags = await dbGetTags(await requireOwnerId(token));
+  return tags.map(({ ownerId, ...tag }) => tag).sort(byName);
+};
+
+/**
+ * Create a tag, or rename / recolour an existing one
+ * Tag names are unique per user, ignoring case.
+ * @param {string} token - Auth token of the current session
+ * @param {Object} tag - { id?, name, color? }; without an id a new tag is created
+ * @returns {Promise<Object>} The saved tag ({ id, name, color })
+ */
+export const saveTag = async (token, { id, name, color }) => {
+  const ownerId = await requireOwnerId(token);
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('Tag name is required');
+  }
+
+  const tags = await dbGetTags(ownerId);
+  if (tags.some(t => t.id !== id && t.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A tag named ${trimmed} already exists`);
+  }
+
+  const existing = tags.find(t => t.id === id);
+  const { ownerId: _ownerId, ...saved } = await dbSaveTag(ownerId, {
+    id: existing ? existing.id : `tag-${createId()}`,
+    name: trimmed,
+    // new tags take the next colour of the palette unless one was picked
+    color: color || existing?.color || TAG_COLORS[tags.length % TAG_COLORS.length].value
+  });
+  return saved;
+};
+
+/**
+ * Add and/or remove tags on contacts
+ * @param {string} token - Auth token of the current session
+ * @param {Array<Object>} contacts - Contacts to change, in the app's shape
+ * @param {Object} changes
+ * @param {Array<string>} [changes.add=[]] - Tag ids to add
+ * @param {Array<string>} [changes.remove=[]] - Tag ids to remove
+ * @returns {Promise<Array<Object>>} The contacts whose tags changed, with their new tags
+ */
+export const updateContactTags = async (token, contacts, { add = [], remove = [] }) => {
+  const ownerId = await requireOwnerId(token);
+  const stored = new Map((await dbGetContacts(ownerId)).map(c => [c.id, c]));
+  const updated = [];
+
+  for (const contact of contacts) {
+    const current = normalizeContact(contact).tags;
+    const tags = [
+      ...current.filter(id => !remove.includes(id)),
+      ...add.filter(id => !current.includes(id) && !remove.includes(id))
+    ];
+    if (tags.length === current.length && tags.every(id => current.includes(id))) continue;
+
+    const next = { ...contact, tags };
+    await saveContactExtension(token, contact.id, next);
+    // the stored copy is what the mock API and offline reads return
+    if (stored.has(contact.id)) {
+      await dbUpdateContact({ ...stored.get(contact.id), tags });
+    }
+    updated.push(next);
+  }
+
+  return updated;
+};
+
+/**
+ * Delete a tag and take it off every contact of the user
+ * @param {string} token - Auth token of the current session
+ * @param {string} id - Tag id
+ * @returns {Promise<string>} The deleted id
+ */
+export const deleteTag = async (token, id) => {
+  const ownerId = await requireOwnerId(token);
+  const without = record => ({ ...record, tags: record.tags.filter(tagId => tagId !== id) });
+  const hasTag = record => Array.isArray(record.tags) && record.tags.includes(id);
+
+  for (const contact of (await dbGetContacts(ownerId)).filter(hasTag)) {
+    await dbUpdateContact(without(contact));
+  }
+  for (const extension of (await dbGetContactExtensions(ownerId)).filter(hasTag)) {
+    await dbSaveContactExtension(ownerId, without(extension));
+  }
+
+  await dbDeleteTag(id);
+  return id;
+};
@@ -0,0 +1,123 @@
+/**
+ * Trash Bin
+ *
+ * Deleting a contact moves it to the trash: a copy of the full contact is kept in
+ * IndexedDB and the contact is deleted from the API, so it is gone on every device.
+ * Restoring creates it again from the copy (with a new id). The copy is dropped when the
+ * user empties the trash or deletes it from there, or when it has been in the trash for
+ * TRASH_RETENTION_DAYS (purged on app start). Trash entries are keyed by the contact id.
+ */
+
+import {
+  dbFindOwnerIdByToken,
+  dbGetTrashEntries,
+  dbSaveTrashEntry,
+  dbDeleteTrashEntry
+} from './db';
+import { normalizeContact } from '../utils/contactModel';
+
+// Days a deleted contact can be restored
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const requireOwnerId = async (token) => {
+  const ownerId = token ? await dbFindOwnerIdByToken(token) : null;
+  if (!ownerId) {
+    throw new Error('Authentication required. Please log in again.');
+  }
+  return ownerId;
+};
+
+/**
+ * When a trash entry is deleted for good
+ * @param {Object} entry - Trash entry
+ * @returns {Date} deletedAt plus the retention period
+ */
+export const getTrashExpiry = (entry) => new Date(new Date(entry.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Check if a trash entry is past the retention period
+ * @param {Object} entry - Trash entry
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean} True when the contact should be deleted for good
+ */
+export const isTrashEntryExpired = (entry, now = new Date()) => getTrashExpiry(entry) <= now;
+
+/**
+ * Get the trash of the signed-in user
+ * @param {string} token - Auth token of the current session
+ * @returns {Promise<Array<Object>>} Entries ({ id, contact, deletedAt, favoriteIndex }), newest first
+ */
+export const getTrash = async (token) => {
+  const entries = await dbGetTrashEntries(await requireOwnerId(token));
+  return entries
+    .map(({ ownerId, ...entry }) => entry)
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+};
+
+/**
+ * Get one trash entry of the signed-in user
+ * @param {string} token - Auth token of the current session
+ * @param {string} id - Contact id
+ * @returns {Promise<Object|null>} The entry, or null if the contact is not in the trash
+ */
+export const getTrashEntry = async (token, id) => {
+  const entries = await getTrash(token);
+  return entries.find(entry => entry.id === id) || null;
+};
+
+/**
+ * Put a contact in the trash
+ * @param {string} token - Auth token of the current session
+ * @param {Object} contact - The full contact, as shown in the app
+ * @param {Object} [options]
+ * @param {number} [options.favoriteIndex=-1] - Its position among the favorites (-1 if it was none)
+ * @returns {Promise<Object>} The trash entry
+ */
+export const moveToTrash = async (token, contact, { favoriteIndex = -1 } = {}) => {
+  const { ownerId: _ownerId, ...entry } = await dbSaveTrashEntry(await requireOwnerId(token), {
+    id: contact.id,
+    contact: normalizeContact(contact),
+    deletedAt: new Date().toISOString(),
+    favoriteIndex
+  });
+  return entry;
+};
+
+/**
+ * Take a contact out of the trash (after it was restored or deleted for good)
+ * @param {string} token - Auth token of the current session
+ * @param {string} id - Contact id
+ * @returns {Promise<string>} The id
+ */
+export const removeFromTrash = async (token, id) => {
+  await requireOwnerId(token);
+  return dbDeleteTrashEntry(id);
+};
+
+/**
+ * Leave out the contacts that are in the trash
+ * @param {string} token - Auth token of the current session
+ * @param {Array<Object>} contacts - Contacts as read from the API (or the offline copy)
+ * @returns {Promise<Array<Object>>} The contacts that are not in the trash
+ */
+export const withoutTrashed = async (token, contacts) => {
+  const trashed = new Set((await getTrash(token)).map(entry => entry.id));
+  return contacts.filter(contact => !trashed.has(contact.id));
+};
+
+/**
+ * Point a trash entry at a new contact id
+ * Used when a contact created offline, and deleted before it was synced, gets its id from the server.
+ * @param {string} ownerId - Id of the user
+ * @param {string} fromId - Local contact id
+ * @param {string} toId - Server contact id
+ * @returns {Promise<void>}
+ */
+export const moveTrashEntry = async (ownerId, fromId, toId) => {
+  const entry = (await dbGetTrashEntries(ownerId)).find(e => e.id === fromId);
+  if (!entry) return;
+  await dbDeleteTrashEntry(fromId);
+  await dbSaveTrashEntry(ownerId, { ...entry, id: toId, contact: { ...entry.contact, id: toId } });
+};
@@ -0,0 +1,9 @@
+// Runs before every test file (react-scripts picks this file up by name)
+import '@testing-library/jest-dom';
+import { TextEncoder, TextDecoder } from 'util';
+
+// react-router 7 needs these at import time; the jsdom of react-scripts' jest lacks them
+if (!global.TextEncoder) {
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
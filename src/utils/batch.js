@@ -0,0 +1,49 @@
+/**
+ * Batch Utilities
+ *
+ * Runs many async operations (e.g. one API request per imported contact)
+ * without sending them all at once, reporting progress as they finish.
+ */
+
+/**
+ * Run an async task for every item, a limited number at a time
+ * A failing task does not stop the others - its error is returned in its result.
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} task - Async function called as task(item, index)
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=4] - Maximum number of tasks running at once
+ * @param {Function} [options.onResult] - Called with (result, index) as each task finishes
+ * @param {Function} [options.onProgress] - Called with { done, total, failed } as each task finishes
+ * @returns {Promise<Array>} Results in item order: { item, ok, value } or { item, ok: false, error }
+ *
+ * @example
+ * const results = await runInBatches(rows, (row) => api.add(row), { concurrency: 3 });
+ * const failed = results.filter((r) => !r.ok);
+ */
+export const runInBatches = async (items, task, { concurrency = 4, onResult, onProgress } = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let done = 0;
+  let failed = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      const item = items[index];
+      try {
+        results[index] = { item, ok: true, value: await task(item, index) };
+      } catch (error) {
+        results[index] = { item, ok: false, error };
+        failed += 1;
+      }
+      done += 1;
+      if (onResult) onResult(results[index], index);
+      if (onProgress) onProgress({ done, total: items.length, failed });
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+};
@@ -0,0 +1,119 @@
+/**
+ * Contact Export Utilities
+ *
+ * Plain CSV and JSON exports of the phonebook. The JSON file keeps values exactly
+ * as stored, so it can be imported again without losing anything. Tags are written by
+ * name (their ids mean nothing in another account) and read back as categories, which
+ * the import turns into tags the way it does for vCards.
+ */
+
+import { toCsv } from './csv';
+import { DETAIL_FIELDS, getPhoneLabelText } from './contactModel';
+
+// Contact fields that can be exported, in column order.
+// `toText` flattens structured values into a single CSV cell (JSON keeps the structure)
+export const EXPORT_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'number', label: 'Number' },
+  {
+    key: 'numbers',
+    label: 'All numbers',
+    toText: (numbers) => (numbers || []).map((n) => `${getPhoneLabelText(n.label)}: ${n.number}`).join('; '),
+  },
+  ...DETAIL_FIELDS,
+  { key: 'tags', label: 'Tags', toText: (names) => (names || []).join('; ') },
+  { key: 'createdAt', label: 'Added' },
+  { key: 'lastContactedAt', label: 'Last contacted' },
+  { key: 'id', label: 'ID' },
+];
+
+// Identifies files written by contactsToJson (version 2 added tags and dates)
+const JSON_FORMAT = 'phonebook-contacts';
+const JSON_VERSION = 2;
+
+const pickFields = (contact, fields) => {
+  return fields.reduce((acc, field) => ({ ...acc, [field]: contact[field] ?? null }), {});
+};
+
+// The contact with the names of its tags instead of their ids
+const withTagNames = (contact, tags) => {
+  const tagNames = new Map(tags.map((tag) => [tag.id, tag.name]));
+  return { ...contact, tags: (contact.tags || []).map((id) => tagNames.get(id)).filter(Boolean) };
+};
+
+/**
+ * Write contacts as CSV with a header row
+ * @param {Array} contacts - Contacts to export
+ * @param {Array<string>} fields - Field keys to include, in order
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.tags] - The user's tags ({ id, name }), to write tag names
+ * @returns {string} CSV text with a UTF-8 byte order mark (so Excel picks the right encoding)
+ */
+export const contactsToCsv = (contacts, fields, { tags = [] } = {}) => {
+  const columns = fields.map((key) => EXPORT_FIELDS.find((f) => f.key === key) || { key, label: key });
+  const header = columns.map((column) => column.label);
+  const rows = contacts.map((contact) => withTagNames(contact, tags)).map((contact) => columns.map((column) => (
+    column.toText ? column.toText(contact[column.key]) : contact[column.key]
+  )));
+  return '\uFEFF' + toCsv([header, ...rows]);
+};
+
+/**
+ * Write contacts as a JSON export file
+ * @param {Array} contacts - Contacts to export
+ * @param {Array<string>} fields - Field keys to include
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.tags] - The user's tags ({ id, name }), to write tag names
+ * @returns {string} Pretty-printed JSON
+ */
+export const contactsToJson = (contacts, fields, { tags = [] } = {}) => {
+  return JSON.stringify({
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    exportedAt: new Date().toISOString(),
+    fields,
+    contacts: contacts.map((contact) => pickFields(withTagNames(contact, tags), fields)),
+  }, null, 2);
+};
+
+/**
+ * Read contacts from a JSON export file
+ * Also accepts a plain array of contact objects.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Contacts with string name and number, and the names of their
+ *   tags as categories
+ * @throws {Error} When the file is not a contacts export
+ */
+export const parseContactsJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  let contacts = data;
+  if (!Array.isArray(data)) {
+    if (data?.format !== JSON_FORMAT || !Array.isArray(data.contacts)) {
+      throw new Error('This JSON file is not a phonebook contacts export.');
+    }
+    if (data.version > JSON_VERSION) {
+      throw new Error('This export was made by a newer version of the app.');
+    }
+    contacts = data.contacts;
+  }
+
+  return contacts
+    .filter((contact) => contact && typeof contact === 'object')
+    .map(({ tags, ...contact }) => {
+      const categories = [...new Set((Array.isArray(tags) ? tags : [])
+        .filter((name) => typeof name === 'string' && name.trim())
+        .map((name) => name.trim()))];
+      return {
+        ...contact,
+        name: contact.name === null || contact.name === undefined ? '' : String(contact.name),
+        number: contact.number === null || contact.number === undefined ? '' : String(contact.number),
+        ...(categories.length > 0 ? { categories } : {}),
+      };
+    });
+};
@@ -0,0 +1,52 @@
+import { EXPORT_FIELDS, contactsToCsv, contactsToJson, parseContactsJson } from './contactExport';
+
+const tags = [
+  { id: 'tag-1', name: 'Family', color: '#2563eb' },
+  { id: 'tag-2', name: 'Work', color: '#16a34a' },
+];
+
+const olena = {
+  id: '1',
+  name: 'Olena Shevchenko',
+  number: '+380 67 123 45 67',
+  numbers: [
+    { label: 'mobile', number: '+380 67 123 45 67' },
+    { label: 'work', number: '044 234 56 78' },
+  ],
+  email: 'olena@example.com',
+  tags: ['tag-2', 'tag-1', 'tag-deleted'],
+  createdAt: '2026-03-01T09:30:00.000Z',
+  lastContactedAt: '2026-10-12T17:05:00.000Z',
+};
+
+const allFields = EXPORT_FIELDS.map((field) => field.key);
+
+describe('JSON export', () => {
+  test('reads back what it wrote, with tags by name', () => {
+    const [contact] = parseContactsJson(contactsToJson([olena], allFields, { tags }));
+
+    expect(contact).toMatchObject({
+      name: olena.name,
+      number: olena.number,
+      numbers: olena.numbers,
+      email: olena.email,
+      createdAt: olena.createdAt,
+      lastContactedAt: olena.lastContactedAt,
+      // a tag that no longer exists is left out
+      categories: ['Work', 'Family'],
+    });
+    expect(contact).not.toHaveProperty('tags');
+  });
+
+  test('reads files without tags or dates', () => {
+    const [contact] = parseContactsJson(JSON.stringify([{ name: 'Taras', number: 459 }]));
+    expect(contact).toEqual({ name: 'Taras', number: '459' });
+  });
+});
+
+describe('CSV export', () => {
+  test('writes tag names into one cell', () => {
+    const csv = contactsToCsv([olena], ['name', 'tags'], { tags });
+    expect(csv.split('\r\n')).toEqual(['\uFEFFName,Tags', 'Olena Shevchenko,Work; Family', '']);
+  });
+});
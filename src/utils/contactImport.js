@@ -0,0 +1,143 @@
+/**
+ * Contact Import Utilities
+ *
+ * Shared by the import formats: turns parsed contacts into preview rows and flags
+ * entries that look like duplicates of saved contacts or of earlier rows in the file.
+ */
+
+import { normalizePhoneNumber } from './phone';
+
+/**
+ * Reduce a phone number to its digits so differently formatted numbers compare equal
+ * @param {string} number - Phone number in any format
+ * @returns {string} Digits only
+ *
+ * @example
+ * normalizeNumber('+1 (555) 010-0100')
+ * // Returns: '15550100100'
+ */
+export const normalizeNumber = (number) => String(number || '').replace(/\D/g, '');
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Build preview rows for parsed contacts
+ * Rows without a name or number cannot be imported. Rows that look like duplicates
+ * start unselected, so the user opts in to importing them.
+ *
+ * @param {Array} parsed - Parsed contacts ({ name, number, ... })
+ * @param {Array} contacts - Contacts already saved for the user
+ * @param {Object} [options]
+ * @param {Function} [options.validate] - Extra check per contact, returns an error message or null
+ * @returns {Array<Object>} Rows: { key, contact, warnings, invalid, selected }
+ */
+export const buildImportRows = (parsed, contacts, { validate } = {}) => {
+  const savedByName = new Map();
+  const savedByNumber = new Map();
+  contacts.forEach((c) => {
+    savedByName.set(normalizeName(c.name), c);
+    if (normalizeNumber(c.number)) savedByNumber.set(normalizeNumber(c.number), c);
+  });
+
+  const seenNames = new Map();
+  const seenNumbers = new Map();
+
+  return parsed.map((contact, index) => {
+    const name = normalizeName(contact.name);
+    const number = normalizeNumber(contact.number);
+    const warnings = [];
+    let invalid = null;
+
+    if (!name) {
+      invalid = 'Missing name';
+    } else if (!number) {
+      invalid = 'Missing phone number';
+    } else if (validate) {
+      invalid = validate(contact) || null;
+    }
+
+    if (name && savedByName.has(name)) {
+      warnings.push(`${savedByName.get(name).name} is already in contacts`);
+    }
+    if (number && savedByNumber.has(number)) {
+      const saved = savedByNumber.get(number);
+      if (normalizeName(saved.name) !== name) {
+        warnings.push(`Number is already saved for ${saved.name}`);
+      }
+    }
+    if (name && seenNames.has(name)) {
+      warnings.push(`Same name as row ${seenNames.get(name) + 1}`);
+    } else if (number && seenNumbers.has(number)) {
+      warnings.push(`Same number as row ${seenNumbers.get(number) + 1}`);
+    }
+
+    if (name && !seenNames.has(name)) seenNames.set(name, index);
+    if (number && !seenNumbers.has(number)) seenNumbers.set(number, index);
+
+    return {
+      key: `row-${index}`,
+      contact: { ...contact, name: String(contact.name || '').trim(), number: String(contact.number || '').trim() },
+      warnings,
+      invalid,
+      selected: !invalid && warnings.length === 0,
+    };
+  });
+};
+
+// Header names recognised when guessing the CSV column mapping
+const LAST_NAME_HEADER = /(last|family|sur)[ _-]?name|surname/i;
+const NAME_HEADER = /name|contact/i;
+const NUMBER_HEADER = /phone|number|mobile|cell|tel/i;
+
+/**
+ * Guess which CSV columns hold the name, last name and number
+ * @param {Array<string>} firstRow - First row of the file
+ * @param {boolean} hasHeader - Whether the first row holds column names
+ * @returns {Object} { nameColumn, lastNameColumn, numberColumn } - column indexes (lastNameColumn may be null)
+ */
+export const guessCsvMapping = (firstRow, hasHeader) => {
+  const columnCount = firstRow.length;
+  const fallback = {
+    nameColumn: 0,
+    lastNameColumn: null,
+    numberColumn: columnCount > 1 ? 1 : 0,
+  };
+  if (!hasHeader) return fallback;
+
+  const find = (pattern, exclude = []) => {
+    const index = firstRow.findIndex((header, i) => !exclude.includes(i) && pattern.test(header));
+    return index === -1 ? null : index;
+  };
+
+  const lastNameColumn = find(LAST_NAME_HEADER);
+  const nameColumn = find(NAME_HEADER, lastNameColumn === null ? [] : [lastNameColumn]);
+  const numberColumn = find(NUMBER_HEADER, [nameColumn, lastNameColumn]);
+
+  return {
+    nameColumn: nameColumn ?? fallback.nameColumn,
+    lastNameColumn: nameColumn === null ? null : lastNameColumn,
+    numberColumn: numberColumn ?? fallback.numberColumn,
+  };
+};
+
+/**
+ * Turn parsed CSV rows into contacts using a column mapping
+ * Numbers go through the same XXX-XX-XX-X formatting as ContactForm; the
+ * original value is kept as rawNumber so rows that do not fit can be reported.
+ *
+ * @param {Array<Array<string>>} table - Rows from parseCsv
+ * @param {Object} mapping - { hasHeader, nameColumn, lastNameColumn, numberColumn }
+ * @returns {Array<Object>} Contacts: { name, number, rawNumber }
+ */
+export const csvRowsToContacts = (table, { hasHeader, nameColumn, lastNameColumn, numberColumn }) => {
+  const dataRows = hasHeader ? table.slice(1) : table;
+
+  return dataRows.map((row) => {
+    const name = [row[nameColumn], lastNameColumn === null ? '' : row[lastNameColumn]]
+      .map((part) => (part || '').trim())
+      .filter(Boolean)
+      .join(' ');
+    const rawNumber = (row[numberColumn] || '').trim();
+    return { name, number: normalizePhoneNumber(rawNumber).number, rawNumber };
+  });
+};
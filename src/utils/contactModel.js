@@ -0,0 +1,222 @@
+/**
+ * Contact Model
+ *
+ * Contacts carry a list of labelled numbers: { id, name, number, numbers: [{ label, number }] }.
+ * The first entry of numbers is the primary number and is mirrored in `number`, which is
+ * the only phone field the GoIT API stores (and what lists, filters and exports show).
+ *
+ * They also have optional details (email, company, job title, address, notes) and `tags`,
+ * the ids of the user's tags (groups) they belong to. `createdAt` and `lastContactedAt`
+ * (ISO dates, missing on contacts added before they were recorded) are when the contact
+ * was added and last called or emailed from the app. The GoIT API stores none of those,
+ * nor the extra numbers; see services/contactExtensions.js.
+ */
+
+// Predefined number labels; any other label is a custom one typed by the user
+export const PHONE_LABELS = [
+  { value: 'mobile', label: 'Mobile' },
+  { value: 'work', label: 'Work' },
+  { value: 'home', label: 'Home' },
+  { value: 'fax', label: 'Fax' },
+  { value: 'other', label: 'Other' },
+];
+
+// Optional contact details, in the order forms and exports show them
+export const DETAIL_FIELDS = [
+  { key: 'email', label: 'Email' },
+  { key: 'company', label: 'Company' },
+  { key: 'jobTitle', label: 'Job title' },
+  { key: 'address', label: 'Address' },
+  { key: 'notes', label: 'Notes' },
+];
+
+// Colours a tag can have; the first one is used for new tags
+export const TAG_COLORS = [
+  { value: '#2563eb', label: 'Blue' },
+  { value: '#16a34a', label: 'Green' },
+  { value: '#d97706', label: 'Amber' },
+  { value: '#dc2626', label: 'Red' },
+  { value: '#9333ea', label: 'Purple' },
+  { value: '#0891b2', label: 'Teal' },
+  { value: '#db2777', label: 'Pink' },
+  { value: '#4b5563', label: 'Grey' },
+];
+
+/**
+ * Check if a label is one of the predefined ones
+ * @param {string} label - Number label
+ * @returns {boolean} True for predefined labels
+ */
+export const isPresetLabel = (label) => PHONE_LABELS.some((l) => l.value === label);
+
+/**
+ * Text shown for a number label
+ * @param {string} label - Number label
+ * @returns {string} Display text ("Mobile", or the custom label as typed)
+ */
+export const getPhoneLabelText = (label) => {
+  const preset = PHONE_LABELS.find((l) => l.value === label);
+  return preset ? preset.label : label || 'Other';
+};
+
+/**
+ * Detail fields of a contact
+ * @param {Object} contact - Contact (or changes)
+ * @param {Object} [options]
+ * @param {boolean} [options.onlyGiven=false] - Leave out fields the contact does not have,
+ *   instead of returning them as empty strings
+ * @returns {Object} { email, company, jobTitle, address, notes }
+ */
+export const getContactDetails = (contact, { onlyGiven = false } = {}) => {
+  return DETAIL_FIELDS.reduce((details, { key }) => {
+    const value = contact[key];
+    if (value === undefined || value === null) {
+      if (!onlyGiven) details[key] = '';
+    } else {
+      details[key] = String(value);
+    }
+    return details;
+  }, {});
+};
+
+/**
+ * Initials shown in a contact's avatar
+ * @param {string} name - Contact name
+ * @returns {string} Up to two upper-case letters ("Rosie Simpson" -> "RS")
+ */
+export const getInitials = (name) => {
+  if (!name) return '';
+  const parts = name.trim().split(/\s+/);
+  if (parts.length === 1) return parts[0].slice(0, 2).toUpperCase();
+  return (parts[0][0] + parts[1][0]).toUpperCase();
+};
+
+/**
+ * Check if a contact has the selected tags
+ * @param {Object} contact - Contact
+ * @param {Array<string>} tagIds - Selected tag ids
+ * @param {string} [mode='any'] - 'any' to need one of the tags, 'all' to need every one
+ * @returns {boolean} True when no tag is selected or the contact matches
+ */
+export const contactMatchesTags = (contact, tagIds, mode = 'any') => {
+  if (!tagIds || tagIds.length === 0) return true;
+  const tags = contact.tags || [];
+  return mode === 'all'
+    ? tagIds.every((id) => tags.includes(id))
+    : tagIds.some((id) => tags.includes(id));
+};
+
+/**
+ * Bring a contact into the current shape
+ * Contacts saved before numbers were added (and contacts from the GoIT API) only have
+ * `number`; it becomes their single mobile number. Missing details become empty strings
+ * and missing tags an empty list.
+ *
+ * @param {Object} contact - Contact in either shape
+ * @returns {Object} Contact with `numbers`, a matching primary `number`, every detail field and `tags`
+ *
+ * @example
+ * normalizeContact({ id: 'id-1', name: 'Rosie Simpson', number: '459-12-56' })
+ * // Returns: { id: 'id-1', name: 'Rosie Simpson', number: '459-12-56',
+ * //            numbers: [{ label: 'mobile', number: '459-12-56' }],
+ * //            email: '', company: '', jobTitle: '', address: '', notes: '', tags: [] }
+ */
+export const normalizeContact = (contact) => {
+  let numbers = Array.isArray(contact.numbers)
+    ? contact.numbers
+      .filter((n) => n && String(n.number || '').trim() !== '')
+      .map((n) => ({ label: n.label || 'mobile', number: String(n.number).trim() }))
+    : [];
+
+  if (numbers.length === 0 && contact.number) {
+    numbers = [{ label: 'mobile', number: contact.number }];
+  }
+
+  return {
+    ...contact,
+    number: numbers.length > 0 ? numbers[0].number : contact.number || '',
+    numbers,
+    ...getContactDetails(contact),
+    tags: Array.isArray(contact.tags) ? [...new Set(contact.tags)] : [],
+  };
+};
+
+/**
+ * Contact data in the shape the GoIT API accepts ({ name, number })
+ * @param {Object} contact - Contact (or changes) in the app's shape
+ * @returns {Object} Only the fields the API stores; the primary number goes in `number`
+ */
+export const toApiContact = (contact) => {
+  const apiContact = {};
+  if (contact.name !== undefined) apiContact.name = contact.name;
+  if (contact.numbers !== undefined || contact.number !== undefined) {
+    apiContact.number = normalizeContact(contact).number;
+  }
+  return apiContact;
+};
+
+/**
+ * Apply a change of numbers to a contact
+ * A change that only sets `number` (e.g. from the GoIT API or an older client)
+ * replaces the primary number and keeps the others.
+ *
+ * @param {Object} contact - Current contact
+ * @param {Object} changes - Changes with `numbers` and/or `number`
+ * @returns {Object} { number, numbers } after the change
+ */
+export const applyNumberChanges = (contact, changes) => {
+  if (changes.numbers !== undefined) {
+    const { number, numbers } = normalizeContact({ numbers: changes.numbers, number: changes.number });
+    return { number, numbers };
+  }
+
+  const current = normalizeContact(contact).numbers;
+  if (changes.number === undefined) {
+    return { number: current.length > 0 ? current[0].number : '', numbers: current };
+  }
+
+  const { number, numbers } = normalizeContact({
+    numbers: [{ label: current[0]?.label || 'mobile', number: changes.number }, ...current.slice(1)],
+  });
+  return { number, numbers };
+};
+
+// Dates kept with a contact when it has them
+const ACTIVITY_FIELDS = ['createdAt', 'lastContactedAt'];
+
+const getActivity = (contact) => ACTIVITY_FIELDS.reduce((activity, key) => {
+  if (contact[key]) activity[key] = contact[key];
+  return activity;
+}, {});
+
+/**
+ * The part of a contact the GoIT API cannot store: its labelled numbers, details, tags
+ * and dates
+ * @param {Object} contact - Contact in the app's shape
+ * @returns {Object} { numbers, email, company, jobTitle, address, notes, tags, createdAt?, lastContactedAt? }
+ */
+export const getContactExtension = (contact) => {
+  const { numbers, tags } = normalizeContact(contact);
+  return { numbers, ...getContactDetails(contact), tags, ...getActivity(contact) };
+};
+
+/**
+ * Put the locally kept part back on a contact returned by the GoIT API
+ * When the primary number was changed on the server (e.g. from another device),
+ * the server's number wins and the other numbers are kept.
+ *
+ * @param {Object} contact - Contact from the API ({ id, name, number })
+ * @param {Object} [extension] - Result of getContactExtension saved for this contact
+ * @returns {Object} Contact in the app's shape
+ */
+export const applyContactExtension = (contact, extension) => {
+  if (!extension) return normalizeContact(contact);
+  const { numbers } = applyNumberChanges({ numbers: extension.numbers }, { number: contact.number });
+  return normalizeContact({
+    ...getContactDetails(extension),
+    tags: extension.tags,
+    ...getActivity(extension),
+    ...contact,
+    numbers,
+  });
+};
@@ -0,0 +1,150 @@
+/**
+ * Contact Sorting
+ *
+ * Orders for the contact list. Names are compared with Intl.Collator in the browser's
+ * languages, so letters like Ł, Ș or Є sort where Polish, Romanian or Ukrainian readers
+ * expect them, and numbers inside names sort by value ("Room 9" before "Room 10").
+ * Contacts never contacted, or without a number, come after the others in name order.
+ * Contacts added before dates were recorded count as the oldest, in the order the
+ * server returned them (which is the order they were added in).
+ */
+
+// Sort keys, with the direction each starts in when picked
+export const SORT_OPTIONS = [
+  { value: 'firstName', label: 'First name', defaultDirection: 'asc' },
+  { value: 'lastName', label: 'Last name', defaultDirection: 'asc' },
+  { value: 'added', label: 'Recently added', defaultDirection: 'desc' },
+  { value: 'contacted', label: 'Recently contacted', defaultDirection: 'desc' },
+  { value: 'number', label: 'Number', defaultDirection: 'asc' },
+];
+
+// Order used until the user picks one
+export const DEFAULT_SORT = { key: 'firstName', direction: 'asc' };
+
+/**
+ * Check that a saved sort preference is one this version knows
+ * @param {Object} sort - { key, direction }
+ * @returns {boolean} True when it can be used
+ */
+export const isValidSort = (sort) => Boolean(sort)
+  && SORT_OPTIONS.some((option) => option.value === sort.key)
+  && (sort.direction === 'asc' || sort.direction === 'desc');
+
+let collator = null;
+
+// Created on first use, with the languages of the browser
+const getCollator = () => {
+  if (!collator) {
+    const locales = typeof navigator !== 'undefined' ? navigator.languages : undefined;
+    collator = new Intl.Collator(locales, { sensitivity: 'base', numeric: true });
+  }
+  return collator;
+};
+
+const nameParts = (name) => String(name || '').trim().split(/\s+/).filter(Boolean);
+
+// Values compared for each key; null means the contact has none
+const SORT_VALUES = {
+  firstName: (contact) => String(contact.name || '').trim(),
+  lastName: (contact) => {
+    const parts = nameParts(contact.name);
+    // "Smith John" for John Smith, so people with the same last name follow their first names
+    return parts.length > 1 ? [parts[parts.length - 1], ...parts.slice(0, -1)].join(' ') : parts.join(' ');
+  },
+  added: (contact) => contact.createdAt || null,
+  contacted: (contact) => contact.lastContactedAt || null,
+  number: (contact) => String(contact.number || '').replace(/\D/g, '') || null,
+};
+
+/**
+ * Letter of the alphabetical section a contact is listed under, for the name orders
+ * Accented Latin letters go under their base letter (É under E); other alphabets keep
+ * their own letters (Є, Ї and Й stay apart from Е, І and И); names that do not start
+ * with a letter go under #.
+ * @param {Object} contact - Contact
+ * @param {string} key - 'firstName' or 'lastName'
+ * @returns {string} Upper-case letter or '#'
+ *
+ * @example
+ * getSectionLetter({ name: 'Émile Zola' }, 'lastName')
+ * // Returns: 'Z'
+ */
+export const getSectionLetter = (contact, key) => {
+  const getValue = SORT_VALUES[key] || SORT_VALUES.firstName;
+  const first = Array.from(getValue(contact) || '')[0] || '';
+  const base = first.normalize('NFD')[0] || '';
+  if (/[a-z]/i.test(base)) return base.toUpperCase();
+  return /\p{L}/u.test(first) ? first.toUpperCase() : '#';
+};
+
+const LATIN_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+// Ukrainian alphabet without Ь, which no name starts with
+const CYRILLIC_LETTERS = 'АБВГҐДЕЄЖЗИІЇЙКЛМНОПРСТУФХЦЧШЩЮЯ'.split('');
+
+/**
+ * Letters of the jump index beside the list: A–Z, А–Я when some names start with a
+ * Cyrillic letter, any other section letter in alphabetical place, and # first when
+ * some names do not start with a letter (that is where they sort)
+ * @param {Iterable<string>} sectionLetters - Letters that have contacts (see getSectionLetter)
+ * @returns {Array<string>} Letters of the index, in order
+ *
+ * @example
+ * getIndexLetters(['A', 'Ł', 'Ю'])
+ * // Returns: ['A', ..., 'L', 'Ł', 'M', ..., 'Z', 'А', ..., 'Я']
+ */
+export const getIndexLetters = (sectionLetters) => {
+  const present = new Set(sectionLetters);
+  const letters = [...LATIN_LETTERS];
+  if ([...present].some((letter) => /\p{Script=Cyrillic}/u.test(letter))) {
+    letters.push(...CYRILLIC_LETTERS);
+  }
+
+  const compareText = getCollator().compare;
+  present.forEach((letter) => {
+    if (letter === '#' || letters.includes(letter)) return;
+    const next = letters.findIndex((other) => compareText(letter, other) < 0);
+    letters.splice(next === -1 ? letters.length : next, 0, letter);
+  });
+
+  return present.has('#') ? ['#', ...letters] : letters;
+};
+
+/**
+ * Sort contacts
+ * @param {Array<Object>} contacts - Contacts in the order they were loaded
+ * @param {Object} [sort=DEFAULT_SORT] - { key, direction }: key from SORT_OPTIONS, 'asc' or 'desc'
+ * @returns {Array<Object>} A sorted copy
+ *
+ * @example
+ * sortContacts(contacts, { key: 'lastName', direction: 'asc' })
+ * // Returns: [Anna Bondarenko, Ivan Łukasiewicz, Maria Ștefănescu, ...]
+ */
+export const sortContacts = (contacts, sort = DEFAULT_SORT) => {
+  const { key, direction } = isValidSort(sort) ? sort : DEFAULT_SORT;
+  const getValue = SORT_VALUES[key];
+  const compareText = getCollator().compare;
+  const sign = direction === 'desc' ? -1 : 1;
+
+  const entries = contacts.map((contact, index) => ({ contact, index, value: getValue(contact) }));
+
+  const compareNames = (a, b) => compareText(a.contact.name || '', b.contact.name || '') || a.index - b.index;
+
+  entries.sort((a, b) => {
+    if (key === 'added' && (a.value === null || b.value === null)) {
+      // undated contacts are older than dated ones, and among themselves in server order
+      const result = a.value === b.value ? a.index - b.index : a.value === null ? -1 : 1;
+      return sign * result;
+    }
+    // otherwise contacts without a value go last, whichever the direction
+    if (a.value === null || b.value === null) {
+      return a.value === b.value ? compareNames(a, b) : a.value === null ? 1 : -1;
+    }
+
+    const result = key === 'added' || key === 'contacted'
+      ? (a.value < b.value ? -1 : a.value > b.value ? 1 : 0)
+      : compareText(a.value, b.value);
+    return sign * result || compareNames(a, b);
+  });
+
+  return entries.map((entry) => entry.contact);
+};
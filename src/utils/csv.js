@@ -0,0 +1,164 @@
+/**
+ * CSV Utilities
+ *
+ * Reads spreadsheet exports (Excel, Google Sheets, LibreOffice): RFC 4180 quoting,
+ * comma/semicolon/tab delimiters and UTF-8/UTF-16 byte order marks.
+ */
+
+// Delimiters tried by detectDelimiter, in order of preference on a tie
+export const CSV_DELIMITERS = [',', ';', '\t'];
+
+// Encodings offered for files without a byte order mark
+export const CSV_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'windows-1252', label: 'Western (Windows-1252)' },
+  { value: 'windows-1251', label: 'Cyrillic (Windows-1251)' },
+  { value: 'iso-8859-1', label: 'Latin-1 (ISO-8859-1)' },
+];
+
+/**
+ * Decode the bytes of a CSV file
+ * A byte order mark decides the encoding (and is removed); otherwise the given encoding is used.
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} [encoding='utf-8'] - Encoding for files without a BOM
+ * @returns {Object} { text, encoding, hasBom }
+ */
+export const decodeCsvBuffer = (buffer, encoding = 'utf-8') => {
+  const bytes = new Uint8Array(buffer);
+
+  let detected = null;
+  let offset = 0;
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    detected = 'utf-8';
+    offset = 3;
+  } else if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    detected = 'utf-16le';
+    offset = 2;
+  } else if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    detected = 'utf-16be';
+    offset = 2;
+  }
+
+  const used = detected || encoding;
+  let text;
+  try {
+    text = new TextDecoder(used).decode(bytes.subarray(offset));
+  } catch (error) {
+    // Unknown encoding label
+    text = new TextDecoder('utf-8').decode(bytes.subarray(offset));
+  }
+
+  return { text, encoding: used, hasBom: Boolean(detected) };
+};
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180)
+ * Quoted fields may contain the delimiter, line breaks and doubled quotes ("").
+ *
+ * @param {string} text - CSV text
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {Array<Array<string>>} Rows; blank lines are skipped
+ *
+ * @example
+ * parseCsv('name,number\n"Simpson, Rosie",459-12-56')
+ * // Returns: [['name', 'number'], ['Simpson, Rosie', '459-12-56']]
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    // skip blank lines
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Guess the delimiter of a CSV text from its first lines
+ * Picks the candidate that splits the lines into the same, largest number of fields.
+ *
+ * @param {string} text - CSV text
+ * @returns {string} ',', ';' or '\t'
+ */
+export const detectDelimiter = (text) => {
+  const sample = text.slice(0, 10000);
+  let best = CSV_DELIMITERS[0];
+  let bestScore = 0;
+
+  CSV_DELIMITERS.forEach((delimiter) => {
+    const counts = parseCsv(sample, delimiter).slice(0, 10).map((row) => row.length);
+    if (counts.length === 0) return;
+    const columns = counts[0];
+    const consistent = counts.filter((count) => count === columns).length;
+    // single-column results mean the delimiter never appeared
+    const score = columns > 1 ? consistent * columns : 0;
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+// Fields containing the delimiter, quotes, line breaks or edge spaces must be quoted
+const needsQuotes = (value, delimiter) => {
+  return value.includes(delimiter) || /["\r\n]/.test(value) || value !== value.trim();
+};
+
+/**
+ * Write rows of fields as CSV (RFC 4180)
+ * Fields are quoted only when needed, quotes are doubled and lines end with CRLF.
+ *
+ * @param {Array<Array>} rows - Rows of field values (null/undefined become empty fields)
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {string} CSV text
+ *
+ * @example
+ * toCsv([['name', 'number'], ['Simpson, Rosie', '459-12-56']])
+ * // Returns: 'name,number\r\n"Simpson, Rosie",459-12-56\r\n'
+ */
+export const toCsv = (rows, delimiter = ',') => {
+  return rows
+    .map((row) => row
+      .map((field) => {
+        const value = field === null || field === undefined ? '' : String(field);
+        return needsQuotes(value, delimiter) ? `"${value.replace(/"/g, '""')}"` : value;
+      })
+      .join(delimiter))
+    .join('\r\n') + '\r\n';
+};
@@ -0,0 +1,41 @@
+/**
+ * Download Utilities
+ *
+ * Saves generated files (exports, backups) through the browser's download prompt.
+ */
+
+/**
+ * Offer text content as a file download
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type (a UTF-8 charset is added)
+ *
+ * @example
+ * downloadFile('BEGIN:VCARD...', 'contacts.vcf', 'text/vcard')
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Revoke after the click has been handled, otherwise some browsers cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Build a dated file name such as "contacts-2024-05-01.vcf"
+ * @param {string} prefix - Name before the date
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+export const datedFileName = (prefix, extension) => {
+  const date = new Date().toISOString().slice(0, 10);
+  return `${prefix}-${date}.${extension}`;
+};
@@ -0,0 +1,210 @@
+/**
+ * Duplicate Detection
+ *
+ * Finds contacts that are probably the same person: they share a phone number
+ * (compared by digits, so '459-12-56' and '4591256' match) or their names are
+ * nearly the same ('Jon Smith' and 'John Smith', or 'Smith John'). Used by the
+ * duplicates review page and when a contact is added, and to build the merged
+ * contact from two duplicates.
+ */
+
+import { normalizeNumber } from './contactImport';
+import { DETAIL_FIELDS, normalizeContact } from './contactModel';
+import { editDistance, foldText } from './search';
+
+// Name similarity (0 to 1) from which two names count as the same person
+export const NAME_SIMILARITY_THRESHOLD = 0.8;
+
+// Numbers with fewer digits are too short (or incomplete) to say two contacts are one
+const MIN_NUMBER_DIGITS = 5;
+
+/**
+ * Reduce a name to what matters when comparing: lower case, no accents or punctuation,
+ * Cyrillic in Latin letters (so 'Олена' and 'Olena' are the same name)
+ * @param {string} name - Contact name
+ * @returns {string} Normalised name, words separated by single spaces
+ *
+ * @example
+ * normalizeNameForMatch('  José   O\'Neil ')
+ * // Returns: 'jose oneil'
+ */
+export const normalizeNameForMatch = (name) => foldText(name).text;
+
+const ratio = (a, b) => 1 - editDistance(a, b) / Math.max(a.length, b.length);
+
+const sortWords = (name) => name.split(' ').sort().join(' ');
+
+/**
+ * How similar two names are
+ * Names are compared as typed and with their words sorted, so a swapped first and
+ * last name still counts as the same name.
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 1 for the same name, down to 0 for nothing in common
+ *
+ * @example
+ * nameSimilarity('Jon Smith', 'John Smith')
+ * // Returns: 0.9
+ */
+export const nameSimilarity = (a, b) => {
+  const left = normalizeNameForMatch(a);
+  const right = normalizeNameForMatch(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  return Math.max(ratio(left, right), ratio(sortWords(left), sortWords(right)));
+};
+
+// Digits of every number of a contact that is long enough to compare
+const numberKeys = (contact) => [...new Set(
+  normalizeContact(contact).numbers
+    .map((n) => normalizeNumber(n.number))
+    .filter((digits) => digits.length >= MIN_NUMBER_DIGITS)
+)];
+
+/**
+ * Why two contacts look like duplicates
+ * @param {Object} a - Contact
+ * @param {Object} b - Contact
+ * @param {Object} [options]
+ * @param {number} [options.threshold=NAME_SIMILARITY_THRESHOLD] - Name similarity needed
+ * @returns {Object|null} { sameNumber, similarity, similarName }, or null if they do not look alike
+ */
+export const compareContacts = (a, b, { threshold = NAME_SIMILARITY_THRESHOLD } = {}) => {
+  const numbersOfB = numberKeys(b);
+  const sameNumber = numberKeys(a).some((digits) => numbersOfB.includes(digits));
+  const similarity = nameSimilarity(a.name, b.name);
+  const similarName = similarity >= threshold;
+  if (!sameNumber && !similarName) return null;
+  return { sameNumber, similarity, similarName };
+};
+
+/**
+ * Key that identifies a pair of contacts, whichever comes first
+ * @param {string} idA - Contact id
+ * @param {string} idB - Contact id
+ * @returns {string} The same key for (idA, idB) and (idB, idA)
+ */
+export const getPairKey = (idA, idB) => [idA, idB].sort().join('|');
+
+/**
+ * Find the pairs of contacts that look like duplicates
+ * Contacts are first grouped by number, so pairs with a shared number are found
+ * without comparing every contact to every other; names are then compared pairwise,
+ * skipping names whose lengths alone rule out a match.
+ *
+ * @param {Array<Object>} contacts - Contacts to scan
+ * @param {Object} [options]
+ * @param {number} [options.threshold=NAME_SIMILARITY_THRESHOLD] - Name similarity needed
+ * @returns {Array<Object>} Pairs ({ key, a, b, sameNumber, similarity, similarName }),
+ *   the ones matching on number and name first, then by name similarity
+ */
+export const findDuplicatePairs = (contacts, { threshold = NAME_SIMILARITY_THRESHOLD } = {}) => {
+  const pairs = new Map();
+  const addPair = (a, b) => {
+    const key = getPairKey(a.id, b.id);
+    if (pairs.has(key)) return;
+    const match = compareContacts(a, b, { threshold });
+    if (match) pairs.set(key, { key, a, b, ...match });
+  };
+
+  const byNumber = new Map();
+  contacts.forEach((contact) => {
+    numberKeys(contact).forEach((digits) => {
+      const group = byNumber.get(digits) || [];
+      group.forEach((other) => addPair(other, contact));
+      byNumber.set(digits, [...group, contact]);
+    });
+  });
+
+  const names = contacts.map((contact) => normalizeNameForMatch(contact.name));
+  for (let i = 0; i < contacts.length; i += 1) {
+    for (let j = i + 1; j < contacts.length; j += 1) {
+      const longest = Math.max(names[i].length, names[j].length);
+      // Too different in length to reach the threshold
+      if (Math.abs(names[i].length - names[j].length) > longest * (1 - threshold)) continue;
+      addPair(contacts[i], contacts[j]);
+    }
+  }
+
+  return [...pairs.values()].sort((x, y) => (
+    Number(y.sameNumber && y.similarName) - Number(x.sameNumber && x.similarName)
+    || y.similarity - x.similarity
+  ));
+};
+
+/**
+ * Find saved contacts that look like a contact about to be added
+ * @param {Object} contact - New contact ({ name, number } or { name, numbers })
+ * @param {Array<Object>} contacts - Saved contacts
+ * @param {Object} [options]
+ * @param {number} [options.threshold=NAME_SIMILARITY_THRESHOLD] - Name similarity needed
+ * @returns {Array<Object>} Matches ({ contact, sameNumber, similarity, similarName }), most similar first
+ */
+export const findSimilarContacts = (contact, contacts, { threshold = NAME_SIMILARITY_THRESHOLD } = {}) => contacts
+  .map((saved) => {
+    const match = compareContacts(contact, saved, { threshold });
+    return match && { contact: saved, ...match };
+  })
+  .filter(Boolean)
+  .sort((x, y) => Number(y.sameNumber) - Number(x.sameNumber) || y.similarity - x.similarity);
+
+// Fields picked per pair when merging, besides the numbers
+export const MERGE_FIELDS = [{ key: 'name', label: 'Name' }, ...DETAIL_FIELDS];
+
+/**
+ * Which side to take each field from when two duplicates are merged
+ * Fields come from the kept contact unless it has no value and the other one does.
+ * Numbers are combined when the two contacts have different ones.
+ *
+ * @param {Object} keep - Contact that is kept
+ * @param {Object} other - Contact that is merged into it
+ * @returns {Object} { name, email, ..., numbers } - 'keep' or 'other' per field; numbers can also be 'both'
+ */
+export const getDefaultMergeChoices = (keep, other) => {
+  const kept = normalizeContact(keep);
+  const merged = normalizeContact(other);
+  const choices = MERGE_FIELDS.reduce((acc, { key }) => ({
+    ...acc,
+    [key]: !String(kept[key] || '').trim() && String(merged[key] || '').trim() ? 'other' : 'keep',
+  }), {});
+
+  const keptNumbers = numberKeys(kept);
+  const hasOtherNumbers = merged.numbers.some((n) => !keptNumbers.includes(normalizeNumber(n.number)));
+  choices.numbers = hasOtherNumbers ? 'both' : 'keep';
+  return choices;
+};
+
+/**
+ * Build the contact two duplicates are merged into
+ * Tags of both contacts are kept.
+ * @param {Object} keep - Contact that is kept
+ * @param {Object} other - Contact that is merged into it
+ * @param {Object} choices - Side per field (see getDefaultMergeChoices)
+ * @returns {Object} Values for the kept contact: { name, numbers, email, ..., tags }
+ */
+export const mergeContactValues = (keep, other, choices) => {
+  const kept = normalizeContact(keep);
+  const merged = normalizeContact(other);
+  const values = MERGE_FIELDS.reduce((acc, { key }) => ({
+    ...acc,
+    [key]: (choices[key] === 'other' ? merged : kept)[key],
+  }), {});
+
+  if (choices.numbers === 'both') {
+    const seen = new Set(kept.numbers.map((n) => normalizeNumber(n.number)));
+    values.numbers = [
+      ...kept.numbers,
+      ...merged.numbers.filter((n) => {
+        const digits = normalizeNumber(n.number);
+        if (seen.has(digits)) return false;
+        seen.add(digits);
+        return true;
+      }),
+    ];
+  } else {
+    values.numbers = (choices.numbers === 'other' ? merged : kept).numbers;
+  }
+
+  values.tags = [...new Set([...kept.tags, ...merged.tags])];
+  return values;
+};
@@ -0,0 +1,26 @@
+/**
+ * Record Ids
+ *
+ * Ids for records the app creates itself (mock backend users and contacts, tags).
+ * Records of every account share one IndexedDB store, and imports and bulk actions
+ * add several at once, so a timestamp alone is not unique enough.
+ */
+
+// Fallback when crypto.randomUUID is unavailable (outside secure contexts)
+let counter = 0;
+
+/**
+ * Create an id no other record has
+ * @returns {string} Random UUID, or a timestamp with a counter and random suffix
+ *
+ * @example
+ * createId();
+ * // Returns: '3b241101-e2bb-4255-8caf-4136c566a962'
+ */
+export const createId = () => {
+  if (typeof window !== 'undefined' && window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  counter += 1;
+  return `${Date.now().toString(36)}-${counter.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
@@ -0,0 +1,67 @@
+/**
+ * Phone Number Utilities
+ *
+ * The phonebook stores numbers in the XXX-XX-XX-X format (up to 8 digits).
+ * Used by ContactForm while typing and by the importers for incoming rows.
+ */
+
+// Longest number the format can hold
+export const MAX_PHONE_DIGITS = 8;
+
+/**
+ * Format a string of digits as XXX-XX-XX-X
+ * Digits past the eighth are dropped.
+ *
+ * @param {string} digits - Digits only
+ * @returns {string} Formatted number
+ *
+ * @example
+ * formatPhoneDigits('4591256')
+ * // Returns: '459-12-56'
+ */
+export function formatPhoneDigits(digits) {
+  // allow up to 8 digits
+  const d = digits.slice(0, MAX_PHONE_DIGITS);
+  const parts = [];
+  if (d.length >= 3) {
+    parts.push(d.slice(0, 3));
+    if (d.length >= 5) {
+      parts.push(d.slice(3, 5));
+      if (d.length >= 7) {
+        parts.push(d.slice(5, 7));
+        if (d.length >= 8) {
+          parts.push(d.slice(7, 8));
+        } else if (d.length > 7) {
+          parts.push(d.slice(7));
+        }
+      } else {
+        parts.push(d.slice(5));
+      }
+    } else {
+      parts.push(d.slice(3));
+    }
+  } else {
+    parts.push(d);
+  }
+  return parts.filter(Boolean).join('-');
+}
+
+/**
+ * Normalise a number typed or imported in any format
+ * @param {string} value - Raw number (spaces, dashes, brackets are ignored)
+ * @returns {Object} { number, digits, error } - error is set when the number does not fit the format
+ *
+ * @example
+ * normalizePhoneNumber('(459) 12 56')
+ * // Returns: { number: '459-12-56', digits: '4591256', error: null }
+ */
+export const normalizePhoneNumber = (value) => {
+  const digits = String(value || '').replace(/\D/g, '');
+  let error = null;
+  if (digits.length === 0) {
+    error = 'Missing phone number';
+  } else if (digits.length > MAX_PHONE_DIGITS) {
+    error = `Number has more than ${MAX_PHONE_DIGITS} digits`;
+  }
+  return { number: formatPhoneDigits(digits), digits, error };
+};
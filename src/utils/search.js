@@ -0,0 +1,498 @@
+/**
+ * Contact Search
+ *
+ * Matches the search text against contacts and ranks the results. Every word of the
+ * query has to be found in a contact, as one of:
+ *  - the start of a word of the name ("smi" finds John Smith), or any part of it
+ *  - the initials of the name ("js" finds John Smith)
+ *  - digits of a number, ignoring dashes, spaces and the country code of a query
+ *    written with + or 00 ("+380 459 12" finds 459-12-56); a query made of digits is
+ *    one number
+ *  - a name word with a typo ("jhon" finds John)
+ *  - text in one of the details (email, company, ...)
+ * Text is compared without case or accents and with Cyrillic transliterated to Latin,
+ * so "oleksandr" finds Олександр and "олег" finds Oleh. The characters that matched
+ * in the name and numbers are returned, for highlighting them in the list.
+ *
+ * The search box also takes the query language of utils/searchQuery.js (name:anna,
+ * tag:clients, -is:fav, OR, quotes); plain words are searched as described above.
+ */
+
+import { DETAIL_FIELDS, contactMatchesTags, normalizeContact } from './contactModel';
+import { parseSearchQuery, isPlainTextQuery } from './searchQuery';
+
+// Ukrainian national transliteration, plus the Russian letters it lacks
+const CYRILLIC_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'h', ґ: 'g', д: 'd', е: 'e', є: 'ie', ж: 'zh', з: 'z',
+  и: 'y', і: 'i', ї: 'i', й: 'i', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p',
+  р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh',
+  щ: 'shch', ь: '', ю: 'iu', я: 'ia', ё: 'e', ъ: '', ы: 'y', э: 'e',
+};
+
+// Dropped rather than treated as a word break ("O'Neil" is one word)
+const APOSTROPHES = /['’ʼ`]/;
+
+// A query that only has digits and the characters numbers are written with
+const NUMBER_QUERY = /^\+?[\d\s\-().]+$/;
+
+// Score of each kind of match; a contact's score is the sum over the query words
+const SCORES = {
+  namePrefix: 100,
+  initials: 80,
+  number: 70,
+  nameContains: 50,
+  typo: 40,
+  detail: 20,
+  field: 60,
+  // bonuses
+  firstWord: 10,
+  numberStart: 10,
+  wholeName: 50,
+};
+
+// Shortest query word that is matched with typos
+const MIN_TYPO_LENGTH = 4;
+
+const NO_HIGHLIGHTS = { name: [], numbers: [] };
+
+// Contact keys of the query fields named differently
+const DETAIL_KEYS = { title: 'jobTitle' };
+
+/**
+ * Fold text for matching: lower case, no accents, Cyrillic in Latin letters,
+ * punctuation turned into single spaces
+ * @param {string} value - Text to fold
+ * @returns {Object} { text, map } - map[i] is the index in value of folded character i
+ *
+ * @example
+ * foldText('Олена Ковальчук').text
+ * // Returns: 'olena kovalchuk'
+ */
+export const foldText = (value) => {
+  const source = String(value || '');
+  let text = '';
+  const map = [];
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i].toLowerCase();
+    let folded = CYRILLIC_TO_LATIN[char];
+    if (folded === undefined) {
+      folded = APOSTROPHES.test(char) ? '' : char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+    for (const c of folded) {
+      if (/[\p{L}\p{N}]/u.test(c)) {
+        text += c;
+        map.push(i);
+      } else if (text && !text.endsWith(' ')) {
+        text += ' ';
+        map.push(i);
+      }
+    }
+  }
+
+  if (text.endsWith(' ')) {
+    text = text.slice(0, -1);
+    map.pop();
+  }
+  return { text, map };
+};
+
+/**
+ * Number of edits (insert, delete, replace, swap two neighbours) that turn one string into another
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance ('jhon' -> 'john' is 1)
+ */
+export const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  // rows i - 2, i - 1 and i of the distance table
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const splitWords = (text) => {
+  const words = [];
+  let start = 0;
+  text.split(' ').forEach((word) => {
+    if (word) words.push({ start, text: word });
+    start += word.length + 1;
+  });
+  return words;
+};
+
+// Digits of a number with, for each digit, its index in the number as written
+const numberDigits = (number) => {
+  let digits = '';
+  const map = [];
+  String(number || '').split('').forEach((char, index) => {
+    if (/\d/.test(char)) {
+      digits += char;
+      map.push(index);
+    }
+  });
+  return { digits, map };
+};
+
+// National forms of a number written with a country code: "+380 67 123" gives "067123"
+// (with the trunk prefix 0, which starts its highlight at the 6) and "67123", so anchored
+// terms like number:^067 find it. The code is the first group of digits when the number
+// is grouped, else it has one to three digits
+const nationalForms = (number, { digits, map }) => {
+  const written = String(number || '').trim();
+  const prefix = written.startsWith('+') ? 1 : written.startsWith('00') ? 2 : -1;
+  if (prefix === -1) return [];
+  const group = written.slice(prefix).match(/^\d+(?=\D)/);
+  const lengths = group && group[0].length <= 3 ? [group[0].length] : [1, 2, 3];
+  const codeStart = prefix === 2 ? 2 : 0;
+  return lengths.flatMap((length) => {
+    const start = codeStart + length;
+    if (start >= digits.length) return [];
+    const rest = { digits: digits.slice(start), map: map.slice(start) };
+    return [{ digits: `0${rest.digits}`, map: [rest.map[0], ...rest.map] }, rest];
+  });
+};
+
+// The digits to look for: as typed, and when the query is written with a country code
+// (+ or 00), also without it. Other digits are never taken for a country code, so long
+// local numbers and ids only find themselves
+const numberVariants = (raw) => {
+  const digits = raw.replace(/\D/g, '');
+  const variants = [digits];
+  const trimmed = raw.trim();
+  const prefix = trimmed.startsWith('+') ? 0 : trimmed.startsWith('00') ? 2 : -1;
+  if (prefix !== -1) {
+    const local = digits.slice(prefix);
+    variants.push(local);
+    // country codes have one to three digits
+    [1, 2, 3].forEach((length) => variants.push(local.slice(length)));
+  }
+  return [...new Set(variants.filter(Boolean))];
+};
+
+/**
+ * Split a search text into the words that each have to match
+ * @param {string} query - Search text as typed
+ * @returns {Array<Object>} Words ({ text, digits }): text folded, digits the number variants to look for
+ */
+const parseWords = (query) => {
+  const trimmed = String(query || '').trim();
+  if (!trimmed) return [];
+  if (NUMBER_QUERY.test(trimmed) && /\d/.test(trimmed)) {
+    return [{ text: foldText(trimmed).text, digits: numberVariants(trimmed) }];
+  }
+  return foldText(trimmed).text.split(' ').filter(Boolean).map((text) => ({
+    text,
+    digits: /^\d+$/.test(text) ? [text] : [],
+  }));
+};
+
+// Folded name, words, numbers and details of a contact; contacts in the store never
+// change in place, so they are prepared once per object
+const preparedContacts = new WeakMap();
+
+const prepare = (contact) => {
+  let prepared = preparedContacts.get(contact);
+  if (!prepared) {
+    const normalized = normalizeContact(contact);
+    const name = foldText(normalized.name);
+    prepared = {
+      source: normalized.name,
+      name,
+      words: splitWords(name.text),
+      numbers: normalized.numbers.map((n) => {
+        const digits = numberDigits(n.number);
+        return { ...digits, national: nationalForms(n.number, digits) };
+      }),
+      details: DETAIL_FIELDS.reduce((details, { key }) => ({ ...details, [key]: foldText(normalized[key]).text }), {}),
+    };
+    preparedContacts.set(contact, prepared);
+  }
+  return prepared;
+};
+
+// Best match of a query word: { score, name: [[start, end]] in folded name, number: { index, range } }
+const matchWord = (prepared, word) => {
+  const { name, words, numbers, details } = prepared;
+  let best = null;
+  const consider = (score, nameRanges = [], number = null) => {
+    if (!best || score > best.score) best = { score, name: nameRanges, number };
+  };
+
+  words.forEach((w, index) => {
+    if (w.text.startsWith(word.text)) {
+      consider(SCORES.namePrefix + (index === 0 ? SCORES.firstWord : 0), [[w.start, w.start + word.text.length]]);
+    }
+  });
+
+  if (word.text.length >= 2 && words.length >= 2 && /^\p{L}+$/u.test(word.text)) {
+    const initials = words.map((w) => w.text[0]).join('');
+    const at = initials.indexOf(word.text);
+    if (at !== -1) {
+      consider(SCORES.initials, words.slice(at, at + word.text.length).map((w) => [w.start, w.start + 1]));
+    }
+  }
+
+  const contains = name.text.indexOf(word.text);
+  if (contains !== -1) {
+    consider(SCORES.nameContains, [[contains, contains + word.text.length]]);
+  }
+
+  word.digits.forEach((digits, variant) => {
+    numbers.forEach((number, index) => {
+      const at = number.digits.indexOf(digits);
+      if (at === -1) return;
+      // the number as typed beats the same number without its country code
+      const score = SCORES.number + (at === 0 ? SCORES.numberStart : 0) - variant;
+      consider(score, [], { index, range: [number.map[at], number.map[at + digits.length - 1] + 1] });
+    });
+  });
+
+  if (!best && word.text.length >= MIN_TYPO_LENGTH && /^\p{L}+$/u.test(word.text)) {
+    const allowed = word.text.length < 6 ? 1 : 2;
+    words.forEach((w) => {
+      // compare with the start of the word, one letter shorter or longer for a missed or extra letter
+      [-1, 0, 1].forEach((delta) => {
+        const length = Math.min(w.text.length, word.text.length + delta);
+        const distance = editDistance(word.text, w.text.slice(0, length));
+        if (distance <= allowed) {
+          consider(SCORES.typo - distance * 10, [[w.start, w.start + length]]);
+        }
+      });
+    });
+  }
+
+  if (!best && Object.values(details).some((detail) => detail.includes(word.text))) {
+    consider(SCORES.detail);
+  }
+
+  return best;
+};
+
+// Range of the name as written for a range of the folded name
+const toSourceRange = ([start, end], { source, name }) => {
+  let sourceEnd = name.map[end - 1] + 1;
+  // letters that fold to nothing (ь, ъ) belong to the match before them
+  while (
+    sourceEnd < source.length
+    && (end >= name.map.length || sourceEnd < name.map[end])
+    && /[\p{L}\p{M}]/u.test(source[sourceEnd])
+  ) {
+    sourceEnd += 1;
+  }
+  return [name.map[start], sourceEnd];
+};
+
+// Sort ranges and join the ones that overlap or touch
+const mergeRanges = (ranges) => [...ranges]
+  .sort((a, b) => a[0] - b[0])
+  .reduce((merged, [start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+    return merged;
+  }, []);
+
+// Match of plain words (all of them have to match), with name ranges as written
+const matchWords = (prepared, text) => {
+  const queryWords = parseWords(text);
+  const matches = queryWords.map((word) => matchWord(prepared, word));
+  if (matches.some((match) => !match)) return null;
+
+  const queryText = queryWords.map((word) => word.text).join(' ');
+  return {
+    score: matches.reduce((sum, match) => sum + match.score, 0)
+      + (prepared.name.text === queryText ? SCORES.wholeName : 0),
+    name: matches.flatMap((match) => match.name).map((range) => toSourceRange(range, prepared)),
+    numbers: matches.map((match) => match.number).filter(Boolean),
+  };
+};
+
+const NO_MATCH_RANGES = { score: 0, name: [], numbers: [] };
+
+// Where a value is found in a text, following the anchors of a term; -1 if it is not
+const findAnchored = (text, value, { anchorStart, anchorEnd }) => {
+  if (anchorStart && anchorEnd) return text === value ? 0 : -1;
+  if (anchorStart) return text.startsWith(value) ? 0 : -1;
+  if (anchorEnd) return text.endsWith(value) ? text.length - value.length : -1;
+  return text.indexOf(value);
+};
+
+// Match of a term of the query language (see utils/searchQuery.js)
+const matchTerm = (prepared, contact, term, context) => {
+  const value = foldText(term.value).text;
+  const isPlain = !term.quoted && !term.anchorStart && !term.anchorEnd;
+  if (!value && term.field !== 'number') return term.quoted ? NO_MATCH_RANGES : null;
+
+  if (!term.field && isPlain) {
+    return matchWords(prepared, term.value);
+  }
+
+  if (term.field === 'tag') {
+    // tags are whole names: tag:work is not tag:coworkers, unless anchored (tag:^co)
+    const exact = isPlain || (term.anchorStart && term.anchorEnd);
+    const matches = (contact.tags || []).some((id) => {
+      const name = context.tagNames.get(id);
+      if (name === undefined) return false;
+      return exact ? name === value : findAnchored(name, value, term) !== -1;
+    });
+    return matches ? NO_MATCH_RANGES : null;
+  }
+
+  if (term.field === 'number') {
+    const variants = isPlain ? numberVariants(term.value) : [term.value.replace(/\D/g, '')];
+    for (const digits of variants) {
+      for (let index = 0; index < prepared.numbers.length; index += 1) {
+        // as written, then national forms (number:^067 finds +380 67 ...)
+        for (const form of [prepared.numbers[index], ...prepared.numbers[index].national]) {
+          const at = findAnchored(form.digits, digits, term);
+          if (at !== -1) {
+            return {
+              score: SCORES.field,
+              name: [],
+              numbers: [{ index, range: [form.map[at], form.map[at + digits.length - 1] + 1] }],
+            };
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  if (!term.field || term.field === 'name') {
+    const at = findAnchored(prepared.name.text, value, term);
+    if (at !== -1) {
+      return { score: SCORES.field, name: [toSourceRange([at, at + value.length], prepared)], numbers: [] };
+    }
+    if (term.field) return null;
+    // a phrase can also be in one of the details
+    return Object.values(prepared.details).some((detail) => findAnchored(detail, value, term) !== -1)
+      ? { ...NO_MATCH_RANGES, score: SCORES.detail }
+      : null;
+  }
+
+  const detail = prepared.details[DETAIL_KEYS[term.field] || term.field];
+  return detail !== undefined && findAnchored(detail, value, term) !== -1
+    ? { ...NO_MATCH_RANGES, score: SCORES.field }
+    : null;
+};
+
+const combineMatches = (matches) => ({
+  score: matches.reduce((sum, match) => sum + match.score, 0),
+  name: matches.flatMap((match) => match.name),
+  numbers: matches.flatMap((match) => match.numbers),
+});
+
+// Match of a query tree: { score, name, numbers } or null
+const matchNode = (prepared, contact, node, context) => {
+  switch (node.type) {
+    case 'and': {
+      const matches = [];
+      for (const child of node.children) {
+        const match = matchNode(prepared, contact, child, context);
+        if (!match) return null;
+        matches.push(match);
+      }
+      return combineMatches(matches);
+    }
+    case 'or': {
+      const matches = node.children
+        .map((child) => matchNode(prepared, contact, child, context))
+        .filter(Boolean);
+      return matches.length > 0 ? combineMatches(matches) : null;
+    }
+    case 'not':
+      return matchNode(prepared, contact, node.child, context) ? null : NO_MATCH_RANGES;
+    case 'flag':
+      return context.favoriteIds.has(contact.id) ? NO_MATCH_RANGES : null;
+    default:
+      return matchTerm(prepared, contact, node, context);
+  }
+};
+
+/**
+ * Search contacts
+ * The query can use the search language of utils/searchQuery.js; a query that cannot
+ * be parsed is searched as plain words.
+ *
+ * @param {Array<Object>} contacts - Contacts to search
+ * @param {string} query - Search text as typed
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.tags] - The user's tags ({ id, name }), for tag:
+ * @param {Array<string>} [options.favoriteIds] - Ids of the favorite contacts, for fav
+ * @returns {Array<Object>} Matching contacts as { contact, score, highlights }, best first
+ *   (all contacts in their order when the query is empty). highlights.name has the
+ *   [start, end) ranges of the name that matched, highlights.numbers the ranges per number.
+ *
+ * @example
+ * searchContacts([{ id: '1', name: 'John Smith', number: '459-12-56' }], 'js')
+ * // Returns: [{ contact: {...}, score: 80, highlights: { name: [[0, 1], [5, 6]], numbers: [[]] } }]
+ */
+export const searchContacts = (contacts, query, { tags = [], favoriteIds = [] } = {}) => {
+  const { ast, error } = parseSearchQuery(query);
+  if (!ast && !error) {
+    return contacts.map((contact) => ({ contact, score: 0, highlights: NO_HIGHLIGHTS }));
+  }
+
+  const context = {
+    tagNames: new Map(tags.map((tag) => [tag.id, foldText(tag.name).text])),
+    favoriteIds: new Set(favoriteIds),
+  };
+  const isPlain = Boolean(error) || isPlainTextQuery(ast);
+
+  const results = [];
+  contacts.forEach((contact) => {
+    const prepared = prepare(contact);
+    const match = isPlain ? matchWords(prepared, query) : matchNode(prepared, contact, ast, context);
+    if (!match) return;
+
+    results.push({
+      contact,
+      score: match.score,
+      highlights: {
+        name: mergeRanges(match.name),
+        numbers: prepared.numbers.map((_, index) => mergeRanges(
+          match.numbers.filter((n) => n.index === index).map((n) => n.range)
+        )),
+      },
+    });
+  });
+
+  // sort is stable, so equal scores keep the list order
+  return results.sort((a, b) => b.score - a.score);
+};
+
+/**
+ * The contacts the list shows for a search text and tag filter
+ * @param {Array<Object>} contacts - All contacts
+ * @param {Object} options
+ * @param {string} [options.query] - Search text as typed
+ * @param {Object} [options.tagFilter] - { ids, mode } (see contactMatchesTags)
+ * @param {Array<Object>} [options.tags] - The user's tags, for tag: in the query
+ * @param {Array<string>} [options.favoriteIds] - Ids of the favorite contacts, for fav in the query
+ * @returns {Array<Object>} Search results ({ contact, score, highlights }), best first
+ */
+export const filterContacts = (contacts, { query, tagFilter, tags, favoriteIds } = {}) => {
+  const tagged = tagFilter
+    ? contacts.filter((contact) => contactMatchesTags(contact, tagFilter.ids, tagFilter.mode))
+    : contacts;
+  return searchContacts(tagged, query, { tags, favoriteIds });
+};
@@ -0,0 +1,72 @@
+import { searchContacts } from './search';
+import { parseSearchQuery } from './searchQuery';
+
+const contact = (id, name, ...numbers) => ({
+  id,
+  name,
+  number: numbers[0],
+  numbers: numbers.map((number) => ({ label: 'mobile', number })),
+});
+
+const names = (results) => results.map((result) => result.contact.name);
+
+describe('number terms', () => {
+  const contacts = [
+    contact('1', 'Olena', '+380 67 123 45 67'),
+    contact('2', 'Taras', '067-12-34'),
+    contact('3', 'Ivan', '+380 50 067 12 34'),
+  ];
+
+  test('number:^067 finds numbers written with the country code', () => {
+    expect(names(searchContacts(contacts, 'number:^067'))).toEqual(['Olena', 'Taras']);
+  });
+
+  test('highlights the digits after the country code', () => {
+    const [olena] = searchContacts(contacts, 'number:^067');
+    const [[start, end]] = olena.highlights.numbers[0];
+    expect(contacts[0].number.slice(start, end)).toBe('67');
+  });
+
+  test('ungrouped international numbers try every country code length', () => {
+    expect(names(searchContacts([contact('4', 'Petro', '+380671234567')], 'number:^067'))).toEqual(['Petro']);
+  });
+
+  test('a query with + or 00 also looks without its country code', () => {
+    expect(names(searchContacts(contacts, '+380 67 123 45'))).toEqual(['Olena']);
+    expect(names(searchContacts([contact('5', 'Mykola', '459-12-56')], '0038045912'))).toEqual(['Mykola']);
+  });
+
+  test('long numbers without + are not cut to a local number', () => {
+    const contacts = [contact('6', 'Iryna', '234-56-78'), contact('7', 'Bohdan', '123 456 789 0')];
+    expect(names(searchContacts(contacts, '1234567890'))).toEqual(['Bohdan']);
+  });
+});
+
+describe('favorites', () => {
+  const contacts = [contact('1', 'Favio Rossi', '459-12-56'), contact('2', 'Anna', '067-12-34')];
+
+  test('is:fav finds the favorites', () => {
+    expect(names(searchContacts(contacts, 'is:fav', { favoriteIds: ['2'] }))).toEqual(['Anna']);
+  });
+
+  test('a plain "fav" is searched as text', () => {
+    expect(names(searchContacts(contacts, 'fav', { favoriteIds: ['2'] }))).toEqual(['Favio Rossi']);
+  });
+});
+
+describe('words with a colon', () => {
+  test('an unknown prefix is plain text, not a syntax error', () => {
+    expect(parseSearchQuery('https://example.com').error).toBeNull();
+    expect(parseSearchQuery('meet:10:30').error).toBeNull();
+  });
+
+  test('known fields are still fields', () => {
+    const { ast } = parseSearchQuery('tag:clients');
+    expect(ast).toMatchObject({ type: 'term', field: 'tag', value: 'clients' });
+  });
+
+  test('finds contacts with the pasted text in their details', () => {
+    const contacts = [{ ...contact('1', 'Olena', '459-12-56'), notes: 'see https://example.com' }];
+    expect(names(searchContacts(contacts, '"https://example.com"'))).toEqual(['Olena']);
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Search Query Language
+ *
+ * Parses what is typed in the search box into a query tree (see parseSearchQuery),
+ * which utils/search.js evaluates against contacts. Plain words keep working as
+ * before; on top of them:
+ *  - field:value       only look in one field (name, number, tag, email, company,
+ *                      title, address, notes), e.g. tag:clients or number:067;
+ *                      any other word with a colon (a URL, 10:30) is plain text
+ *  - "quoted phrase"   words that have to appear together, also as field:"..."
+ *  - -term             leave out contacts that match (-tag:old, -is:fav)
+ *  - a OR b            either one; words next to each other all have to match
+ *  - ( ... )           grouping
+ *  - ^value, value$    the field starts / ends with the value (number:^067, which also
+ *                      finds numbers written with the country code, +380 67 ...)
+ *  - is:fav            favorites (a plain "fav" is text, like any other word)
+ *
+ * Query tree nodes:
+ *  { type: 'and' | 'or', children }, { type: 'not', child }, { type: 'flag', flag: 'favorite' },
+ *  { type: 'term', field, value, quoted, anchorStart, anchorEnd } - field is null for free text
+ */
+
+// Fields a term can be limited to, as suggested while typing
+export const QUERY_FIELDS = [
+  { name: 'name', description: 'Name' },
+  { name: 'number', description: 'Any of the numbers' },
+  { name: 'tag', description: 'Tag name' },
+  { name: 'email', description: 'Email' },
+  { name: 'company', description: 'Company' },
+  { name: 'title', description: 'Job title' },
+  { name: 'address', description: 'Address' },
+  { name: 'notes', description: 'Notes' },
+  { name: 'is', description: 'is:fav for favorites' },
+];
+
+// Other names accepted for a field
+const FIELD_ALIASES = { phone: 'number', tags: 'tag' };
+
+// Values of is:
+const FLAGS = { fav: 'favorite', favorite: 'favorite', favourite: 'favorite' };
+
+const fieldNames = QUERY_FIELDS.map((f) => f.name);
+
+// Error with the position in the query it refers to
+const syntaxError = (message, position) => Object.assign(new Error(message), { position });
+
+// Characters that end a bare word
+const isBreak = (char) => /\s/.test(char) || char === '(' || char === ')' || char === '"';
+
+const readQuoted = (query, start) => {
+  const end = query.indexOf('"', start + 1);
+  if (end === -1) throw syntaxError('Missing closing quote', start);
+  return { value: query.slice(start + 1, end), next: end + 1 };
+};
+
+const withAnchors = (value) => {
+  const anchorStart = value.startsWith('^');
+  const anchorEnd = value.length > 1 && value.endsWith('$');
+  return {
+    value: value.slice(anchorStart ? 1 : 0, anchorEnd ? -1 : undefined),
+    anchorStart,
+    anchorEnd,
+  };
+};
+
+/**
+ * Split a query into tokens: ( ) OR - and terms
+ * @param {string} query - Query as typed
+ * @returns {Array<Object>} Tokens ({ type, position, ... })
+ */
+const tokenize = (query) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) {
+      i += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i += 1;
+    } else if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      tokens.push({ type: 'not', position: i });
+      i += 1;
+    } else if (char === '"') {
+      const { value, next } = readQuoted(query, i);
+      tokens.push({ type: 'term', position: i, field: null, value, quoted: true, anchorStart: false, anchorEnd: false });
+      i = next;
+    } else {
+      let end = i;
+      while (end < query.length && !isBreak(query[end])) end += 1;
+      const word = query.slice(i, end);
+      const colon = word.indexOf(':');
+      const prefix = colon > 0 ? word.slice(0, colon).toLowerCase() : '';
+      const field = FIELD_ALIASES[prefix] || prefix;
+
+      if (word === 'OR' || word === '|') {
+        tokens.push({ type: 'or', position: i });
+        i = end;
+      } else if (colon > 0 && fieldNames.includes(field)) {
+        let value = word.slice(colon + 1);
+        let quoted = false;
+        if (!value && query[end] === '"') {
+          ({ value, next: end } = readQuoted(query, end));
+          quoted = true;
+        }
+        const term = quoted ? { value, anchorStart: false, anchorEnd: false } : withAnchors(value);
+        if (!term.value.trim()) throw syntaxError(`${prefix}: needs a value`, i);
+        tokens.push({ type: 'term', position: i, field, quoted, ...term });
+        i = end;
+      } else {
+        const term = withAnchors(word);
+        if (!term.value) throw syntaxError(`"${word}" needs a value to anchor`, i);
+        tokens.push({ type: 'term', position: i, field: null, quoted: false, ...term });
+        i = end;
+      }
+    }
+  }
+
+  return tokens;
+};
+
+// Term or flag node for a term token
+const toNode = ({ field, value, quoted, anchorStart, anchorEnd, position }) => {
+  if (field === 'is') {
+    const flag = FLAGS[value.toLowerCase()];
+    if (!flag) throw syntaxError(`Unknown value "is:${value}". Use is:fav`, position);
+    return { type: 'flag', flag };
+  }
+  if (field === 'number' && !/\d/.test(value)) {
+    throw syntaxError('number: needs digits', position);
+  }
+  return { type: 'term', field: field || null, value, quoted, anchorStart, anchorEnd };
+};
+
+const parseTokens = (tokens, queryLength) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const positionHere = () => (peek() ? peek().position : queryLength);
+
+  let parseOr;
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token.type === 'not') {
+      index += 1;
+      const next = peek();
+      if (!next || next.type === 'or' || next.type === ')') {
+        throw syntaxError('"-" needs something to leave out', token.position);
+      }
+      return { type: 'not', child: parseUnary() };
+    }
+    if (token.type === '(') {
+      index += 1;
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') throw syntaxError('Missing ")"', token.position);
+      index += 1;
+      return node;
+    }
+    index += 1;
+    return toNode(token);
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && peek().type !== 'or' && peek().type !== ')') {
+      children.push(parseUnary());
+    }
+    if (children.length === 0) {
+      const token = peek();
+      const previous = tokens[index - 1];
+      if (token?.type === 'or') throw syntaxError('OR needs something before it', token.position);
+      if (previous?.type === 'or') throw syntaxError('OR needs something after it', previous.position);
+      if (previous?.type === '(') throw syntaxError('Empty brackets', previous.position);
+      throw syntaxError('Unexpected ")"', positionHere());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'or') {
+      index += 1;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const tree = parseOr();
+  if (peek()) throw syntaxError('Unexpected ")"', peek().position);
+  return tree;
+};
+
+/**
+ * Parse a search query
+ * @param {string} query - Query as typed in the search box
+ * @returns {Object} { ast, error } - ast is null for an empty query or when there is an error;
+ *   error is { message, position } for a query that cannot be parsed
+ *
+ * @example
+ * parseSearchQuery('name:anna -is:fav').ast
+ * // Returns: { type: 'and', children: [
+ * //   { type: 'term', field: 'name', value: 'anna', quoted: false, anchorStart: false, anchorEnd: false },
+ * //   { type: 'not', child: { type: 'flag', flag: 'favorite' } }] }
+ */
+export const parseSearchQuery = (query) => {
+  const text = String(query || '');
+  try {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return { ast: null, error: null };
+    return { ast: parseTokens(tokens, text.length), error: null };
+  } catch (err) {
+    return { ast: null, error: { message: err.message, position: err.position ?? 0 } };
+  }
+};
+
+/**
+ * Check if a query tree is only plain words (no fields, quotes, anchors, OR or -),
+ * which are searched as one text
+ * @param {Object} ast - Query tree
+ * @returns {boolean} True for plain words
+ */
+export const isPlainTextQuery = (ast) => {
+  const isPlainTerm = (node) => node.type === 'term' && !node.field && !node.quoted && !node.anchorStart && !node.anchorEnd;
+  return isPlainTerm(ast) || (ast.type === 'and' && ast.children.every(isPlainTerm));
+};
+
+const quoteIfNeeded = (value) => (/[\s()"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value);
+
+/**
+ * Completions for the word being typed: field names, tag names after tag:, fav after is:
+ * @param {string} query - Query as typed
+ * @param {number} caret - Cursor position in the query
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.tags] - The user's tags ({ id, name })
+ * @returns {Object|null} { start, end, items: [{ label, description, text }] } - text replaces
+ *   query.slice(start, end); null when there is nothing to suggest
+ */
+export const getQuerySuggestions = (query, caret, { tags = [] } = {}) => {
+  const text = String(query || '');
+  let start = caret;
+  while (start > 0 && !/[\s()]/.test(text[start - 1])) start -= 1;
+  if (text[start] === '-') start += 1;
+  const word = text.slice(start, caret);
+  if (!word || word.startsWith('"')) return null;
+
+  let items = [];
+  const colon = word.indexOf(':');
+  if (colon === -1) {
+    const typed = word.toLowerCase();
+    items = QUERY_FIELDS
+      .filter((f) => f.name.startsWith(typed))
+      .map((f) => ({ label: `${f.name}:`, description: f.description, text: `${f.name}:` }));
+  } else {
+    const prefix = word.slice(0, colon).toLowerCase();
+    const field = FIELD_ALIASES[prefix] || prefix;
+    const typed = word.slice(colon + 1).replace(/^"/, '').toLowerCase();
+    if (field === 'tag') {
+      items = tags
+        .filter((tag) => tag.name.toLowerCase().startsWith(typed) && tag.name.toLowerCase() !== typed)
+        .map((tag) => ({ label: tag.name, description: 'Tag', text: `${prefix}:${quoteIfNeeded(tag.name)} ` }));
+    } else if (field === 'is') {
+      items = 'fav'.startsWith(typed) && typed !== 'fav'
+        ? [{ label: 'fav', description: 'Favorites', text: `${prefix}:fav ` }]
+        : [];
+    }
+  }
+
+  return items.length > 0 ? { start, end: caret, items } : null;
+};
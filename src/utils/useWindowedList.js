@@ -0,0 +1,196 @@
+/**
+ * React Hook: useWindowedList
+ *
+ * Renders only the rows of a long list that are on screen (plus a margin above and
+ * below), so lists of tens of thousands of rows stay fast. The list scrolls with the
+ * page. Rows can have any height: each rendered row is measured and the measurement
+ * is kept for its key, rows not rendered yet count with an estimate. Rows outside the
+ * window are replaced by two spacers, so the scrollbar covers the whole list.
+ *
+ * @param {Array<string>} keys - Row keys in list order
+ * @param {Object} options
+ * @param {Function} options.estimateHeight - (index) => expected height of a row never measured
+ * @param {number} [options.overscan=600] - Pixels rendered above and below the screen
+ * @param {Map} [options.heights] - Measured heights by key; pass one that outlives the
+ *   component to keep them when the list is shown again
+ * @param {Object} [options.anchorRef] - Ref of an element (e.g. a sticky header) whose
+ *   position decides topIndex; the top of the screen when not given
+ * @returns {Object} { listRef, measureRef, start, end, topIndex, offsets, totalHeight, scrollToIndex }
+ *   - rows start..end-1 are to be rendered between spacers of offsets[start] and
+ *   totalHeight - offsets[end] pixels; each rendered row needs ref={measureRef} and
+ *   data-row-key={key}; topIndex is the row under the anchor;
+ *   scrollToIndex(index, { offset }) scrolls the page so the row is offset pixels
+ *   below the top of the screen
+ *
+ * @example
+ * const { listRef, measureRef, start, end, offsets, totalHeight } =
+ *   useWindowedList(keys, { estimateHeight: () => 70 });
+ *
+ * <div ref={listRef}>
+ *   <div style={{ height: offsets[start] }} />
+ *   {rows.slice(start, end).map((row) => (
+ *     <div key={row.key} ref={measureRef} data-row-key={row.key}>...</div>
+ *   ))}
+ *   <div style={{ height: totalHeight - offsets[end] }} />
+ * </div>
+ */
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+// Index of the row at position y (clamped to the list)
+const rowAt = (offsets, y) => {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (offsets[middle + 1] <= y) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return Math.max(0, low);
+};
+
+export const useWindowedList = (keys, { estimateHeight, overscan = 600, heights, anchorRef } = {}) => {
+  const listRef = useRef(null);
+  // the Map is updated in place; the wrapper is replaced so the rows are laid out again
+  const [measured, setMeasured] = useState(() => ({ heights: heights || new Map() }));
+  const [range, setRange] = useState({ start: 0, end: 0, topIndex: 0 });
+  const observerRef = useRef(null);
+  const observedRef = useRef(new Set());
+
+  // offsets[i] is the top of row i; offsets[keys.length] is the height of the whole list
+  const offsets = useMemo(() => {
+    const known = measured.heights;
+    const result = new Float64Array(keys.length + 1);
+    for (let i = 0; i < keys.length; i += 1) {
+      result[i + 1] = result[i] + (known.get(keys[i]) ?? estimateHeight(i));
+    }
+    return result;
+  }, [keys, estimateHeight, measured]);
+
+  const offsetsRef = useRef(offsets);
+  offsetsRef.current = offsets;
+  const keysRef = useRef(keys);
+  keysRef.current = keys;
+  // row scrolled to, until it is rendered and lined up exactly
+  const pendingScrollRef = useRef(null);
+
+  const updateRange = useCallback(() => {
+    const list = listRef.current;
+    const current = offsetsRef.current;
+    if (!list || current.length < 2) {
+      setRange((prev) => (prev.end === 0 ? prev : { start: 0, end: 0, topIndex: 0 }));
+      return;
+    }
+    const listTop = list.getBoundingClientRect().top;
+    const top = -listTop;
+    const anchorTop = anchorRef?.current ? anchorRef.current.getBoundingClientRect().top - listTop : top;
+    const start = rowAt(current, top - overscan);
+    const end = Math.min(current.length - 1, rowAt(current, top + window.innerHeight + overscan) + 1);
+    const topIndex = rowAt(current, anchorTop);
+    setRange((prev) => (
+      prev.start === start && prev.end === end && prev.topIndex === topIndex ? prev : { start, end, topIndex }
+    ));
+  }, [overscan, anchorRef]);
+
+  // the window follows the rows whenever they or their heights change
+  useLayoutEffect(() => {
+    updateRange();
+  }, [offsets, updateRange]);
+
+  // The offset of a row not rendered yet is an estimate; once it is rendered,
+  // correct the scroll by where it really is
+  const settleScroll = useCallback(() => {
+    const pending = pendingScrollRef.current;
+    const element = pending && listRef.current?.querySelector(`[data-row-key="${CSS.escape(pending.key)}"]`);
+    if (!element) return;
+    pendingScrollRef.current = null;
+    window.scrollBy(0, element.getBoundingClientRect().top - pending.offset);
+  }, []);
+
+  useLayoutEffect(() => {
+    settleScroll();
+  });
+
+  const scrollToIndex = useCallback((index, { offset = 0 } = {}) => {
+    const list = listRef.current;
+    if (!list || index < 0 || index >= keysRef.current.length) return;
+    pendingScrollRef.current = { key: keysRef.current[index], offset };
+    window.scrollTo(0, window.scrollY + list.getBoundingClientRect().top + offsetsRef.current[index] - offset);
+    settleScroll();
+  }, [settleScroll]);
+
+  // ...and the page scroll, at most once a frame
+  useEffect(() => {
+    let frame = null;
+    const schedule = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(() => {
+          frame = null;
+          updateRange();
+        });
+      }
+    };
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [updateRange]);
+
+  useEffect(() => {
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const known = measured.heights;
+    const observer = new ResizeObserver((entries) => {
+      let changed = false;
+      entries.forEach(({ target }) => {
+        if (!target.isConnected) return;
+        const height = target.offsetHeight;
+        if (known.get(target.dataset.rowKey) !== height) {
+          known.set(target.dataset.rowKey, height);
+          changed = true;
+        }
+      });
+      if (changed) setMeasured({ heights: known });
+    });
+    observerRef.current = observer;
+    observedRef.current.forEach((element) => observer.observe(element));
+    return () => {
+      observer.disconnect();
+      observerRef.current = null;
+    };
+  }, [measured.heights]);
+
+  // rows that scrolled out of the window are no longer watched
+  useLayoutEffect(() => {
+    observedRef.current.forEach((element) => {
+      if (!element.isConnected) {
+        observedRef.current.delete(element);
+        observerRef.current?.unobserve(element);
+      }
+    });
+  });
+
+  const measureRef = useCallback((element) => {
+    if (!element || observedRef.current.has(element)) return;
+    observedRef.current.add(element);
+    observerRef.current?.observe(element);
+  }, []);
+
+  const count = keys.length;
+  return {
+    listRef,
+    measureRef,
+    start: Math.min(range.start, count),
+    end: Math.min(range.end, count),
+    topIndex: Math.min(range.topIndex, Math.max(0, count - 1)),
+    offsets,
+    totalHeight: offsets[count],
+    scrollToIndex,
+  };
+};
+
+export default useWindowedList;
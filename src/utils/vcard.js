@@ -0,0 +1,429 @@
+/**
+ * vCard Utilities
+ *
+ * Parses vCard 2.1, 3.0 and 4.0 files (as exported by phones and mail clients)
+ * into plain contact objects, and writes contacts back out as vCard 3.0 or 4.0.
+ */
+
+// vCard TEL types mapped to the labels used for phone numbers in the app
+const TEL_TYPE_LABELS = {
+  cell: 'mobile',
+  mobile: 'mobile',
+  iphone: 'mobile',
+  work: 'work',
+  home: 'home',
+  fax: 'fax',
+};
+
+// Encodings that vCard 2.1 allows as bare parameters (e.g. "TEL;CELL;QUOTED-PRINTABLE:")
+const BARE_ENCODINGS = ['QUOTED-PRINTABLE', 'BASE64', 'B', '8BIT', '7BIT'];
+
+/**
+ * Split a string on a separator, ignoring separators inside double quotes
+ * or escaped with a backslash
+ * @param {string} value - String to split
+ * @param {string} separator - Single character separator
+ * @param {number} [limit] - Maximum number of parts (the last part keeps the rest)
+ * @returns {Array<string>} Parts (still escaped)
+ */
+const splitUnescaped = (value, separator, limit = Infinity) => {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\' && i + 1 < value.length) {
+      current += char + value[i + 1];
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+      current += char;
+    } else if (char === separator && !inQuotes && parts.length < limit - 1) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+// Undo vCard text escaping (\n, \, \; \\)
+const unescapeText = (value) => {
+  return value.replace(/\\([nN,;\\])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+};
+
+// Decode bytes as text in the given charset
+const decodeBytes = (bytes, charset) => {
+  try {
+    return new TextDecoder(charset).decode(new Uint8Array(bytes));
+  } catch (error) {
+    // Unknown charset label - UTF-8 is by far the most common
+    return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+  }
+};
+
+// Decode a quoted-printable value into text using the given charset. Only =XX escapes
+// (and ASCII, which every charset shares) are bytes; other characters written as they
+// are, like Cyrillic in a name the phone did not escape, are already text and kept
+const decodeQuotedPrintable = (value, charset = 'utf-8') => {
+  let text = '';
+  let bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(value.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(value.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else if (value.charCodeAt(i) < 0x80) {
+      bytes.push(value.charCodeAt(i));
+    } else {
+      text += decodeBytes(bytes, charset) + value[i];
+      bytes = [];
+    }
+  }
+  return text + decodeBytes(bytes, charset);
+};
+
+// Property part of a content line (everything before the first unquoted colon)
+const getPropertyPart = (line) => splitUnescaped(line, ':', 2)[0];
+
+const isQuotedPrintable = (line) => /QUOTED-PRINTABLE/i.test(getPropertyPart(line));
+
+/**
+ * Join folded lines back into logical content lines
+ * - RFC 2425/6350 folding: a line starting with a space or tab continues the previous one
+ * - vCard 2.1 quoted-printable soft line breaks: a QP value line ending with "="
+ * @param {string} text - Raw file contents
+ * @returns {Array<string>} Unfolded, non-empty lines
+ */
+const unfoldLines = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const result = [];
+
+  lines.forEach((line) => {
+    const last = result.length - 1;
+    if (last >= 0 && result[last].endsWith('=') && isQuotedPrintable(result[last])) {
+      result[last] = result[last].slice(0, -1) + line.replace(/^[ \t]+/, '');
+    } else if (last >= 0 && /^[ \t]/.test(line)) {
+      result[last] += line.slice(1);
+    } else {
+      result.push(line);
+    }
+  });
+
+  return result.filter((line) => line.trim() !== '');
+};
+
+/**
+ * Parse a content line such as "item1.TEL;TYPE=CELL,VOICE;PREF=1:+1 555 0100"
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} { name, params, value } with upper-case name and param keys
+ */
+const parseContentLine = (line) => {
+  const [propertyPart, value = ''] = splitUnescaped(line, ':', 2);
+  if (value === '' && !line.includes(':')) return null;
+
+  const [nameWithGroup, ...rawParams] = splitUnescaped(propertyPart, ';');
+  const name = nameWithGroup.split('.').pop().toUpperCase();
+  const params = { TYPE: [] };
+
+  rawParams.forEach((param) => {
+    const [key, paramValue] = splitUnescaped(param, '=', 2);
+    if (paramValue === undefined) {
+      // vCard 2.1 bare parameter: either an encoding or a type
+      const bare = key.toUpperCase();
+      if (BARE_ENCODINGS.includes(bare)) {
+        params.ENCODING = bare;
+      } else {
+        params.TYPE.push(bare.toLowerCase());
+      }
+      return;
+    }
+
+    const upperKey = key.toUpperCase();
+    // Lists may be quoted as a whole (TYPE="voice,cell") or per value
+    const values = paramValue.replace(/^"(.*)"$/, '$1').split(',').map((v) => v.replace(/^"|"$/g, ''));
+    if (upperKey === 'TYPE') {
+      params.TYPE.push(...values.map((v) => v.toLowerCase()));
+    } else {
+      params[upperKey] = values.join(',');
+    }
+  });
+
+  return { name, params, value };
+};
+
+// Decode the value of a parsed property (encoding + charset), still escaped
+const decodeValue = (property) => {
+  const encoding = (property.params.ENCODING || '').toUpperCase();
+  if (encoding === 'QUOTED-PRINTABLE') {
+    return decodeQuotedPrintable(property.value, property.params.CHARSET || 'utf-8');
+  }
+  return property.value;
+};
+
+// Build a display name from the structured N property (Family;Given;Middle;Prefix;Suffix)
+const nameFromStructured = (value) => {
+  const [family = '', given = '', middle = '', prefix = '', suffix = ''] =
+    splitUnescaped(value, ';').map((part) => unescapeText(part).replace(/,/g, ' ').trim());
+  return [prefix, given, middle, family, suffix].filter(Boolean).join(' ');
+};
+
+// Map vCard TEL types to one of the app's labels
+const labelForTypes = (types) => {
+  for (const type of types) {
+    if (TEL_TYPE_LABELS[type]) return TEL_TYPE_LABELS[type];
+  }
+  return 'other';
+};
+
+const parseTel = (property) => {
+  // vCard 4.0 may store numbers as tel: URIs ("tel:+1-555-555-5555;ext=5555")
+  const value = unescapeText(decodeValue(property)).replace(/^tel:/i, '').trim();
+  const types = property.params.TYPE;
+  return {
+    number: value,
+    label: labelForTypes(types),
+    preferred: types.includes('pref') || property.params.PREF !== undefined,
+  };
+};
+
+// Single text value of a property (decoded and unescaped)
+const textValue = (property) => unescapeText(decodeValue(property)).trim();
+
+// Postal address from the structured ADR property
+// (PO box;Extended;Street;Locality;Region;Postal code;Country), joined into one line
+const addressFromStructured = (value) => {
+  return splitUnescaped(value, ';')
+    .map((part) => unescapeText(part).replace(/\n/g, ', ').trim())
+    .filter(Boolean)
+    .join(', ');
+};
+
+// Convert the properties of one card into a contact
+const cardToContact = (properties) => {
+  let fullName = '';
+  let structuredName = '';
+  let organization = '';
+  const numbers = [];
+  // first value of each detail property
+  const details = {};
+  const setDetail = (key, value) => {
+    if (value && details[key] === undefined) details[key] = value;
+  };
+  const categories = [];
+
+  properties.forEach((property) => {
+    switch (property.name) {
+      case 'FN':
+        fullName = textValue(property);
+        break;
+      case 'N':
+        structuredName = nameFromStructured(decodeValue(property));
+        break;
+      case 'ORG':
+        organization = unescapeText(splitUnescaped(decodeValue(property), ';')[0]).trim();
+        setDetail('company', organization);
+        break;
+      case 'TITLE':
+        setDetail('jobTitle', textValue(property));
+        break;
+      case 'EMAIL':
+        setDetail('email', textValue(property).replace(/^mailto:/i, ''));
+        break;
+      case 'ADR':
+        setDetail('address', addressFromStructured(decodeValue(property)));
+        break;
+      case 'NOTE':
+        setDetail('notes', textValue(property));
+        break;
+      case 'CATEGORIES':
+        // comma separated, and a card may have the property more than once
+        splitUnescaped(decodeValue(property), ',')
+          .map((part) => unescapeText(part).trim())
+          .forEach((category) => {
+            if (category && !categories.includes(category)) categories.push(category);
+          });
+        break;
+      case 'TEL': {
+        const tel = parseTel(property);
+        if (tel.number) numbers.push(tel);
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  // Preferred number first, then mobile numbers, then the rest in file order
+  const ordered = [
+    ...numbers.filter((n) => n.preferred),
+    ...numbers.filter((n) => !n.preferred && n.label === 'mobile'),
+    ...numbers.filter((n) => !n.preferred && n.label !== 'mobile'),
+  ];
+
+  return {
+    name: fullName || structuredName || organization,
+    number: ordered.length > 0 ? ordered[0].number : '',
+    numbers: ordered.map(({ number, label }) => ({ number, label })),
+    ...details,
+    ...(categories.length > 0 ? { categories } : {}),
+  };
+};
+
+/**
+ * Parse every card in a vCard file
+ * @param {string} text - Contents of a .vcf file (one or more cards)
+ * @returns {Array<Object>} Contacts: { name, number, numbers: [{ number, label }] }, plus
+ *   email, company, jobTitle, address and notes when the card has them, and categories
+ *   (the names of its CATEGORIES) when it has any
+ *
+ * @example
+ * parseVCards('BEGIN:VCARD\nVERSION:3.0\nFN:Rosie Simpson\nTEL;TYPE=CELL:459-12-56\nEND:VCARD')
+ * // Returns: [{ name: 'Rosie Simpson', number: '459-12-56', numbers: [{ number: '459-12-56', label: 'mobile' }] }]
+ */
+export const parseVCards = (text) => {
+  const contacts = [];
+  let properties = null;
+
+  unfoldLines(text).forEach((line) => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN' && property.value.trim().toUpperCase() === 'VCARD') {
+      properties = [];
+    } else if (property.name === 'END' && property.value.trim().toUpperCase() === 'VCARD') {
+      if (properties) contacts.push(cardToContact(properties));
+      properties = null;
+    } else if (properties) {
+      properties.push(property);
+    }
+  });
+
+  return contacts;
+};
+
+// App phone labels mapped back to vCard TEL types
+const LABEL_TEL_TYPES = {
+  mobile: 'cell',
+  work: 'work',
+  home: 'home',
+  fax: 'fax',
+  other: 'voice',
+};
+
+// Maximum line length in octets before a line is folded (RFC 6350, section 3.2)
+const MAX_LINE_OCTETS = 75;
+
+// Escape a text value: backslash, comma, semicolon and newlines
+const escapeText = (value) => {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+    .replace(/\r\n|\r|\n/g, '\\n');
+};
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets
+ * Continuation lines start with a single space. Multi-byte UTF-8 characters are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF separated)
+ */
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    // continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// Structured N value (Family;Given;;;) guessed from a display name:
+// "Simpson, Rosie" is read as family first, otherwise the last word is the family name
+const toStructuredName = (name) => {
+  const trimmed = String(name || '').trim();
+  const commaIndex = trimmed.indexOf(',');
+  if (commaIndex > 0) {
+    return `${escapeText(trimmed.slice(0, commaIndex).trim())};${escapeText(trimmed.slice(commaIndex + 1).trim())};;;`;
+  }
+  const words = trimmed.split(/\s+/).filter(Boolean);
+  if (words.length < 2) return `;${escapeText(words[0] || '')};;;`;
+  const family = words.pop();
+  return `${escapeText(family)};${escapeText(words.join(' '))};;;`;
+};
+
+// Numbers of a contact, whether it has a list of labelled numbers or a single number
+const contactNumbers = (contact) => {
+  if (Array.isArray(contact.numbers) && contact.numbers.length > 0) return contact.numbers;
+  return contact.number ? [{ number: contact.number, label: 'mobile' }] : [];
+};
+
+const serializeCard = (contact, version, tagNames) => {
+  const lines = ['BEGIN:VCARD', `VERSION:${version}`];
+
+  if (contact.id) lines.push(`UID:${escapeText(contact.id)}`);
+  lines.push(`FN:${escapeText(contact.name)}`);
+  lines.push(`N:${toStructuredName(contact.name)}`);
+
+  contactNumbers(contact).forEach(({ number, label }, index) => {
+    const type = LABEL_TEL_TYPES[label] || LABEL_TEL_TYPES.other;
+    if (version === '4.0') {
+      // free-form numbers (e.g. "459-12-56") are not valid tel: URIs, so keep them as text
+      lines.push(`TEL;VALUE=text;TYPE=${type}${index === 0 ? ';PREF=1' : ''}:${escapeText(number)}`);
+    } else {
+      lines.push(`TEL;TYPE=${type}${index === 0 ? ',pref' : ''}:${escapeText(number)}`);
+    }
+  });
+
+  if (contact.email) lines.push(`EMAIL:${escapeText(contact.email)}`);
+  if (contact.company) lines.push(`ORG:${escapeText(contact.company)}`);
+  if (contact.jobTitle) lines.push(`TITLE:${escapeText(contact.jobTitle)}`);
+  // the address is free text, so all of it goes into the street component
+  if (contact.address) lines.push(`ADR:;;${escapeText(contact.address)};;;;`);
+  if (contact.notes) lines.push(`NOTE:${escapeText(contact.notes)}`);
+
+  // tag ids mean nothing outside this app, their names go out as categories
+  const categories = (contact.tags || []).map((id) => tagNames.get(id)).filter(Boolean);
+  if (categories.length > 0) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+
+  lines.push('END:VCARD');
+  return lines.map(foldLine).join('\r\n');
+};
+
+/**
+ * Write contacts as a vCard file
+ * @param {Array} contacts - Contacts ({ id, name, number } or with numbers: [{ number, label }]
+ *   and details)
+ * @param {Object} [options]
+ * @param {string} [options.version='3.0'] - '3.0' or '4.0'
+ * @param {Array<Object>} [options.tags=[]] - The user's tags ({ id, name }); the names of
+ *   a contact's tags are written as CATEGORIES
+ * @returns {string} File contents (CRLF line endings, UTF-8 text)
+ *
+ * @example
+ * serializeVCards([{ id: 'id-1', name: 'Rosie Simpson', number: '459-12-56' }])
+ * // Returns: 'BEGIN:VCARD\r\nVERSION:3.0\r\nUID:id-1\r\nFN:Rosie Simpson\r\n...END:VCARD\r\n'
+ */
+export const serializeVCards = (contacts, { version = '3.0', tags = [] } = {}) => {
+  if (version !== '3.0' && version !== '4.0') {
+    throw new Error(`Unsupported vCard version: ${version}`);
+  }
+  const tagNames = new Map(tags.map((tag) => [tag.id, tag.name]));
+  return contacts.map((contact) => serializeCard(contact, version, tagNames)).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,29 @@
+import { parseVCards } from './vcard';
+
+const card = (...lines) => ['BEGIN:VCARD', 'VERSION:2.1', ...lines, 'END:VCARD'].join('\r\n');
+
+describe('quoted-printable values', () => {
+  test('decodes =XX escapes in the charset given', () => {
+    const [contact] = parseVCards(card(
+      'FN;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:=D0=9E=D0=BB=D0=B5=D0=BD=D0=B0',
+      'TEL;CELL:459-12-56'
+    ));
+    expect(contact.name).toBe('Олена');
+  });
+
+  test('keeps characters that were not escaped', () => {
+    const [contact] = parseVCards(card(
+      'FN;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:Олена =C5=81ukasz',
+      'TEL;CELL:459-12-56'
+    ));
+    expect(contact.name).toBe('Олена Łukasz');
+  });
+
+  test('mixes escapes and literal text in a single-byte charset', () => {
+    const [contact] = parseVCards(card(
+      'FN;CHARSET=WINDOWS-1251;ENCODING=QUOTED-PRINTABLE:=CE=EB=E5=ED=E0 Тарас',
+      'TEL;CELL:459-12-56'
+    ));
+    expect(contact.name).toBe('Олена Тарас');
+  });
+});